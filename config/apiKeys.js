@@ -0,0 +1,63 @@
+// Scopes an API key can be given. A key acts as the user who owns it, limited
+// to the permissions its scopes cover; a scope never grants a permission the
+// owner's roles do not. Managing users, roles, sessions and API keys always
+// needs a signed-in user.
+const API_KEY_SCOPES = {
+  "content:read": {
+    description: "Read content, including unpublished content by others",
+    permissions: ["content:read:any"],
+  },
+  "content:write": {
+    description:
+      "Create, edit, translate, delete and move content through the workflow",
+    permissions: [
+      "content:create",
+      "content:update:own",
+      "content:update:any",
+      "content:delete:own",
+      "content:delete:any",
+      "content:publish",
+    ],
+  },
+  "content:bulk": {
+    description: "Export, import and bulk-edit content",
+    permissions: ["content:bulk"],
+  },
+  "comment:write": {
+    description: "Post, edit and moderate comments",
+    permissions: ["comment:moderate"],
+  },
+  "taxonomy:write": {
+    description: "Create, edit, merge and delete categories and tags",
+    permissions: ["taxonomy:manage"],
+  },
+  "media:write": {
+    description: "Upload and manage media",
+    permissions: ["media:upload", "media:manage"],
+  },
+  "product:write": {
+    description: "Create, edit and delete products",
+    permissions: ["product:create", "product:update", "product:delete"],
+  },
+  "audit:read": {
+    description: "View and export the audit log",
+    permissions: ["audit:read"],
+  },
+  "webhook:manage": {
+    description: "Register webhooks and view and replay their deliveries",
+    permissions: ["webhook:manage"],
+  },
+};
+
+// Longest lifetime of a key with an expiry; keys can also never expire
+exports.MAX_API_KEY_DAYS = 365;
+
+// The permissions covered by a list of scopes
+exports.scopePermissions = (scopes) =>
+  new Set(
+    scopes.flatMap((scope) =>
+      API_KEY_SCOPES[scope] ? API_KEY_SCOPES[scope].permissions : []
+    )
+  );
+
+exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,30 @@
+// Comment moderation, set with COMMENT_MODERATION:
+//   post - comments appear immediately; moderators can hide them afterwards
+//   pre  - every comment waits for approval before it appears
+// Comments caught by the spam filter always wait for approval.
+const MODERATION_MODES = ["post", "pre"];
+
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+exports.getCommentSettings = () => {
+  const mode = (process.env.COMMENT_MODERATION || "post").trim().toLowerCase();
+  const maxLinks = parseInt(process.env.COMMENT_MAX_LINKS);
+
+  return {
+    // An unknown mode falls back to the stricter one
+    moderation: MODERATION_MODES.includes(mode) ? mode : "pre",
+    // How long authors can edit a comment after posting it
+    editWindowMs:
+      (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+    // How deep replies can nest (top-level comments are depth 0)
+    maxDepth: parseInt(process.env.COMMENT_MAX_DEPTH) || 5,
+    bannedWords: parseList(process.env.COMMENT_BANNED_WORDS),
+    maxLinks: Number.isInteger(maxLinks) && maxLinks >= 0 ? maxLinks : 2,
+  };
+};
+
+exports.MODERATION_MODES = MODERATION_MODES;
@@ -0,0 +1,41 @@
+// Content bodies are written in one of these formats and rendered to
+// sanitized HTML on save
+const BODY_FORMATS = ["markdown", "html"];
+
+exports.getContentSettings = () => ({
+  // Longest auto-generated excerpt, in characters
+  excerptLength: parseInt(process.env.CONTENT_EXCERPT_LENGTH) || 280,
+  // Reading speed used for the estimated reading time
+  wordsPerMinute: parseInt(process.env.CONTENT_WORDS_PER_MINUTE) || 200,
+});
+
+// Bulk export and import (/api/admin/content)
+const TRANSFER_FORMATS = ["json", "ndjson", "csv"];
+const CONFLICT_POLICIES = ["skip", "overwrite", "rename"];
+
+exports.getContentTransferSettings = () => ({
+  // Largest import file, CONTENT_IMPORT_MAX_MB (default 20 MB)
+  maxImportBytes: Math.floor(
+    (parseFloat(process.env.CONTENT_IMPORT_MAX_MB) || 20) * 1024 * 1024
+  ),
+  // Most rows in one import, CONTENT_IMPORT_MAX_ROWS (default 5000)
+  maxImportRows: parseInt(process.env.CONTENT_IMPORT_MAX_ROWS) || 5000,
+});
+
+// Caching of public content reads (GET /api/content...)
+exports.getContentCacheSettings = () => ({
+  // How long clients and proxies may reuse responses to anonymous readers,
+  // CONTENT_CACHE_MAX_AGE seconds (default 60)
+  maxAge: parseInt(process.env.CONTENT_CACHE_MAX_AGE) || 60,
+  // How long this process keeps published content and author details,
+  // CONTENT_CACHE_TTL_SECONDS (default 300). Changes made here drop entries
+  // at once; changes made by other instances show up once they expire.
+  ttlSeconds: parseInt(process.env.CONTENT_CACHE_TTL_SECONDS) || 300,
+  // Most entries in each of those caches, CONTENT_CACHE_MAX_ENTRIES
+  // (default 1000)
+  maxEntries: parseInt(process.env.CONTENT_CACHE_MAX_ENTRIES) || 1000,
+});
+
+exports.BODY_FORMATS = BODY_FORMATS;
+exports.TRANSFER_FORMATS = TRANSFER_FORMATS;
+exports.CONFLICT_POLICIES = CONFLICT_POLICIES;
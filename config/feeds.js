@@ -0,0 +1,30 @@
+// Syndication feeds and sitemaps, set with
+//   SITE_URL             public site the links point at; required, the feeds
+//                        and sitemaps answer 404 without it
+//   API_URL              public URL of this API, for links to the feeds and
+//                        sitemaps themselves (default SITE_URL)
+//   SITE_TITLE           feed title
+//   SITE_DESCRIPTION     feed description
+//   CONTENT_URL_PATTERN  path of a post on the site, with :slug, :locale and
+//                        :id placeholders (default /content/:slug)
+//   FEED_ITEM_LIMIT      items per feed (default 20)
+//   FEED_CACHE_SECONDS   how long clients and proxies may cache (default 900)
+//   SITEMAP_PAGE_SIZE    URLs per sitemap before an index is used (default
+//                        10000; the protocol allows at most 50000)
+
+exports.getFeedSettings = () => ({
+  siteUrl: (process.env.SITE_URL || "").replace(/\/+$/, ""),
+  apiUrl: (process.env.API_URL || process.env.SITE_URL || "").replace(
+    /\/+$/,
+    ""
+  ),
+  title: process.env.SITE_TITLE || "Latest content",
+  description: process.env.SITE_DESCRIPTION || "",
+  contentUrlPattern: process.env.CONTENT_URL_PATTERN || "/content/:slug",
+  itemLimit: parseInt(process.env.FEED_ITEM_LIMIT) || 20,
+  cacheSeconds: parseInt(process.env.FEED_CACHE_SECONDS) || 900,
+  sitemapPageSize: Math.min(
+    parseInt(process.env.SITEMAP_PAGE_SIZE) || 10000,
+    50000
+  ),
+});
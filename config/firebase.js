@@ -0,0 +1,42 @@
+const { initializeApp, cert, applicationDefault } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+
+// Firebase sign-in is enabled by setting FIREBASE_PROJECT_ID. Credentials come
+// from FIREBASE_SERVICE_ACCOUNT (JSON) or GOOGLE_APPLICATION_CREDENTIALS.
+// With FIREBASE_AUTH_EMULATOR_HOST set, firebase-admin talks to the Auth
+// emulator instead and no credentials are needed.
+let auth = null;
+
+exports.isFirebaseEnabled = () => Boolean(process.env.FIREBASE_PROJECT_ID);
+
+exports.getFirebaseAuth = () => {
+  if (auth) return auth;
+
+  const options = { projectId: process.env.FIREBASE_PROJECT_ID };
+  if (!process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    options.credential = process.env.FIREBASE_SERVICE_ACCOUNT
+      ? cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT))
+      : applicationDefault();
+  }
+
+  auth = getAuth(initializeApp(options, "backend-auth"));
+  return auth;
+};
+
+// Sign-in providers accepted from Firebase, e.g. "password,google.com".
+// Empty means every provider is allowed.
+exports.getAllowedProviders = () =>
+  (process.env.FIREBASE_ALLOWED_PROVIDERS || "")
+    .split(",")
+    .map((provider) => provider.trim())
+    .filter(Boolean);
+
+// Whether to create a User on first sign-in when no account matches. Off
+// unless FIREBASE_AUTO_PROVISION=true, and never while REGISTRATION_MODE is
+// invite or closed.
+exports.autoProvisionEnabled = () =>
+  process.env.FIREBASE_AUTO_PROVISION === "true";
+
+// Whether to ask Firebase if the token was revoked (one extra request)
+exports.checkRevokedEnabled = () =>
+  process.env.FIREBASE_CHECK_REVOKED !== "false";
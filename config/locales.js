@@ -0,0 +1,48 @@
+// Content locales, set with
+//   SUPPORTED_LOCALES  e.g. en,fr,de,pt-BR (default: en)
+//   DEFAULT_LOCALE     locale of new content and last fallback (default: the
+//                      first supported locale)
+//   LOCALE_FALLBACKS   extra fallbacks tried after a locale, e.g.
+//                      pt-BR:pt-PT;ca:es,fr
+// A regional locale (de-CH) always falls back to its language (de) too.
+
+// Helper function to normalize a locale tag (pt-br -> pt-BR); null if invalid
+const canonicalLocale = (tag) => {
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseLocales = (value) =>
+  (value || "").split(",").map(canonicalLocale).filter(Boolean);
+
+const parseFallbacks = (value) =>
+  new Map(
+    (value || "")
+      .split(";")
+      .map((entry) => entry.split(":"))
+      .filter(([locale, fallbacks]) => canonicalLocale(locale) && fallbacks)
+      .map(([locale, fallbacks]) => [
+        canonicalLocale(locale),
+        parseLocales(fallbacks),
+      ])
+  );
+
+exports.getLocaleSettings = () => {
+  const supported = parseLocales(process.env.SUPPORTED_LOCALES);
+  if (supported.length === 0) supported.push("en");
+
+  const defaultLocale = canonicalLocale(process.env.DEFAULT_LOCALE || "");
+
+  return {
+    supported,
+    defaultLocale: supported.includes(defaultLocale)
+      ? defaultLocale
+      : supported[0],
+    fallbacks: parseFallbacks(process.env.LOCALE_FALLBACKS),
+  };
+};
+
+exports.canonicalLocale = canonicalLocale;
@@ -0,0 +1,19 @@
+// Media uploads. MIME types are detected from the file contents, never taken
+// from the client, and must be in this list.
+const ALLOWED_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+];
+
+exports.getMediaSettings = () => ({
+  // Largest accepted upload, MEDIA_MAX_MB (default 10 MB)
+  maxBytes: Math.floor(
+    (parseFloat(process.env.MEDIA_MAX_MB) || 10) * 1024 * 1024
+  ),
+  allowedMimeTypes: ALLOWED_MIME_TYPES,
+});
+
+exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
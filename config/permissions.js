@@ -0,0 +1,61 @@
+// Catalog of every permission the API checks. Roles are built from these
+// keys; the Permission collection is seeded from this list on startup.
+const PERMISSIONS = {
+  "content:create": "Create content",
+  "content:update:own": "Edit own content",
+  "content:update:any": "Edit anyone's content",
+  "content:delete:own": "Delete own content",
+  "content:delete:any": "Delete anyone's content",
+  "content:read:any": "See unpublished content by any author",
+  "content:publish": "Review, approve and publish content by others",
+  "content:bulk": "Export, import and bulk-edit content",
+  "comment:moderate": "Approve and hide comments on any content",
+  "taxonomy:manage": "Edit, merge and delete categories and tags",
+  "media:upload": "Upload media and manage own uploads",
+  "media:manage": "Manage every file in the media library",
+  "product:create": "Create products",
+  "product:update": "Edit products",
+  "product:delete": "Delete products",
+  "user:manage": "View, edit and delete users and their sessions",
+  "user:invite": "Create and revoke invitations",
+  "role:manage": "Create, edit and delete roles",
+  "audit:read": "View and export the audit log",
+  "webhook:manage": "Register webhooks and view and replay their deliveries",
+};
+
+// Roles created on startup. Their permissions are reset from this list every
+// time so they cannot drift; custom roles are left alone.
+const BUILT_IN_ROLES = {
+  admin: {
+    description: "Full access to everything",
+    permissions: Object.keys(PERMISSIONS),
+  },
+  editor: {
+    description: "Writes and manages their own content",
+    permissions: [
+      "content:create",
+      "content:update:own",
+      "content:delete:own",
+      "media:upload",
+    ],
+  },
+  reviewer: {
+    description:
+      "Reviews and publishes content by others and manages categories and tags",
+    permissions: ["content:read:any", "content:publish", "taxonomy:manage"],
+  },
+  product_manager: {
+    description: "Manages the product catalog",
+    permissions: ["product:create", "product:update", "product:delete"],
+  },
+};
+
+// How the old boolean flags on users map onto roles (see scripts/migrateRoles.js)
+const LEGACY_FLAG_ROLES = {
+  isAdmin: "admin",
+  accessContent: "editor",
+  reviewContent: "reviewer",
+  accessProduct: "product_manager",
+};
+
+module.exports = { PERMISSIONS, BUILT_IN_ROLES, LEGACY_FLAG_ROLES };
@@ -0,0 +1,37 @@
+// Rate limits as "<max requests>/<window in seconds>". Each can be
+// overridden with the environment variable named next to it, e.g.
+// RATE_LIMIT_LOGIN_IP=50/900.
+const DEFAULT_LIMITS = {
+  loginIp: ["RATE_LIMIT_LOGIN_IP", "20/900"],
+  loginAccount: ["RATE_LIMIT_LOGIN_ACCOUNT", "10/900"],
+  registerIp: ["RATE_LIMIT_REGISTER_IP", "5/3600"],
+  // Password reset and verification emails, shared by both routes
+  accountEmailIp: ["RATE_LIMIT_ACCOUNT_EMAIL_IP", "10/3600"],
+  accountEmailAddress: ["RATE_LIMIT_ACCOUNT_EMAIL_ADDRESS", "3/3600"],
+  contentWriteIp: ["RATE_LIMIT_CONTENT_WRITE_IP", "120/60"],
+  contentWriteUser: ["RATE_LIMIT_CONTENT_WRITE_USER", "60/60"],
+  mediaUploadUser: ["RATE_LIMIT_MEDIA_UPLOAD_USER", "30/3600"],
+};
+
+const parseLimit = (value) => {
+  const [max, seconds] = String(value).split("/").map(Number);
+  const valid =
+    Number.isInteger(max) && max > 0 && Number.isFinite(seconds) && seconds > 0;
+  if (!valid) return null;
+  return { max, windowMs: seconds * 1000 };
+};
+
+// Resolve the { max, windowMs } for a named limit
+exports.getRateLimit = (name) => {
+  const [envName, fallback] = DEFAULT_LIMITS[name];
+  return parseLimit(process.env[envName]) || parseLimit(fallback);
+};
+
+// Account lockout after repeated failed logins. The lock doubles with every
+// failure past the threshold, from LOGIN_LOCK_BASE_SECONDS up to
+// LOGIN_LOCK_MAX_SECONDS.
+exports.getLockoutPolicy = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  baseLockMs: (parseInt(process.env.LOGIN_LOCK_BASE_SECONDS) || 60) * 1000,
+  maxLockMs: (parseInt(process.env.LOGIN_LOCK_MAX_SECONDS) || 3600) * 1000,
+});
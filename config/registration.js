@@ -0,0 +1,23 @@
+// Registration policy, set with REGISTRATION_MODE:
+//   open   - anyone can register; invitations still grant their roles
+//   invite - registering requires a valid invitation token
+//   closed - no new accounts can be registered
+const REGISTRATION_MODES = ["open", "invite", "closed"];
+
+const getRegistrationMode = () => {
+  const mode = (process.env.REGISTRATION_MODE || "open").trim().toLowerCase();
+
+  // Fail closed on a typo rather than opening registration
+  return REGISTRATION_MODES.includes(mode) ? mode : "closed";
+};
+
+// How long admin invitations stay valid
+const DEFAULT_INVITATION_DAYS = 7;
+const MAX_INVITATION_DAYS = 30;
+
+module.exports = {
+  REGISTRATION_MODES,
+  getRegistrationMode,
+  DEFAULT_INVITATION_DAYS,
+  MAX_INVITATION_DAYS,
+};
@@ -0,0 +1,27 @@
+// Events webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+  "content.created",
+  "content.updated",
+  "content.published",
+  "content.unpublished",
+  "content.deleted",
+  "user.created",
+];
+
+exports.getWebhookSettings = () => ({
+  // How often the dispatcher looks for due deliveries
+  intervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 5 * 1000,
+  // How long an endpoint has to answer before the attempt counts as failed
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  // Attempts before a delivery is given up on (it can still be replayed)
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  // Retries wait base * 2^(attempt - 1) seconds, up to the maximum:
+  // 30s, 1m, 2m, 4m... with the defaults
+  backoffSeconds: parseInt(process.env.WEBHOOK_BACKOFF_SECONDS) || 30,
+  maxBackoffSeconds:
+    parseInt(process.env.WEBHOOK_MAX_BACKOFF_SECONDS) || 6 * 60 * 60,
+  // Deliveries sent per dispatcher run
+  batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20,
+});
+
+exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,117 @@
+const User = require("../models/userModel");
+const { consumeUserToken } = require("../utils/userTokens");
+const { revokeAllSessions } = require("../utils/sessions");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+} = require("../utils/accountEmails");
+const asyncHandler = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+// Same answer whether or not the address exists, so it cannot be probed
+const GENERIC_EMAIL_RESPONSE =
+  "If an account exists for this email, a message has been sent to it";
+
+// @desc    Email a password reset link
+// @route   POST /api/user/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.error("Error sending password reset email:", error);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: GENERIC_EMAIL_RESPONSE,
+  });
+});
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/user/reset-password
+// @access  Public (requires reset token)
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await consumeUserToken(token, "password_reset");
+  const user = userId && (await User.findOne({ userId }));
+
+  if (!user) {
+    throw new ValidationError("Reset link is invalid, expired or already used");
+  }
+
+  user.password = password;
+  // A new password ends any lockout the old one ran into
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  // Following the emailed link proves the user controls the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  user.$locals.auditAction = "user.password_reset";
+  await user.save();
+
+  // Anyone holding the old password may have sessions open
+  await revokeAllSessions(user.userId, "password_reset");
+
+  res.status(200).json({
+    success: true,
+    message: "Password has been reset. Please login.",
+  });
+});
+
+// @desc    Verify an email address
+// @route   POST /api/user/verify-email
+// @access  Public (requires verification token)
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeUserToken(token, "email_verification");
+  const user = userId && (await User.findOne({ userId }));
+
+  if (!user) {
+    throw new ValidationError(
+      "Verification link is invalid, expired or already used"
+    );
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.$locals.auditAction = "user.email_verified";
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+  });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/user/resend-verification
+// @access  Public
+exports.resendVerification = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && !user.emailVerified) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: GENERIC_EMAIL_RESPONSE,
+  });
+});
@@ -0,0 +1,197 @@
+const ApiKey = require("../models/apiKeyModel");
+const User = require("../models/userModel");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
+const { checkUserManagement } = require("../utils/permissions");
+const asyncHandler = require("../utils/asyncHandler");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// Helper function to shape an API key for API responses
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  userId: apiKey.userId,
+  scopes: apiKey.scopes,
+  allowedIps: apiKey.allowedIps,
+  state: apiKey.state,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+});
+
+// Helper function to check that the caller may manage another user's keys:
+// a key acts as its user, so managers cannot handle keys of users more
+// privileged than themselves
+const checkKeyOwner = async (req, owner) => {
+  const managementError = await checkUserManagement(req.user, owner);
+  if (managementError) {
+    throw new ForbiddenError(managementError);
+  }
+};
+
+// Helper function to load a key the caller may manage: their own, or anyone's
+// with user:manage. Keys of others are reported as missing.
+const loadManageableKey = async (req) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (
+    !apiKey ||
+    (apiKey.userId !== req.user.userId && !req.user.can("user:manage"))
+  ) {
+    throw new NotFoundError("API key not found");
+  }
+
+  if (apiKey.userId !== req.user.userId) {
+    const owner = await User.findOne({ userId: apiKey.userId }).select("roles");
+    if (owner) await checkKeyOwner(req, owner);
+  }
+
+  return apiKey;
+};
+
+// @desc    Get the scopes API keys can be given
+// @route   GET /api/api-keys/scopes
+// @access  Private (signed-in users)
+exports.getApiKeyScopes = asyncHandler(async (req, res) => {
+  const scopes = Object.entries(API_KEY_SCOPES).map(([key, scope]) => ({
+    key,
+    description: scope.description,
+    permissions: scope.permissions,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: scopes.length,
+    data: scopes,
+  });
+});
+
+// @desc    Get API keys, the caller's own or another user's (user:manage)
+// @route   GET /api/api-keys?userId=
+// @access  Private (signed-in users)
+exports.getApiKeys = asyncHandler(async (req, res) => {
+  const { userId = req.user.userId, page = 1, limit = 10 } = req.query;
+
+  if (userId !== req.user.userId && !req.user.can("user:manage")) {
+    throw new ForbiddenError("Not authorized to view this user's API keys");
+  }
+
+  const query = { userId };
+  const skip = (page - 1) * limit;
+
+  const apiKeys = await ApiKey.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await ApiKey.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: apiKeys.map(formatApiKey),
+  });
+});
+
+// @desc    Get an API key
+// @route   GET /api/api-keys/:id
+// @access  Private (owner or user:manage)
+exports.getApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await loadManageableKey(req);
+
+  res.status(200).json({
+    success: true,
+    data: formatApiKey(apiKey),
+  });
+});
+
+// @desc    Create an API key for the caller or, with user:manage, another user
+// @route   POST /api/api-keys
+// @access  Private (signed-in users)
+exports.createApiKey = asyncHandler(async (req, res) => {
+  const {
+    name,
+    scopes,
+    allowedIps = [],
+    expiresInDays,
+    userId = req.user.userId,
+  } = req.body;
+
+  if (userId !== req.user.userId) {
+    if (!req.user.can("user:manage")) {
+      throw new ForbiddenError("Not authorized to create keys for other users");
+    }
+    const owner = await User.findOne({ userId }).select("roles");
+    if (!owner) {
+      throw new NotFoundError("User not found");
+    }
+    await checkKeyOwner(req, owner);
+  }
+
+  const key = ApiKey.generateKey();
+  const apiKey = await ApiKey.create({
+    name,
+    userId,
+    keyHash: ApiKey.hashKey(key),
+    prefix: ApiKey.displayPrefix(key),
+    scopes: [...new Set(scopes)],
+    allowedIps: [...new Set(allowedIps)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+    createdBy: req.user.userId,
+  });
+
+  // The raw key is only ever returned here
+  res.status(201).json({
+    success: true,
+    message: "API key created. Store the key now, it will not be shown again",
+    key,
+    data: formatApiKey(apiKey),
+  });
+});
+
+// @desc    Rename an API key or change its IP allowlist
+// @route   PUT /api/api-keys/:id
+// @access  Private (owner or user:manage)
+exports.updateApiKey = asyncHandler(async (req, res) => {
+  const { name, allowedIps } = req.body;
+
+  const apiKey = await loadManageableKey(req);
+
+  if (name) apiKey.name = name;
+  if (allowedIps) apiKey.allowedIps = [...new Set(allowedIps)];
+
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: "API key updated successfully",
+    data: formatApiKey(apiKey),
+  });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private (owner or user:manage)
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await loadManageableKey(req);
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    apiKey.$locals.auditAction = "api_key.revoked";
+    await apiKey.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully",
+    data: formatApiKey(apiKey),
+  });
+});
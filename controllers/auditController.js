@@ -0,0 +1,134 @@
+const AuditLog = require("../models/auditLogModel");
+const asyncHandler = require("../utils/asyncHandler");
+const { recordAudit } = require("../utils/audit");
+const { toCsvLine } = require("../utils/csv");
+const { createResponseWriter } = require("../utils/responseStream");
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  "createdAt",
+  "actorType",
+  "actorId",
+  "actorEmail",
+  "action",
+  "targetType",
+  "targetId",
+  "changes",
+  "ip",
+  "userAgent",
+];
+
+// Helper function to build the audit log query from request filters
+const buildAuditQuery = ({
+  actorId,
+  actorType,
+  action,
+  targetType,
+  targetId,
+  field,
+  from,
+  to,
+}) => {
+  const query = {};
+  if (actorId) query.actorId = actorId;
+  if (actorType) query.actorType = actorType;
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (field) query["changes.field"] = field;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  return query;
+};
+
+// Helper function to shape an audit entry for API responses and exports
+const formatAuditEntry = (entry) => ({
+  _id: entry._id,
+  createdAt: entry.createdAt,
+  actorType: entry.actorType,
+  actorId: entry.actorId,
+  actorEmail: entry.actorEmail,
+  action: entry.action,
+  targetType: entry.targetType,
+  targetId: entry.targetId,
+  changes: entry.changes,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+});
+
+// @desc    Get audit log entries
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+exports.getAuditLog = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const query = buildAuditQuery(req.query);
+  const skip = (page - 1) * limit;
+
+  const entries = await AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: entries.map(formatAuditEntry),
+  });
+});
+
+// @desc    Export audit log entries as NDJSON or CSV, oldest first
+// @route   GET /api/admin/audit/export?format=ndjson|csv
+// @access  Private (audit:read)
+exports.exportAuditLog = asyncHandler(async (req, res) => {
+  const { format = "ndjson" } = req.query;
+
+  const query = buildAuditQuery(req.query);
+
+  // Exports are part of the trail themselves
+  await recordAudit({
+    action: "audit.exported",
+    targetType: "audit_log",
+    targetId: format,
+    changes: [{ field: "filters", before: null, after: query }],
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set("Cache-Control", "private, no-store");
+  res.attachment(`audit-${date}.${format}`);
+  res.type(format === "csv" ? "text/csv" : "application/x-ndjson");
+
+  // Respect backpressure from slow clients
+  const { write, isClosed } = createResponseWriter(res);
+
+  if (format === "csv") await write(`${toCsvLine(CSV_COLUMNS)}\n`);
+
+  // Stream so large exports never sit in memory
+  const cursor = AuditLog.find(query).sort({ createdAt: 1 }).lean().cursor();
+
+  try {
+    for await (const entry of cursor) {
+      // The client went away; stop reading
+      if (isClosed()) break;
+
+      const formatted = formatAuditEntry(entry);
+      const line =
+        format === "csv"
+          ? toCsvLine(CSV_COLUMNS.map((column) => formatted[column]))
+          : JSON.stringify(formatted);
+      await write(`${line}\n`);
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (!isClosed()) res.end();
+});
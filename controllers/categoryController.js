@@ -0,0 +1,226 @@
+const Category = require("../models/categoryModel");
+const Content = require("../models/contentModel");
+const generateSlug = require("../utils/slug");
+const { idOrSlugFilter } = require("../utils/taxonomy");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to shape a category for API responses
+const formatCategory = (category, counts = {}) => ({
+  _id: category._id,
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  parent: category.parent,
+  ...counts,
+  createdAt: category.createdAt,
+  updatedAt: category.updatedAt,
+});
+
+// Helper function to check that a new parent exists and, for an existing
+// category, is not the category itself or one of its subcategories
+const checkParent = async (parent, category = null) => {
+  if (!parent) return;
+
+  if (!(await Category.exists({ _id: parent }))) {
+    throw new ValidationError("Parent category not found");
+  }
+
+  if (category) {
+    const descendants = await Category.descendantIds(category._id);
+    if (
+      [category._id, ...descendants].some((id) => String(id) === String(parent))
+    ) {
+      throw new ValidationError(
+        "A category cannot be moved below itself or its subcategories"
+      );
+    }
+  }
+};
+
+// Helper function to reject a slug already used by another category
+const checkSlugAvailable = async (slug, category = null) => {
+  const existing = await Category.findOne({ slug });
+  if (existing && (!category || !existing._id.equals(category._id))) {
+    throw new ConflictError("A category with this slug already exists");
+  }
+};
+
+// @desc    List all categories with their published content counts
+// @route   GET /api/categories
+// @access  Public
+exports.getCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find().sort({ name: 1 });
+
+  const counts = await Content.countPublished(
+    "category",
+    categories.map((category) => category._id)
+  );
+
+  // Totals include every subcategory below a category
+  const children = new Map();
+  categories.forEach((category) => {
+    const key = String(category.parent);
+    children.set(key, [...(children.get(key) || []), category]);
+  });
+  const totals = new Map();
+  const total = (category) => {
+    const id = String(category._id);
+    if (!totals.has(id)) {
+      totals.set(
+        id,
+        (children.get(id) || []).reduce(
+          (sum, child) => sum + total(child),
+          counts.get(id) || 0
+        )
+      );
+    }
+    return totals.get(id);
+  };
+
+  res.status(200).json({
+    success: true,
+    count: categories.length,
+    data: categories.map((category) =>
+      formatCategory(category, {
+        publishedCount: counts.get(String(category._id)) || 0,
+        totalPublishedCount: total(category),
+      })
+    ),
+  });
+});
+
+// @desc    Get a category by id or slug, with its ancestors and children
+// @route   GET /api/categories/:id
+// @access  Public
+exports.getCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findOne(idOrSlugFilter([req.params.id]));
+
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  const [ancestors, children, descendants] = await Promise.all([
+    category.ancestors(),
+    Category.find({ parent: category._id }).sort({ name: 1 }),
+    Category.descendantIds(category._id),
+  ]);
+  const counts = await Content.countPublished("category", [
+    category._id,
+    ...descendants,
+  ]);
+  const totalPublishedCount = [...counts.values()].reduce((a, b) => a + b, 0);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...formatCategory(category, {
+        publishedCount: counts.get(String(category._id)) || 0,
+        totalPublishedCount,
+      }),
+      ancestors: ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+      children: children.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    },
+  });
+});
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private (content:create or taxonomy:manage)
+exports.createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, parent = null } = req.body;
+
+  const finalSlug = slug || generateSlug(name);
+  if (!finalSlug) {
+    throw new ValidationError(
+      "A slug cannot be generated from this name. Please provide one"
+    );
+  }
+
+  await checkSlugAvailable(finalSlug);
+  await checkParent(parent);
+
+  const category = await Category.create({
+    name,
+    slug: finalSlug,
+    description,
+    parent,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Category created successfully",
+    data: formatCategory(category),
+  });
+});
+
+// @desc    Update a category; the slug only changes when given
+// @route   PUT /api/categories/:id
+// @access  Private (taxonomy:manage)
+exports.updateCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, parent } = req.body;
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  if (slug && slug !== category.slug) {
+    await checkSlugAvailable(slug, category);
+  }
+  await checkParent(parent, category);
+
+  if (name) category.name = name;
+  if (slug) category.slug = slug;
+  if (description !== undefined) category.description = description;
+  // null moves the category to the top level
+  if (parent !== undefined) category.parent = parent;
+
+  await category.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Category updated successfully",
+    data: formatCategory(category),
+  });
+});
+
+// @desc    Delete a category without subcategories or content
+// @route   DELETE /api/categories/:id
+// @access  Private (taxonomy:manage)
+exports.deleteCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    throw new NotFoundError("Category not found");
+  }
+
+  const childCount = await Category.countDocuments({ parent: category._id });
+  if (childCount > 0) {
+    throw new ConflictError("Category still has subcategories", {
+      details: { childCount },
+    });
+  }
+
+  // Content cannot be left without a category
+  const contentCount = await Content.countDocuments({
+    category: category._id,
+  });
+  if (contentCount > 0) {
+    throw new ConflictError("Category is still used by content", {
+      details: { contentCount },
+    });
+  }
+
+  await category.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Category deleted successfully",
+  });
+});
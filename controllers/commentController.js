@@ -0,0 +1,312 @@
+const Comment = require("../models/commentModel");
+const Content = require("../models/contentModel");
+const User = require("../models/userModel");
+const asyncHandler = require("../utils/asyncHandler");
+const { checkSpam } = require("../utils/commentFilter");
+const { getCommentSettings } = require("../config/comments");
+const {
+  canModerate,
+  canViewComment,
+  canEditComment,
+  canDeleteComment,
+} = require("../policies/commentPolicy");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errors");
+
+// Helper function to load content the caller may see. Hidden content is
+// reported as missing so its existence does not leak.
+const loadVisibleContent = async (req) => {
+  const content = await Content.findById(req.params.id);
+
+  if (!content || !content.isVisibleTo(req.user)) {
+    throw new NotFoundError("Content not found");
+  }
+
+  return content;
+};
+
+// Helper function to load a comment of the given content
+const loadComment = async (req, content) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    content_id: content._id,
+  });
+
+  if (!comment || !canViewComment(req.user, comment, content)) {
+    throw new NotFoundError("Comment not found");
+  }
+
+  return comment;
+};
+
+// Helper function to look up comment authors at once
+const getAuthorsById = async (comments) => {
+  const authorIds = [...new Set(comments.map((comment) => comment.author_id))];
+  const authors = await User.find({ userId: { $in: authorIds } }).select(
+    "name userId"
+  );
+  return new Map(
+    authors.map((user) => [
+      user.userId,
+      { userId: user.userId, name: user.name },
+    ])
+  );
+};
+
+// Helper function to shape a comment for API responses. Moderators also see
+// why a comment was flagged.
+const formatComment = (comment, author, { moderator = false } = {}) => {
+  const formatted = {
+    _id: comment._id,
+    content_id: comment.content_id,
+    parent_id: comment.parent_id,
+    depth: comment.depth,
+    author: author || null,
+    body: comment.deletedAt ? null : comment.body,
+    status: comment.status,
+    deleted: Boolean(comment.deletedAt),
+    editedAt: comment.editedAt,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+  };
+  if (moderator) {
+    formatted.flagReason = comment.flagReason;
+    formatted.moderatedBy = comment.moderatedBy;
+    formatted.moderatedAt = comment.moderatedAt;
+  }
+  return formatted;
+};
+
+// Helper function to work out the status of a new or edited comment
+const moderationStatus = (body, settings) => {
+  const flagReason = checkSpam(body, settings);
+  const held = Boolean(flagReason) || settings.moderation === "pre";
+  return { status: held ? "pending" : "approved", flagReason };
+};
+
+// @desc    List comments of a content document as threads
+// @route   GET /api/content/:id/comments
+// @access  Public (pending and hidden comments visible to moderators)
+exports.getComments = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const content = await loadVisibleContent(req);
+  const moderator = canModerate(req.user, content);
+
+  // Everyone sees approved comments and their own; moderators see all
+  let visibility;
+  if (moderator) {
+    visibility = status ? { status } : {};
+  } else if (req.user) {
+    visibility = {
+      $or: [{ status: "approved" }, { author_id: req.user.userId }],
+    };
+  } else {
+    visibility = { status: "approved" };
+  }
+
+  const query = { content_id: content._id, parent_id: null, ...visibility };
+  const skip = (page - 1) * limit;
+
+  const roots = await Comment.find(query)
+    .sort({ createdAt: 1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await Comment.countDocuments(query);
+
+  const replies = await Comment.find({
+    root_id: { $in: roots.map((root) => root._id) },
+    parent_id: { $ne: null },
+    ...visibility,
+  }).sort({ createdAt: 1 });
+
+  const authorsById = await getAuthorsById([...roots, ...replies]);
+
+  // Nest the replies; a reply whose parent is not visible is left out
+  const nodes = new Map();
+  [...roots, ...replies].forEach((comment) => {
+    nodes.set(String(comment._id), {
+      ...formatComment(comment, authorsById.get(comment.author_id), {
+        moderator,
+      }),
+      replies: [],
+    });
+  });
+  replies.forEach((reply) => {
+    const parent = nodes.get(String(reply.parent_id));
+    if (parent) parent.replies.push(nodes.get(String(reply._id)));
+  });
+
+  res.status(200).json({
+    success: true,
+    count: roots.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: roots.map((root) => nodes.get(String(root._id))),
+  });
+});
+
+// @desc    Comment on published content, or reply to a comment
+// @route   POST /api/content/:id/comments
+// @access  Private
+exports.createComment = asyncHandler(async (req, res) => {
+  const { body, parentId } = req.body;
+  const settings = getCommentSettings();
+
+  const content = await loadVisibleContent(req);
+
+  if (content.status !== "published") {
+    throw new ValidationError("Comments are only allowed on published content");
+  }
+
+  let parent = null;
+  if (parentId) {
+    parent = await Comment.findOne({ _id: parentId, content_id: content._id });
+
+    if (
+      !parent ||
+      parent.deletedAt ||
+      !canViewComment(req.user, parent, content)
+    ) {
+      throw new NotFoundError("Parent comment not found");
+    }
+
+    if (parent.depth + 1 > settings.maxDepth) {
+      throw new ValidationError(
+        `Replies cannot be nested more than ${settings.maxDepth} levels deep`
+      );
+    }
+  }
+
+  const comment = new Comment({
+    content_id: content._id,
+    parent_id: parent ? parent._id : null,
+    root_id: parent ? parent.root_id : undefined,
+    depth: parent ? parent.depth + 1 : 0,
+    author_id: req.user.userId,
+    body,
+    ...moderationStatus(body, settings),
+  });
+
+  await comment.save();
+
+  res.status(201).json({
+    success: true,
+    message:
+      comment.status === "approved"
+        ? "Comment posted successfully"
+        : "Comment submitted for moderation",
+    data: formatComment(comment, {
+      userId: req.user.userId,
+      name: req.user.name,
+    }),
+  });
+});
+
+// @desc    Edit own comment within the edit window
+// @route   PUT /api/content/:id/comments/:commentId
+// @access  Private (comment author)
+exports.updateComment = asyncHandler(async (req, res) => {
+  const { body } = req.body;
+  const settings = getCommentSettings();
+
+  const content = await loadVisibleContent(req);
+  const comment = await loadComment(req, content);
+
+  if (!canEditComment(req.user, comment, settings)) {
+    throw new ForbiddenError(
+      `Comments can only be edited by their author within ${Math.round(
+        settings.editWindowMs / 60000
+      )} minutes of posting`
+    );
+  }
+
+  comment.body = body;
+  comment.editedAt = new Date();
+
+  // Edits go through the filter again; hidden comments stay hidden
+  if (comment.status !== "hidden") {
+    Object.assign(comment, moderationStatus(body, settings));
+  }
+
+  await comment.save();
+
+  res.status(200).json({
+    success: true,
+    message:
+      comment.status === "approved"
+        ? "Comment updated successfully"
+        : "Comment updated and submitted for moderation",
+    data: formatComment(comment, {
+      userId: req.user.userId,
+      name: req.user.name,
+    }),
+  });
+});
+
+// @desc    Delete own comment
+// @route   DELETE /api/content/:id/comments/:commentId
+// @access  Private (comment author)
+exports.deleteComment = asyncHandler(async (req, res) => {
+  const content = await loadVisibleContent(req);
+  const comment = await loadComment(req, content);
+
+  if (!canDeleteComment(req.user, comment)) {
+    throw new ForbiddenError("Not authorized to delete this comment");
+  }
+
+  // Keep a placeholder when others have replied, so the thread stays whole
+  const hasReplies = await Comment.exists({ parent_id: comment._id });
+  if (hasReplies) {
+    comment.body = "";
+    comment.deletedAt = new Date();
+    await comment.save();
+  } else {
+    await comment.deleteOne();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Comment deleted successfully",
+  });
+});
+
+// @desc    Approve or hide a comment
+// @route   POST /api/content/:id/comments/:commentId/moderate
+// @access  Private (content author or comment:moderate)
+exports.moderateComment = asyncHandler(async (req, res) => {
+  const { action } = req.body;
+
+  const content = await loadVisibleContent(req);
+
+  if (!canModerate(req.user, content)) {
+    throw new ForbiddenError("Not authorized to moderate these comments");
+  }
+
+  const comment = await loadComment(req, content);
+
+  comment.status = action === "approve" ? "approved" : "hidden";
+  comment.moderatedBy = req.user.userId;
+  comment.moderatedAt = new Date();
+  if (action === "approve") comment.flagReason = null;
+
+  await comment.save();
+
+  const authorsById = await getAuthorsById([comment]);
+
+  res.status(200).json({
+    success: true,
+    message:
+      action === "approve"
+        ? "Comment approved successfully"
+        : "Comment hidden successfully",
+    data: formatComment(comment, authorsById.get(comment.author_id), {
+      moderator: true,
+    }),
+  });
+});
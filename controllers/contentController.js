@@ -1,363 +1,792 @@
 const Content = require("../models/contentModel");
+const ContentRevision = require("../models/contentRevisionModel");
 const User = require("../models/userModel");
-
-// Helper function to generate slug from title
-const generateSlug = (title) => {
-  return title
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/--+/g, "-")
-    .trim();
-};
+const Comment = require("../models/commentModel");
+const Media = require("../models/mediaModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const generateSlug = require("../utils/slug");
+const { getMediaStorage } = require("../utils/mediaStorage");
+const { parseSearchTerms, buildSnippet } = require("../utils/search");
+const { taxonomyFilters } = require("../utils/taxonomy");
+const { negotiateLocales } = require("../utils/locale");
+const { getLocaleSettings } = require("../config/locales");
+const { getContentCacheSettings } = require("../config/content");
+const { contentCache, authorCache } = require("../utils/contentCache");
+const {
+  createPreviewToken,
+  verifyPreviewToken,
+  DEFAULT_PREVIEW_HOURS,
+} = require("../utils/previewTokens");
+const {
+  nextStatuses,
+  checkTransition,
+  applyTransition,
+  resetAfterEdit,
+} = require("../utils/workflow");
+const {
+  contentEventData,
+  emitWebhookEvent,
+  emitStatusChange,
+} = require("../utils/webhooks");
+const {
+  canUpdate,
+  canDelete,
+  canViewDrafts,
+} = require("../policies/contentPolicy");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to get the details of several authors at once, as a Map
+// by userId. Unknown authors are left out.
+const getAuthorsDetails = (userIds) =>
+  authorCache.fetchMany(userIds, async (missing) => {
+    const users = await User.find({ userId: { $in: missing } }).select(
+      "name email userId"
+    );
+    return new Map(
+      users.map((user) => [
+        user.userId,
+        { userId: user.userId, name: user.name, email: user.email },
+      ])
+    );
+  });
 
 // Helper function to get author details
 const getAuthorDetails = async (userId) => {
-  const user = await User.findOne({ userId }).select("name email userId");
-  if (!user) {
-    return null;
+  const authors = await getAuthorsDetails([userId]);
+  return authors.get(userId) || null;
+};
+
+// Helper function to count the visible comments of one content document
+const getCommentCount = async (contentId) => {
+  const counts = await Comment.countApproved([contentId]);
+  return counts.get(String(contentId)) || 0;
+};
+
+// References populated for API responses
+const REFERENCE_FIELDS = [
+  { path: "category", select: "name slug parent" },
+  { path: "tags", select: "name slug" },
+  { path: "featuredImage" },
+  { path: "attachments" },
+];
+
+// Helper function to check that the category and tags exist
+const checkTaxonomyReferences = async ({ category, tags }) => {
+  if (category && !(await Category.exists({ _id: category }))) {
+    throw new ValidationError(`Category not found: ${category}`);
+  }
+
+  const tagIds = [...new Set(tags || [])];
+  if (tagIds.length === 0) return;
+
+  const found = await Tag.find({ _id: { $in: tagIds } }).select("_id");
+  const foundIds = new Set(found.map((tag) => String(tag._id)));
+  const missing = tagIds.filter((id) => !foundIds.has(String(id)));
+
+  if (missing.length > 0) {
+    throw new ValidationError(`Tags not found: ${missing.join(", ")}`);
   }
+};
+
+// Helper function to check that referenced media exists
+const checkMediaReferences = async ({ featuredImage, attachments }) => {
+  const ids = [
+    ...new Set([
+      ...(featuredImage ? [featuredImage] : []),
+      ...(attachments || []),
+    ]),
+  ];
+  if (ids.length === 0) return;
+
+  const found = await Media.find({ _id: { $in: ids } }).select("_id");
+  const foundIds = new Set(found.map((media) => String(media._id)));
+  const missing = ids.filter((id) => !foundIds.has(String(id)));
+
+  if (missing.length > 0) {
+    throw new ValidationError(`Media not found: ${missing.join(", ")}`);
+  }
+};
+
+// Helper function to shape a media reference; full details once populated
+const formatMediaReference = (media) => {
+  if (!media) return null;
+  if (!media.storageKey) return { _id: media._id || media };
   return {
-    userId: user.userId,
-    name: user.name,
-    email: user.email,
+    _id: media._id,
+    url: getMediaStorage().url(media.storageKey),
+    mimeType: media.mimeType,
+    width: media.width,
+    height: media.height,
+    alt: media.alt,
   };
 };
 
-// @desc    Create new content
-// @route   POST /api/content
-// @access  Private (requires content access)
-exports.createContent = async (req, res) => {
-  try {
-    const { title, slug, body, category, tags, status } = req.body;
-
-    // Validate required fields
-    if (!title || !body || !category) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide all required fields: title, body, category",
-      });
-    }
+// Body fields left out of the "summary" list view
+const SUMMARY_PROJECTION = {
+  body: 0,
+  bodyHtml: 0,
+  toc: 0,
+  "translations.body": 0,
+  "translations.bodyHtml": 0,
+  "translations.toc": 0,
+};
 
-    // Generate slug if not provided
-    const finalSlug = slug || generateSlug(title);
+// Helper function to find content by id for a read. Anonymous readers only
+// see published content, so theirs comes from the in-process cache.
+const findContentForRead = (req, id) => {
+  const load = () => Content.findById(id).populate(REFERENCE_FIELDS);
+  if (req.user) return load();
 
-    // Check if slug already exists
-    const existingContent = await Content.findOne({ slug: finalSlug });
-    if (existingContent) {
-      return res.status(400).json({
-        success: false,
-        message: "A post with this slug already exists",
-      });
-    }
+  return contentCache.fetch(`id:${id}`, async () => {
+    const content = await load();
+    return content && content.status === "published" ? content : undefined;
+  });
+};
 
-    // Create new content with logged-in user's userId as author
-    const content = new Content({
-      title,
-      slug: finalSlug,
-      body,
-      category,
-      tags: tags || [],
-      author_id: req.user.userId,
-      status: status || "draft",
-    });
+// Helper function to find every post using a slug, as an original or a
+// translation, for a read; cached for anonymous readers like
+// findContentForRead
+const findContentBySlugForRead = (req, slug) => {
+  const load = () =>
+    Content.find({
+      $or: [{ slug }, { "translations.slug": slug }],
+    }).populate(REFERENCE_FIELDS);
+  if (req.user) return load();
+
+  return contentCache.fetch(`slug:${slug}`, async () =>
+    (await load()).filter((content) => content.status === "published")
+  );
+};
 
-    await content.save();
-
-    // Get author details
-    const authorDetails = await getAuthorDetails(content.author_id);
-
-    // Return content with author details
-    const contentWithAuthor = {
-      _id: content._id,
-      title: content.title,
-      slug: content.slug,
-      body: content.body,
-      category: content.category,
-      tags: content.tags,
-      author_id: content.author_id,
-      author: authorDetails,
-      status: content.status,
-      createdAt: content.createdAt,
-      updatedAt: content.updatedAt,
-    };
-
-    res.status(201).json({
-      success: true,
-      message: "Content created successfully",
-      data: contentWithAuthor,
-    });
-  } catch (error) {
-    console.error("Error creating content:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
-  }
+// Helper function to let clients and proxies cache a read. Express adds a
+// strong ETag and answers If-None-Match with 304. There is no Last-Modified:
+// responses include comment counts, authors and populated references, which
+// change without touching the content's updatedAt.
+// Anonymous readers only ever get published content, which may be shared;
+// signed-in readers may get drafts, so theirs stays private and is
+// revalidated on every use.
+const setCacheHeaders = (req, res) => {
+  res.set(
+    "Cache-Control",
+    req.user
+      ? "private, no-cache"
+      : `public, max-age=${getContentCacheSettings().maxAge}`
+  );
+  res.vary("Authorization");
+  res.vary("X-API-Key");
 };
 
-// @desc    Get all content
-// @route   GET /api/content
-// @access  Public
-exports.getAllContent = async (req, res) => {
-  try {
-    const { category, status, tags, page = 1, limit = 10 } = req.query;
-
-    // Build query
-    const query = {};
-    if (category) query.category = category;
-    if (status) query.status = status;
-    if (tags) query.tags = { $in: tags.split(",") };
-
-    const skip = (page - 1) * limit;
-
-    const contents = await Content.find(query)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await Content.countDocuments(query);
-
-    // Get author details for each content
-    const contentsWithAuthors = await Promise.all(
-      contents.map(async (content) => {
-        const authorDetails = await getAuthorDetails(content.author_id);
-        return {
-          _id: content._id,
-          title: content.title,
-          slug: content.slug,
-          body: content.body,
-          category: content.category,
-          tags: content.tags,
-          author_id: content.author_id,
-          author: authorDetails,
-          status: content.status,
-          createdAt: content.createdAt,
-          updatedAt: content.updatedAt,
-        };
-      })
+// Helper function to shape a category or tag reference; name and slug once
+// populated
+const formatTaxonomyReference = (item) => {
+  if (!item) return null;
+  if (!item.slug) return { _id: item._id || item };
+  return { _id: item._id, name: item.name, slug: item.slug };
+};
+
+// Helper function to pick the version of content to show for a locale chain.
+// Unpublished translations are only offered to those who can see drafts.
+const localizeFor = (req, content, chain) =>
+  content.localize(chain, { includeDrafts: canViewDrafts(req.user, content) });
+
+// Helper function to shape content for API responses. `localized` is the
+// version to show (see localizeFor), the original by default. The "summary"
+// view replaces the body with its excerpt and reading metadata.
+const formatContent = (
+  content,
+  authorDetails,
+  {
+    commentCount = 0,
+    view = "full",
+    localized = content.localize([content.locale], { includeDrafts: true }),
+  } = {}
+) => ({
+  _id: content._id,
+  locale: localized.locale,
+  title: localized.title,
+  slug: localized.slug,
+  ...(view === "summary"
+    ? {}
+    : {
+        body: localized.body,
+        bodyHtml: localized.bodyHtml,
+        toc: localized.toc,
+      }),
+  bodyFormat: localized.bodyFormat,
+  excerpt: localized.excerpt,
+  wordCount: localized.wordCount,
+  readingTime: localized.readingTime,
+  // Every locale the caller can switch to, the original included
+  translations: localized.translations,
+  originalLocale: content.locale,
+  category: formatTaxonomyReference(content.category),
+  tags: (content.tags || []).map(formatTaxonomyReference),
+  author_id: content.author_id,
+  author: authorDetails,
+  status: content.status,
+  publishAt: content.publishAt,
+  unpublishAt: content.unpublishAt,
+  publishedAt: content.publishedAt,
+  featuredImage: formatMediaReference(content.featuredImage),
+  attachments: (content.attachments || []).map(formatMediaReference),
+  commentCount,
+  createdAt: content.createdAt,
+  updatedAt: content.updatedAt,
+});
+
+// @desc    Create new content
+// @route   POST /api/content
+// @access  Private (content:create)
+exports.createContent = asyncHandler(async (req, res) => {
+  const {
+    title,
+    slug,
+    body,
+    bodyFormat,
+    category,
+    tags,
+    status,
+    locale = getLocaleSettings().defaultLocale,
+    featuredImage,
+    attachments,
+  } = req.body;
+
+  // New content always starts as a draft and moves through the workflow
+  if (status && status !== "draft") {
+    throw new ValidationError(
+      "New content must start as a draft. Use POST /api/content/:id/transition to change its status"
     );
+  }
 
-    res.status(200).json({
-      success: true,
-      count: contentsWithAuthors.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      data: contentsWithAuthors,
-    });
-  } catch (error) {
-    console.error("Error fetching content:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  // Generate slug if not provided
+  const finalSlug = slug || generateSlug(title);
+
+  // Slugs are unique per locale
+  if (await Content.isSlugTaken(locale, finalSlug)) {
+    throw new ConflictError("A post with this slug already exists");
   }
-};
+
+  await checkTaxonomyReferences({ category, tags });
+  await checkMediaReferences({ featuredImage, attachments });
+
+  // Create new content with logged-in user's userId as author
+  const content = new Content({
+    title,
+    slug: finalSlug,
+    body,
+    bodyFormat,
+    locale,
+    category,
+    tags: tags || [],
+    featuredImage: featuredImage || null,
+    attachments: attachments || [],
+    author_id: req.user.userId,
+    status: "draft",
+  });
+  content.$locals.editorId = req.user.userId;
+
+  await content.save();
+  await emitWebhookEvent("content.created", contentEventData(content));
+  await content.populate(REFERENCE_FIELDS);
+
+  // Get author details
+  const authorDetails = await getAuthorDetails(content.author_id);
+
+  // Return content with author details
+  const contentWithAuthor = formatContent(content, authorDetails);
+
+  res.status(201).json({
+    success: true,
+    message: "Content created successfully",
+    data: contentWithAuthor,
+  });
+});
+
+// @desc    Get all content
+// @route   GET /api/content
+// @access  Public (drafts visible to their author and content:read:any)
+exports.getAllContent = asyncHandler(async (req, res) => {
+  const {
+    category,
+    status,
+    tags,
+    view = "full",
+    page = 1,
+    limit = 10,
+  } = req.query;
+
+  // Build query, limited to what the caller may see
+  const filters = await taxonomyFilters({ category, tags });
+  if (status) filters.status = status;
+  const query = { $and: [filters, Content.visibilityFilter(req.user)] };
+
+  const skip = (page - 1) * limit;
+
+  const contents = await Content.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip)
+    .select(view === "summary" ? SUMMARY_PROJECTION : {})
+    .populate(REFERENCE_FIELDS);
+
+  const total = await Content.countDocuments(query);
+
+  const chain = negotiateLocales(req, res);
+  const commentCounts = await Comment.countApproved(
+    contents.map((content) => content._id)
+  );
+
+  // Get author details for all content at once
+  const authors = await getAuthorsDetails(
+    contents.map((content) => content.author_id)
+  );
+  const contentsWithAuthors = contents.map((content) =>
+    formatContent(content, authors.get(content.author_id) || null, {
+      commentCount: commentCounts.get(String(content._id)),
+      view,
+      localized: localizeFor(req, content, chain),
+    })
+  );
+
+  setCacheHeaders(req, res);
+  res.status(200).json({
+    success: true,
+    count: contentsWithAuthors.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: contentsWithAuthors,
+  });
+});
+
+// @desc    Full-text search over content
+// @route   GET /api/content/search?q=
+// @access  Public (drafts visible to their author and content:read:any)
+exports.searchContent = asyncHandler(async (req, res) => {
+  const {
+    q,
+    category,
+    status,
+    tags,
+    view = "full",
+    page = 1,
+    limit = 10,
+  } = req.query;
+
+  // $text supports "exact phrases" and -negated terms natively
+  const filters = await taxonomyFilters({ category, tags });
+  if (status) filters.status = status;
+  const match = {
+    $text: { $search: q },
+    $and: [filters, Content.visibilityFilter(req.user)],
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [result] = await Content.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: "textScore" } } },
+    {
+      $facet: {
+        results: [
+          { $sort: { score: -1, createdAt: -1 } },
+          { $skip: skip },
+          { $limit: parseInt(limit) },
+          // The body itself is still needed for highlights
+          ...(view === "summary"
+            ? [{ $project: { bodyHtml: 0, toc: 0 } }]
+            : []),
+        ],
+        total: [{ $count: "count" }],
+        categories: [
+          { $group: { _id: "$category", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        tags: [
+          { $unwind: "$tags" },
+          { $group: { _id: "$tags", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 },
+        ],
+        authors: [
+          { $group: { _id: "$author_id", count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 },
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  // Look up every author appearing in results or facets at once
+  const authorIds = [
+    ...new Set([
+      ...result.results.map((content) => content.author_id),
+      ...result.authors.map((author) => author._id),
+    ]),
+  ];
+  const authorsById = await getAuthorsDetails(authorIds);
+
+  // Name the categories and tags of the facets
+  const [facetCategories, facetTags] = await Promise.all([
+    Category.find({ _id: { $in: result.categories.map(({ _id }) => _id) } }),
+    Tag.find({ _id: { $in: result.tags.map(({ _id }) => _id) } }),
+  ]);
+  const taxonomyById = new Map(
+    [...facetCategories, ...facetTags].map((item) => [String(item._id), item])
+  );
+
+  const terms = parseSearchTerms(q);
+  const chain = negotiateLocales(req, res);
+
+  // Aggregation returns plain objects; hydrate them to localize
+  const contents = result.results.map((doc) => Content.hydrate(doc));
+  await Content.populate(contents, REFERENCE_FIELDS);
+
+  const commentCounts = await Comment.countApproved(
+    contents.map((content) => content._id)
+  );
+
+  setCacheHeaders(req, res);
+  res.status(200).json({
+    success: true,
+    count: result.results.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: contents.map((content, index) => {
+      const localized = localizeFor(req, content, chain);
+      return {
+        ...formatContent(content, authorsById.get(content.author_id) || null, {
+          commentCount: commentCounts.get(String(content._id)),
+          view,
+          localized,
+        }),
+        score: result.results[index].score,
+        highlights: {
+          title: buildSnippet(localized.title, terms, localized.title.length),
+          body: buildSnippet(localized.body, terms),
+        },
+      };
+    }),
+    facets: {
+      categories: result.categories.map(({ _id, count }) => ({
+        category: formatTaxonomyReference(taxonomyById.get(String(_id)) || _id),
+        count,
+      })),
+      tags: result.tags.map(({ _id, count }) => ({
+        tag: formatTaxonomyReference(taxonomyById.get(String(_id)) || _id),
+        count,
+      })),
+      authors: result.authors.map(({ _id, count }) => ({
+        author_id: _id,
+        name: authorsById.get(_id)?.name || null,
+        count,
+      })),
+    },
+  });
+});
 
 // @desc    Get content by slug
 // @route   GET /api/content/slug/:slug
-// @access  Public
-exports.getContentBySlug = async (req, res) => {
-  try {
-    const content = await Content.findOne({ slug: req.params.slug });
-
-    if (!content) {
-      return res.status(404).json({
-        success: false,
-        message: "Content not found",
-      });
-    }
+// @access  Public (drafts visible to their author and content:read:any)
+exports.getContentBySlug = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  // Slugs are unique per locale, so several posts can share one
+  const candidates = await findContentBySlugForRead(req, slug);
+
+  // Locales the slug belongs to, among the versions the caller may see.
+  // Hidden content is reported as missing so its existence does not leak.
+  const matches = candidates
+    .filter((content) => content.isVisibleTo(req.user))
+    .flatMap((content) =>
+      content
+        .versions({ includeDrafts: canViewDrafts(req.user, content) })
+        .filter((version) => version.slug === slug)
+        .map((version) => ({ content, locale: version.locale }))
+    );
 
-    // Get author details
-    const authorDetails = await getAuthorDetails(content.author_id);
-
-    const contentWithAuthor = {
-      _id: content._id,
-      title: content.title,
-      slug: content.slug,
-      body: content.body,
-      category: content.category,
-      tags: content.tags,
-      author_id: content.author_id,
-      author: authorDetails,
-      status: content.status,
-      createdAt: content.createdAt,
-      updatedAt: content.updatedAt,
-    };
-
-    res.status(200).json({
-      success: true,
-      data: contentWithAuthor,
-    });
-  } catch (error) {
-    console.error("Error fetching content:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  if (matches.length === 0) {
+    throw new NotFoundError("Content not found");
   }
-};
+
+  // The slug decides the locale unless ?locale= asks for another one
+  const chain = negotiateLocales(req, res);
+  const match =
+    chain
+      .map((locale) => matches.find((item) => item.locale === locale))
+      .find(Boolean) || matches[0];
+  const { content } = match;
+  const localized = localizeFor(
+    req,
+    content,
+    req.query.locale ? chain : [match.locale, ...chain]
+  );
+
+  // Get author details
+  const authorDetails = await getAuthorDetails(content.author_id);
+  const commentCount = await getCommentCount(content._id);
+
+  setCacheHeaders(req, res);
+  res.set("Content-Language", localized.locale);
+  res.status(200).json({
+    success: true,
+    data: formatContent(content, authorDetails, { commentCount, localized }),
+  });
+});
 
 // @desc    Get content by ID
 // @route   GET /api/content/:id
-// @access  Public
-exports.getContentById = async (req, res) => {
-  try {
-    const content = await Content.findById(req.params.id);
-
-    if (!content) {
-      return res.status(404).json({
-        success: false,
-        message: "Content not found",
-      });
-    }
+// @access  Public (drafts visible to their author and content:read:any)
+exports.getContentById = asyncHandler(async (req, res) => {
+  const content = await findContentForRead(req, req.params.id);
 
-    // Get author details
-    const authorDetails = await getAuthorDetails(content.author_id);
-
-    const contentWithAuthor = {
-      _id: content._id,
-      title: content.title,
-      slug: content.slug,
-      body: content.body,
-      category: content.category,
-      tags: content.tags,
-      author_id: content.author_id,
-      author: authorDetails,
-      status: content.status,
-      createdAt: content.createdAt,
-      updatedAt: content.updatedAt,
-    };
-
-    res.status(200).json({
-      success: true,
-      data: contentWithAuthor,
-    });
-  } catch (error) {
-    console.error("Error fetching content:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  // Hidden content is reported as missing so its existence does not leak
+  if (!content || !content.isVisibleTo(req.user)) {
+    throw new NotFoundError("Content not found");
   }
-};
+
+  const localized = localizeFor(req, content, negotiateLocales(req, res));
+
+  // Get author details
+  const authorDetails = await getAuthorDetails(content.author_id);
+  const commentCount = await getCommentCount(content._id);
+
+  setCacheHeaders(req, res);
+  res.set("Content-Language", localized.locale);
+  res.status(200).json({
+    success: true,
+    data: formatContent(content, authorDetails, { commentCount, localized }),
+  });
+});
+
+// @desc    Create a signed, expiring preview link for unpublished content
+// @route   POST /api/content/:id/preview-link
+// @access  Private (users who can see the content)
+exports.createPreviewLink = asyncHandler(async (req, res) => {
+  const { expiresInHours = DEFAULT_PREVIEW_HOURS } = req.body;
+
+  const content = await Content.findById(req.params.id);
+
+  if (!content || !content.isVisibleTo(req.user)) {
+    throw new NotFoundError("Content not found");
+  }
+
+  const { token, expiresAt } = createPreviewToken(content._id, expiresInHours);
+
+  res.status(201).json({
+    success: true,
+    message: "Preview link created successfully",
+    data: {
+      token,
+      url: `${req.baseUrl}/preview/${token}`,
+      expiresAt,
+    },
+  });
+});
+
+// @desc    Get content through a preview link, whatever its status
+// @route   GET /api/content/preview/:token
+// @access  Public (requires a valid preview token)
+exports.getContentPreview = asyncHandler(async (req, res) => {
+  const preview = verifyPreviewToken(req.params.token);
+
+  if (!preview) {
+    throw new UnauthorizedError("Preview link is invalid or has expired");
+  }
+
+  const content = await Content.findById(preview.contentId).populate(
+    REFERENCE_FIELDS
+  );
+
+  if (!content) {
+    throw new NotFoundError("Content not found");
+  }
+
+  const authorDetails = await getAuthorDetails(content.author_id);
+
+  // Previews include unpublished translations
+  const localized = content.localize(negotiateLocales(req, res), {
+    includeDrafts: true,
+  });
+
+  // Previews must never be cached or indexed
+  res.set("Cache-Control", "private, no-store");
+  res.set("X-Robots-Tag", "noindex, nofollow");
+  res.set("Content-Language", localized.locale);
+
+  res.status(200).json({
+    success: true,
+    preview: true,
+    previewExpiresAt: preview.expiresAt,
+    data: formatContent(content, authorDetails, {
+      commentCount: await getCommentCount(content._id),
+      localized,
+    }),
+  });
+});
 
 // @desc    Update content
 // @route   PUT /api/content/:id
-// @access  Private (requires content access)
-exports.updateContent = async (req, res) => {
-  try {
-    const { title, slug, body, category, tags, status } = req.body;
-
-    let content = await Content.findById(req.params.id);
-
-    if (!content) {
-      return res.status(404).json({
-        success: false,
-        message: "Content not found",
-      });
-    }
+// @access  Private (content:update:own or content:update:any)
+exports.updateContent = asyncHandler(async (req, res) => {
+  const {
+    title,
+    slug,
+    body,
+    bodyFormat,
+    category,
+    tags,
+    status,
+    featuredImage,
+    attachments,
+  } = req.body;
+
+  let content = await Content.findById(req.params.id);
+
+  if (!content) {
+    throw new NotFoundError("Content not found");
+  }
 
-    // Check if user is author or admin
-    if (content.author_id !== req.user.userId && !req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to update this content",
-      });
-    }
+  // Check if user may edit this content
+  if (!canUpdate(req.user, content)) {
+    throw new ForbiddenError("Not authorized to update this content");
+  }
 
-    // If slug is being updated, check for duplicates
-    if (slug && slug !== content.slug) {
-      const existingContent = await Content.findOne({ slug });
-      if (existingContent) {
-        return res.status(400).json({
-          success: false,
-          message: "A post with this slug already exists",
-        });
-      }
+  // Status changes go through the workflow endpoint
+  if (status && status !== content.status) {
+    throw new ValidationError(
+      "Status cannot be changed here. Use POST /api/content/:id/transition"
+    );
+  }
+
+  // If slug is being updated, check for duplicates
+  if (slug && slug !== content.slug) {
+    if (await Content.isSlugTaken(content.locale, slug, content._id)) {
+      throw new ConflictError("A post with this slug already exists");
     }
+  }
 
-    // Update fields
-    if (title) content.title = title;
-    if (slug) content.slug = slug;
-    if (body) content.body = body;
-    if (category) content.category = category;
-    if (tags) content.tags = tags;
-    if (status) content.status = status;
-
-    await content.save();
-
-    // Get author details
-    const authorDetails = await getAuthorDetails(content.author_id);
-
-    const contentWithAuthor = {
-      _id: content._id,
-      title: content.title,
-      slug: content.slug,
-      body: content.body,
-      category: content.category,
-      tags: content.tags,
-      author_id: content.author_id,
-      author: authorDetails,
-      status: content.status,
-      createdAt: content.createdAt,
-      updatedAt: content.updatedAt,
-    };
-
-    res.status(200).json({
-      success: true,
-      message: "Content updated successfully",
-      data: contentWithAuthor,
-    });
-  } catch (error) {
-    console.error("Error updating content:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
+  await checkTaxonomyReferences({ category, tags });
+  await checkMediaReferences({ featuredImage, attachments });
+
+  // Update fields
+  if (title) content.title = title;
+  if (slug) content.slug = slug;
+  if (body) content.body = body;
+  if (bodyFormat) content.bodyFormat = bodyFormat;
+  if (category) content.category = category;
+  if (tags) content.tags = tags;
+  // null removes the featured image
+  if (featuredImage !== undefined) content.featuredImage = featuredImage;
+  if (attachments) content.attachments = attachments;
+  content.$locals.editorId = req.user.userId;
+
+  // Reviewed work edited by anyone but a reviewer needs another review,
+  // published work included
+  const previousStatus = content.status;
+  resetAfterEdit(content, req.user);
+
+  // Saving without changes is not an update subscribers need to hear about
+  const changed = content.isModified();
+  await content.save();
+  if (changed) {
+    await emitWebhookEvent("content.updated", contentEventData(content));
+    await emitStatusChange(content, previousStatus);
+  }
+  await content.populate(REFERENCE_FIELDS);
+
+  // Get author details
+  const authorDetails = await getAuthorDetails(content.author_id);
+  const commentCount = await getCommentCount(content._id);
+
+  const contentWithAuthor = formatContent(content, authorDetails, {
+    commentCount,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Content updated successfully",
+    data: contentWithAuthor,
+  });
+});
+
+// @desc    Move content through the editorial workflow
+// @route   POST /api/content/:id/transition
+// @access  Private (editors or reviewers depending on transition)
+exports.transitionContent = asyncHandler(async (req, res) => {
+  const { to, note, publishAt, unpublishAt } = req.body;
+
+  const content = await Content.findById(req.params.id);
+
+  if (!content) {
+    throw new NotFoundError("Content not found");
+  }
+
+  const options = { note, publishAt, unpublishAt };
+  const rejection = checkTransition(content, to, req.user, options);
+  if (rejection) {
+    const RejectionError =
+      rejection.status === 403 ? ForbiddenError : ValidationError;
+    throw new RejectionError(rejection.message, {
+      code: "INVALID_TRANSITION",
+      details: { allowed: nextStatuses(content.status) },
     });
   }
-};
+
+  const previousStatus = content.status;
+  applyTransition(content, to, req.user.userId, options);
+  content.$locals.auditAction = "content.transitioned";
+  await content.save();
+  await emitStatusChange(content, previousStatus);
+  await content.populate(REFERENCE_FIELDS);
+
+  const authorDetails = await getAuthorDetails(content.author_id);
+
+  res.status(200).json({
+    success: true,
+    message: `Content moved to ${content.status}`,
+    data: {
+      ...formatContent(content, authorDetails, {
+        commentCount: await getCommentCount(content._id),
+      }),
+      statusHistory: content.statusHistory,
+    },
+  });
+});
 
 // @desc    Delete content
 // @route   DELETE /api/content/:id
-// @access  Private (Admin only)
-exports.deleteContent = async (req, res) => {
-  try {
-    const content = await Content.findById(req.params.id);
-
-    if (!content) {
-      return res.status(404).json({
-        success: false,
-        message: "Content not found",
-      });
-    }
-
-    // Check if user is author or admin
-    if (content.author_id !== req.user.userId && !req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Not authorized to delete this content",
-      });
-    }
+// @access  Private (content:delete:own or content:delete:any)
+exports.deleteContent = asyncHandler(async (req, res) => {
+  const content = await Content.findById(req.params.id);
 
-    await content.deleteOne();
+  if (!content) {
+    throw new NotFoundError("Content not found");
+  }
 
-    res.status(200).json({
-      success: true,
-      message: "Content deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting content:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  // Check if user may delete this content
+  if (!canDelete(req.user, content)) {
+    throw new ForbiddenError("Not authorized to delete this content");
   }
-};
+
+  await content.deleteOne();
+  await ContentRevision.deleteMany({ content_id: content._id });
+  await Comment.deleteMany({ content_id: content._id });
+  await emitWebhookEvent("content.deleted", contentEventData(content));
+
+  res.status(200).json({
+    success: true,
+    message: "Content deleted successfully",
+  });
+});
@@ -0,0 +1,285 @@
+const Content = require("../models/contentModel");
+const ContentRevision = require("../models/contentRevisionModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const { resetAfterEdit } = require("../utils/workflow");
+const {
+  contentEventData,
+  emitWebhookEvent,
+  emitStatusChange,
+} = require("../utils/webhooks");
+const { canUpdate, canReview } = require("../policies/contentPolicy");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to load a content document the user may see revisions of
+const loadEditableContent = async (req) => {
+  const content = await Content.findById(req.params.id);
+
+  if (!content) {
+    throw new NotFoundError("Content not found");
+  }
+
+  // Check if user may edit this content
+  if (!canUpdate(req.user, content)) {
+    throw new ForbiddenError(
+      "Not authorized to access revisions of this content"
+    );
+  }
+
+  return content;
+};
+
+// Helper function to shape a revision for API responses
+const formatRevision = (revision, { includeSnapshot = true } = {}) => {
+  const formatted = {
+    _id: revision._id,
+    content_id: revision.content_id,
+    revision: revision.revision,
+    editor_id: revision.editor_id,
+    changedFields: revision.changedFields,
+    restoredFrom: revision.restoredFrom,
+    createdAt: revision.createdAt,
+  };
+  if (includeSnapshot) formatted.snapshot = revision.snapshot;
+  return formatted;
+};
+
+// @desc    List revisions of a content document
+// @route   GET /api/content/:id/revisions
+// @access  Private (users who can edit the content)
+exports.getRevisions = asyncHandler(async (req, res) => {
+  const content = await loadEditableContent(req);
+
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+
+  const query = { content_id: content._id };
+
+  const revisions = await ContentRevision.find(query)
+    .select("-snapshot")
+    .sort({ revision: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await ContentRevision.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: revisions.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: revisions.map((revision) =>
+      formatRevision(revision, { includeSnapshot: false })
+    ),
+  });
+});
+
+// @desc    Get a single revision of a content document
+// @route   GET /api/content/:id/revisions/:revision
+// @access  Private (users who can edit the content)
+exports.getRevision = asyncHandler(async (req, res) => {
+  const content = await loadEditableContent(req);
+
+  const revision = await ContentRevision.findOne({
+    content_id: content._id,
+    revision: req.params.revision,
+  });
+
+  if (!revision) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatRevision(revision),
+  });
+});
+
+// @desc    Field-level diff between two revisions
+// @route   GET /api/content/:id/revisions/diff?from=&to=
+// @access  Private (users who can edit the content)
+exports.diffRevisions = asyncHandler(async (req, res) => {
+  const content = await loadEditableContent(req);
+
+  const { from, to } = req.query;
+
+  const revisions = await ContentRevision.find({
+    content_id: content._id,
+    revision: { $in: [from, to] },
+  });
+  const fromRevision = revisions.find((r) => r.revision === from);
+  const toRevision = revisions.find((r) => r.revision === to);
+
+  if (!fromRevision || !toRevision) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      from,
+      to,
+      changes: ContentRevision.diffSnapshots(
+        fromRevision.toObject().snapshot,
+        toRevision.toObject().snapshot
+      ),
+    },
+  });
+});
+
+// Helper function to put back the translations of a snapshot, updating the
+// ones that still exist in place so only real changes are recorded
+const restoreTranslations = (content, translations) => {
+  const kept = content.translations.filter((item) =>
+    translations.some(({ locale }) => locale === item.locale)
+  );
+  if (kept.length !== content.translations.length) {
+    content.translations = kept;
+  }
+
+  translations.forEach((translation) => {
+    const current = content.translations.find(
+      (item) => item.locale === translation.locale
+    );
+    if (current) current.set(translation);
+    else content.translations.push(translation);
+  });
+};
+
+// @desc    Restore an earlier revision as a new revision
+// @route   POST /api/content/:id/revisions/:revision/restore
+// @access  Private (users who can edit the content)
+exports.restoreRevision = asyncHandler(async (req, res) => {
+  const content = await loadEditableContent(req);
+
+  const revision = await ContentRevision.findOne({
+    content_id: content._id,
+    revision: req.params.revision,
+  });
+
+  if (!revision) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  const snapshot = revision.toObject().snapshot;
+
+  // The old slug may have been taken by another post since
+  if (snapshot.slug !== content.slug) {
+    if (await Content.isSlugTaken(content.locale, snapshot.slug, content._id)) {
+      throw new ConflictError("A post with this slug already exists");
+    }
+  }
+
+  // Translations come back with the status they have now: publishing stays
+  // with reviewers, and edits by anyone else unpublish them. Revisions from
+  // before translations were captured leave them as they are.
+  if (snapshot.translations) {
+    snapshot.translations = snapshot.translations.map((translation) => {
+      const current = content.translations.find(
+        (item) => item.locale === translation.locale
+      );
+      const edited =
+        !current ||
+        ["title", "slug", "body", "bodyFormat"].some(
+          (field) => current[field] !== translation[field]
+        );
+      const published =
+        current &&
+        current.status === "published" &&
+        (!edited || canReview(req.user, content));
+      return {
+        ...translation,
+        status: published ? "published" : "draft",
+        publishedAt: published ? current.publishedAt : null,
+      };
+    });
+
+    for (const translation of snapshot.translations) {
+      const current = content.translations.find(
+        (item) => item.locale === translation.locale
+      );
+      if (
+        (!current || current.slug !== translation.slug) &&
+        (await Content.isSlugTaken(
+          translation.locale,
+          translation.slug,
+          content._id
+        ))
+      ) {
+        throw new ConflictError(
+          `A post with the ${translation.locale} translation's slug already exists`
+        );
+      }
+    }
+  }
+
+  // The category may have been deleted since; tags deleted or merged since
+  // are dropped
+  if (!(await Category.exists({ _id: snapshot.category }))) {
+    throw new ValidationError("The category of this revision no longer exists");
+  }
+  const existingTags = await Tag.find({
+    _id: { $in: snapshot.tags || [] },
+  }).select("_id");
+  const existingTagIds = new Set(existingTags.map((tag) => String(tag._id)));
+  snapshot.tags = (snapshot.tags || []).filter((tag) =>
+    existingTagIds.has(String(tag))
+  );
+
+  // Status is owned by the editorial workflow and is never rolled back
+  ContentRevision.REVISION_FIELDS.filter(
+    (field) => field !== "status" && field !== "translations"
+  ).forEach((field) => {
+    content[field] = snapshot[field];
+  });
+  if (snapshot.translations) {
+    restoreTranslations(content, snapshot.translations);
+  }
+  content.$locals.editorId = req.user.userId;
+  content.$locals.restoredFrom = revision.revision;
+  content.$locals.auditAction = "content.restored";
+
+  // Reviewed work changed by anyone but a reviewer needs another review,
+  // published work included
+  const previousStatus = content.status;
+  resetAfterEdit(content, req.user);
+
+  const changed = content.isModified();
+  await content.save();
+  if (changed) {
+    await emitWebhookEvent("content.updated", contentEventData(content));
+    await emitStatusChange(content, previousStatus);
+  }
+
+  const latest = await ContentRevision.findOne({ content_id: content._id })
+    .select("-snapshot")
+    .sort({ revision: -1 });
+
+  res.status(200).json({
+    success: true,
+    message: `Revision ${revision.revision} restored successfully`,
+    data: {
+      _id: content._id,
+      title: content.title,
+      slug: content.slug,
+      body: content.body,
+      category: content.category,
+      tags: content.tags,
+      author_id: content.author_id,
+      status: content.status,
+      publishAt: content.publishAt,
+      unpublishAt: content.unpublishAt,
+      publishedAt: content.publishedAt,
+      createdAt: content.createdAt,
+      updatedAt: content.updatedAt,
+    },
+    revision: latest && formatRevision(latest, { includeSnapshot: false }),
+  });
+});
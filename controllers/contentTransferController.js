@@ -0,0 +1,365 @@
+const Content = require("../models/contentModel");
+const ContentRevision = require("../models/contentRevisionModel");
+const Comment = require("../models/commentModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const User = require("../models/userModel");
+const asyncHandler = require("../utils/asyncHandler");
+const { recordAudit } = require("../utils/audit");
+const { toCsvLine } = require("../utils/csv");
+const { createResponseWriter } = require("../utils/responseStream");
+const { taxonomyFilters } = require("../utils/taxonomy");
+const {
+  CSV_COLUMNS,
+  formatFromFileName,
+  loadTaxonomySlugs,
+  toExportRecord,
+  parseImportFile,
+  importContent,
+} = require("../utils/contentTransfer");
+const {
+  nextStatuses,
+  checkTransition,
+  applyTransition,
+  resetAfterEdit,
+} = require("../utils/workflow");
+const {
+  contentEventData,
+  emitWebhookEvent,
+  emitStatusChange,
+} = require("../utils/webhooks");
+const { canUpdate, canDelete } = require("../policies/contentPolicy");
+const { getContentTransferSettings } = require("../config/content");
+const {
+  AppError,
+  ValidationError,
+  ForbiddenError,
+} = require("../utils/errors");
+
+const CONTENT_TYPES = {
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+  csv: "text/csv",
+};
+
+// Helper function to build the export query from request filters
+const buildExportQuery = async ({
+  status,
+  category,
+  tags,
+  locale,
+  author,
+  from,
+  to,
+}) => {
+  const query = await taxonomyFilters({ category, tags });
+  if (status) query.status = status;
+  if (locale) query.locale = locale;
+  if (author) {
+    const user = await User.findOne({ email: author }).select("userId");
+    query.author_id = { $in: user ? [user.userId] : [] };
+  }
+  if (from || to) {
+    query.updatedAt = {};
+    if (from) query.updatedAt.$gte = from;
+    if (to) query.updatedAt.$lte = to;
+  }
+  return query;
+};
+
+// Helper function to count import or bulk results by outcome
+const summarize = (results) =>
+  results.reduce(
+    (summary, { result }) => ({
+      ...summary,
+      [result]: (summary[result] || 0) + 1,
+    }),
+    { total: results.length }
+  );
+
+// @desc    Export content matching a filter as JSON, NDJSON or CSV
+// @route   GET /api/admin/content/export?format=json|ndjson|csv
+// @access  Private (content:bulk)
+exports.exportContent = asyncHandler(async (req, res) => {
+  const { format = "ndjson" } = req.query;
+
+  const query = await buildExportQuery(req.query);
+  const taxonomy = await loadTaxonomySlugs();
+
+  await recordAudit({
+    action: "content.exported",
+    targetType: "content",
+    targetId: format,
+    changes: [{ field: "filters", before: null, after: query }],
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set("Cache-Control", "private, no-store");
+  res.attachment(`content-${date}.${format}`);
+  res.type(CONTENT_TYPES[format]);
+
+  // Respect backpressure from slow clients
+  const { write, isClosed } = createResponseWriter(res);
+
+  if (format === "csv") await write(`${toCsvLine(CSV_COLUMNS)}\n`);
+  if (format === "json") await write("[");
+
+  // Stream so large exports never sit in memory; author emails are looked
+  // up once per author
+  const authorEmails = new Map();
+  const cursor = Content.find(query)
+    .select(
+      "-bodyHtml -toc -statusHistory -translations.bodyHtml -translations.toc"
+    )
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  let count = 0;
+  try {
+    for await (const content of cursor) {
+      // The client went away; stop reading
+      if (isClosed()) break;
+
+      if (!authorEmails.has(content.author_id)) {
+        const author = await User.findOne({ userId: content.author_id })
+          .select("email")
+          .lean();
+        authorEmails.set(content.author_id, author ? author.email : null);
+      }
+
+      const record = toExportRecord(content, { taxonomy, authorEmails });
+      if (format === "csv") {
+        const values = CSV_COLUMNS.map((column) =>
+          column === "tags" ? record.tags.join(",") : record[column]
+        );
+        await write(`${toCsvLine(values)}\n`);
+      } else if (format === "json") {
+        await write(`${count === 0 ? "\n" : ",\n"}${JSON.stringify(record)}`);
+      } else {
+        await write(`${JSON.stringify(record)}\n`);
+      }
+      count += 1;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (isClosed()) return;
+  if (format === "json") await write(count === 0 ? "]\n" : "\n]\n");
+  res.end();
+});
+
+// @desc    Import content from a JSON, NDJSON or CSV file
+// @route   POST /api/admin/content/import
+// @access  Private (content:bulk)
+exports.importContent = asyncHandler(async (req, res) => {
+  const { dryRun = false, onConflict = "skip", fallbackAuthor } = req.body;
+
+  const format = req.body.format || formatFromFileName(req.file.originalname);
+  if (!format) {
+    throw new ValidationError(
+      "The format cannot be told from the file name. Set format to json, ndjson or csv"
+    );
+  }
+
+  let fallbackAuthorId = null;
+  if (fallbackAuthor) {
+    const user = await User.findOne({ email: fallbackAuthor }).select("userId");
+    if (!user) {
+      throw new ValidationError(`No user with the email ${fallbackAuthor}`);
+    }
+    fallbackAuthorId = user.userId;
+  }
+
+  let rows;
+  try {
+    rows = parseImportFile(req.file.buffer.toString("utf8"), format);
+  } catch (error) {
+    throw new ValidationError(
+      `The file cannot be read as ${format}: ${error.message}`,
+      { code: "INVALID_IMPORT" }
+    );
+  }
+
+  const { maxImportRows } = getContentTransferSettings();
+  if (rows.length === 0) {
+    throw new ValidationError("The file has no rows to import");
+  }
+  if (rows.length > maxImportRows) {
+    throw new ValidationError(
+      `The file has ${rows.length} rows; at most ${maxImportRows} can be imported at once`
+    );
+  }
+
+  const results = await importContent(rows, {
+    user: req.user,
+    dryRun,
+    onConflict,
+    fallbackAuthorId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: dryRun
+      ? "Dry run finished. Nothing was written"
+      : "Import finished",
+    dryRun,
+    summary: summarize(results),
+    results,
+  });
+});
+
+// Helper function to save an edit made by a bulk action. Reviewed work
+// edited by anyone but a reviewer needs another review, as with
+// PUT /api/content/:id.
+const saveEdit = async (content, user) => {
+  if (!content.isModified()) return "unchanged";
+
+  const previousStatus = content.status;
+  resetAfterEdit(content, user);
+  content.$locals.editorId = user.userId;
+
+  await content.save();
+  await emitWebhookEvent("content.updated", contentEventData(content));
+  await emitStatusChange(content, previousStatus);
+  return "updated";
+};
+
+// Each bulk action applies to one content document and returns its outcome
+// (updated, unchanged or deleted), or throws an AppError to fail that
+// document only
+const BULK_ACTIONS = {
+  transition: async (content, { user, body }) => {
+    const { to, note, publishAt, unpublishAt } = body;
+    if (content.status === to) return "unchanged";
+
+    const options = { note, publishAt, unpublishAt };
+    const rejection = checkTransition(content, to, user, options);
+    if (rejection) {
+      const RejectionError =
+        rejection.status === 403 ? ForbiddenError : ValidationError;
+      throw new RejectionError(rejection.message, {
+        details: { allowed: nextStatuses(content.status) },
+      });
+    }
+
+    const previousStatus = content.status;
+    applyTransition(content, to, user.userId, options);
+    content.$locals.auditAction = "content.transitioned";
+    await content.save();
+    await emitStatusChange(content, previousStatus);
+    return "updated";
+  },
+
+  retag: async (content, { user, body }) => {
+    if (!canUpdate(user, content)) {
+      throw new ForbiddenError("Not authorized to update this content");
+    }
+
+    const { tags, tagMode = "add" } = body;
+    const current = content.tags.map(String);
+    const given = [...new Set(tags)];
+    const next =
+      tagMode === "replace"
+        ? given
+        : tagMode === "remove"
+          ? current.filter((tag) => !given.includes(tag))
+          : [...current, ...given.filter((tag) => !current.includes(tag))];
+    if (next.join() === current.join()) return "unchanged";
+
+    content.tags = next;
+    return saveEdit(content, user);
+  },
+
+  recategorize: async (content, { user, body }) => {
+    if (!canUpdate(user, content)) {
+      throw new ForbiddenError("Not authorized to update this content");
+    }
+
+    content.category = body.category;
+    return saveEdit(content, user);
+  },
+
+  delete: async (content, { user }) => {
+    if (!canDelete(user, content)) {
+      throw new ForbiddenError("Not authorized to delete this content");
+    }
+
+    await content.deleteOne();
+    await ContentRevision.deleteMany({ content_id: content._id });
+    await Comment.deleteMany({ content_id: content._id });
+    await emitWebhookEvent("content.deleted", contentEventData(content));
+    return "deleted";
+  },
+};
+
+// @desc    Apply one action to a list of content: transition, retag,
+//          recategorize or delete
+// @route   POST /api/admin/content/bulk
+// @access  Private (content:bulk)
+exports.bulkContent = asyncHandler(async (req, res) => {
+  const { ids, action, to, tags, category } = req.body;
+
+  if (ids.length === 0) {
+    throw new ValidationError("Provide at least one content id");
+  }
+  if (action === "transition" && !to) {
+    throw new ValidationError("to is required for the transition action");
+  }
+  if (action === "retag") {
+    if (!tags) {
+      throw new ValidationError("tags is required for the retag action");
+    }
+    const found = await Tag.countDocuments({ _id: { $in: tags } });
+    if (found !== new Set(tags).size) {
+      throw new ValidationError("Some tags do not exist");
+    }
+  }
+  if (action === "recategorize") {
+    if (!category) {
+      throw new ValidationError(
+        "category is required for the recategorize action"
+      );
+    }
+    if (!(await Category.exists({ _id: category }))) {
+      throw new ValidationError(`Category not found: ${category}`);
+    }
+  }
+
+  const uniqueIds = [...new Set(ids)];
+  const contents = await Content.find({ _id: { $in: uniqueIds } });
+  const contentsById = new Map(
+    contents.map((content) => [String(content._id), content])
+  );
+
+  // One at a time, so every document goes through the same checks, hooks
+  // and revisions as a single edit; a failure only affects its document
+  const results = [];
+  for (const id of uniqueIds) {
+    const content = contentsById.get(id);
+    if (!content) {
+      results.push({ id, result: "failed", error: "Content not found" });
+      continue;
+    }
+
+    try {
+      results.push({ id, result: await BULK_ACTIONS[action](content, req) });
+    } catch (error) {
+      // Mongoose validation errors fail the document too
+      if (!(error instanceof AppError) && error.name !== "ValidationError") {
+        throw error;
+      }
+      results.push({ id, result: "failed", error: error.message });
+    }
+  }
+
+  const summary = summarize(results);
+
+  res.status(200).json({
+    success: true,
+    message: `Bulk ${action} finished: ${summary.failed || 0} of ${summary.total} failed`,
+    summary,
+    results,
+  });
+});
@@ -0,0 +1,264 @@
+const Content = require("../models/contentModel");
+const generateSlug = require("../utils/slug");
+const { diffDocuments, recordAudit } = require("../utils/audit");
+const { contentEventData, emitWebhookEvent } = require("../utils/webhooks");
+const {
+  canUpdate,
+  canReview,
+  canViewDrafts,
+} = require("../policies/contentPolicy");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Translation fields recorded in the audit log; the rest is derived
+const AUDITED_FIELDS = ["title", "slug", "body", "bodyFormat", "status"];
+
+// Helper function to shape a translation for API responses
+const formatTranslation = (translation) => ({
+  locale: translation.locale,
+  title: translation.title,
+  slug: translation.slug,
+  body: translation.body,
+  bodyFormat: translation.bodyFormat,
+  bodyHtml: translation.bodyHtml,
+  excerpt: translation.excerpt,
+  wordCount: translation.wordCount,
+  readingTime: translation.readingTime,
+  toc: translation.toc,
+  status: translation.status,
+  publishedAt: translation.publishedAt,
+  createdAt: translation.createdAt,
+  updatedAt: translation.updatedAt,
+});
+
+// Helper function to pick the audited fields of a translation
+const auditedFields = (translation) =>
+  translation &&
+  Object.fromEntries(
+    AUDITED_FIELDS.map((field) => [field, translation[field]])
+  );
+
+// Helper function to load the content of a translation request
+const loadContent = async (req) => {
+  const content = await Content.findById(req.params.id);
+
+  if (!content) {
+    throw new NotFoundError("Content not found");
+  }
+
+  return content;
+};
+
+// Helper function to load content the user may translate
+const loadEditableContent = async (req) => {
+  const content = await loadContent(req);
+
+  if (!canUpdate(req.user, content)) {
+    throw new ForbiddenError("Not authorized to translate this content");
+  }
+
+  return content;
+};
+
+// @desc    List the translations of a content document
+// @route   GET /api/content/:id/translations
+// @access  Public (unpublished translations visible to those who see drafts)
+exports.getTranslations = asyncHandler(async (req, res) => {
+  const content = await Content.findById(req.params.id);
+
+  if (!content || !content.isVisibleTo(req.user)) {
+    throw new NotFoundError("Content not found");
+  }
+
+  const includeDrafts = canViewDrafts(req.user, content);
+  const translations = content.translations.filter(
+    (translation) => includeDrafts || translation.status === "published"
+  );
+
+  res.status(200).json({
+    success: true,
+    originalLocale: content.locale,
+    count: translations.length,
+    data: translations.map(formatTranslation),
+  });
+});
+
+// @desc    Get one translation of a content document
+// @route   GET /api/content/:id/translations/:locale
+// @access  Public (unpublished translations visible to those who see drafts)
+exports.getTranslation = asyncHandler(async (req, res) => {
+  const content = await Content.findById(req.params.id);
+
+  if (!content || !content.isVisibleTo(req.user)) {
+    throw new NotFoundError("Content not found");
+  }
+
+  const translation = content.translations.find(
+    (item) => item.locale === req.params.locale
+  );
+
+  if (
+    !translation ||
+    (translation.status !== "published" && !canViewDrafts(req.user, content))
+  ) {
+    throw new NotFoundError("Translation not found");
+  }
+
+  res.set("Content-Language", translation.locale);
+  res.status(200).json({
+    success: true,
+    data: formatTranslation(translation),
+  });
+});
+
+// @desc    Create or update the translation of a content document
+// @route   PUT /api/content/:id/translations/:locale
+// @access  Private (users who can edit the content; reviewers can publish or
+//          unpublish it)
+exports.saveTranslation = asyncHandler(async (req, res) => {
+  const { locale } = req.params;
+  const { title, slug, body, bodyFormat, status } = req.body;
+
+  const content = await loadContent(req);
+
+  // Reviewers who cannot edit the content may still change the status
+  // alone, as with POST /api/content/:id/transition
+  const editsFields = [title, slug, body, bodyFormat].some(
+    (value) => value !== undefined
+  );
+  if (
+    !canUpdate(req.user, content) &&
+    (editsFields || !canReview(req.user, content))
+  ) {
+    throw new ForbiddenError("Not authorized to translate this content");
+  }
+
+  if (locale === content.locale) {
+    throw new ValidationError(
+      `${locale} is the original locale of this content. Update the content itself`
+    );
+  }
+
+  let translation = content.translations.find((item) => item.locale === locale);
+  const before = auditedFields(translation && translation.toObject());
+
+  if (!translation) {
+    if (!title || !body) {
+      throw new ValidationError("New translations need a title and a body");
+    }
+    content.translations.push({ locale, title, body });
+    translation = content.translations[content.translations.length - 1];
+  }
+
+  // Slugs are unique per locale
+  const finalSlug = slug || (before ? null : generateSlug(title));
+  if (!before && !finalSlug) {
+    throw new ValidationError(
+      "A slug cannot be generated from this title. Please provide one"
+    );
+  }
+  if (finalSlug && finalSlug !== translation.slug) {
+    if (await Content.isSlugTaken(locale, finalSlug, content._id)) {
+      throw new ConflictError(
+        "A post with this slug already exists in this locale"
+      );
+    }
+    translation.slug = finalSlug;
+  }
+
+  if (title) translation.title = title;
+  if (body) translation.body = body;
+  if (bodyFormat) translation.bodyFormat = bodyFormat;
+
+  // Publishing follows the same rule as the original: nobody publishes
+  // their own work, and edits by anyone else need another review
+  if (status === "published" && translation.status !== "published") {
+    if (!canReview(req.user, content)) {
+      throw new ForbiddenError("Only a reviewer can publish a translation");
+    }
+    translation.status = "published";
+    translation.publishedAt = new Date();
+  } else if (status === "draft") {
+    translation.status = "draft";
+  } else if (
+    translation.status === "published" &&
+    translation.isModified() &&
+    !canReview(req.user, content)
+  ) {
+    translation.status = "draft";
+  }
+
+  await content.save();
+
+  const changes = diffDocuments(before, auditedFields(translation)).map(
+    (change) => ({ ...change, field: `translations.${locale}.${change.field}` })
+  );
+  if (changes.length > 0) {
+    await recordAudit({
+      action: "content.translation_saved",
+      targetType: "content",
+      targetId: content._id,
+      changes,
+    });
+    await emitWebhookEvent("content.updated", contentEventData(content));
+  }
+
+  // A translation going live on published content publishes a new version
+  if (
+    content.status === "published" &&
+    translation.status === "published" &&
+    (!before || before.status !== "published")
+  ) {
+    await emitWebhookEvent("content.published", contentEventData(content));
+  }
+
+  res.status(before ? 200 : 201).json({
+    success: true,
+    message: `Translation ${locale} saved successfully`,
+    data: formatTranslation(translation),
+  });
+});
+
+// @desc    Delete the translation of a content document
+// @route   DELETE /api/content/:id/translations/:locale
+// @access  Private (users who can edit the content)
+exports.deleteTranslation = asyncHandler(async (req, res) => {
+  const { locale } = req.params;
+
+  const content = await loadEditableContent(req);
+
+  const translation = content.translations.find(
+    (item) => item.locale === locale
+  );
+
+  if (!translation) {
+    throw new NotFoundError("Translation not found");
+  }
+
+  const before = auditedFields(translation.toObject());
+  content.translations = content.translations.filter(
+    (item) => item.locale !== locale
+  );
+  await content.save();
+
+  await recordAudit({
+    action: "content.translation_deleted",
+    targetType: "content",
+    targetId: content._id,
+    changes: diffDocuments(before, null).map((change) => ({
+      ...change,
+      field: `translations.${locale}.${change.field}`,
+    })),
+  });
+  await emitWebhookEvent("content.updated", contentEventData(content));
+
+  res.status(200).json({
+    success: true,
+    message: `Translation ${locale} deleted successfully`,
+  });
+});
@@ -0,0 +1,35 @@
+const asyncHandler = require("../utils/asyncHandler");
+const { buildOpenApiDocument } = require("../openapi");
+
+// Swagger UI, loaded from the swagger-ui-dist files served under /api/docs/assets
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>API documentation</title>
+    <link rel="stylesheet" href="/api/docs/assets/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="/api/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({ url: "/api/openapi.json", dom_id: "#docs" });
+    </script>
+  </body>
+</html>
+`;
+
+// @desc    Get the OpenAPI document
+// @route   GET /api/openapi.json
+// @access  Public
+exports.getOpenApiDocument = asyncHandler(async (req, res) => {
+  res.status(200).json(buildOpenApiDocument());
+});
+
+// @desc    Browsable API documentation
+// @route   GET /api/docs
+// @access  Public
+exports.getDocsPage = asyncHandler(async (req, res) => {
+  res.status(200).type("html").send(DOCS_PAGE);
+});
@@ -0,0 +1,299 @@
+const Content = require("../models/contentModel");
+const User = require("../models/userModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const { idOrSlugFilter, taxonomyFilters } = require("../utils/taxonomy");
+const { negotiateLocales } = require("../utils/locale");
+const { getFeedSettings } = require("../config/feeds");
+const {
+  renderRss,
+  renderAtom,
+  renderJsonFeed,
+  renderSitemap,
+  renderSitemapIndex,
+} = require("../utils/feeds");
+const asyncHandler = require("../utils/asyncHandler");
+const { NotFoundError } = require("../utils/errors");
+
+// Helper function to get the base URLs of links: the site the content lives
+// on and this API. Both come from configuration, never from the Host header:
+// these responses are cached publicly, so one forged Host would otherwise
+// serve bad links to everyone.
+const getPublicUrls = () => {
+  const { siteUrl, apiUrl } = getFeedSettings();
+  if (!siteUrl) {
+    throw new NotFoundError("Feeds and sitemaps are not configured");
+  }
+  return { siteUrl, apiUrl };
+};
+
+// Helper function to build the site URL of one version of a post. Patterns
+// without :locale tell translations apart with ?locale=.
+const contentUrl = (siteUrl, content, version) => {
+  const { contentUrlPattern } = getFeedSettings();
+  const values = {
+    slug: version.slug,
+    locale: version.locale,
+    id: String(content._id),
+  };
+  const path = contentUrlPattern.replace(/:(slug|locale|id)/g, (match, key) =>
+    encodeURIComponent(values[key])
+  );
+  const needsLocale =
+    version.locale !== content.locale && !contentUrlPattern.includes(":locale");
+
+  return `${siteUrl}${path}${
+    needsLocale ? `?locale=${encodeURIComponent(version.locale)}` : ""
+  }`;
+};
+
+// Helper function to make a response cacheable by clients and proxies.
+// Express adds an ETag and answers conditional requests with 304.
+const setCacheHeaders = (res, lastModified) => {
+  res.set("Cache-Control", `public, max-age=${getFeedSettings().cacheSeconds}`);
+  if (lastModified) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
+  }
+};
+
+// Helper function to build the feed for a request: the newest published
+// posts, optionally limited to a category (with its subcategories) or a tag
+// given by slug or id
+const loadFeed = async (req, res) => {
+  const settings = getFeedSettings();
+  const { siteUrl, apiUrl } = getPublicUrls();
+
+  const filters = { status: "published" };
+  let scope = null;
+
+  if (req.params.category) {
+    scope = await Category.findOne(idOrSlugFilter([req.params.category]));
+    if (!scope) {
+      throw new NotFoundError("Category not found");
+    }
+    Object.assign(
+      filters,
+      await taxonomyFilters({ category: String(scope._id) })
+    );
+  }
+
+  if (req.params.tag) {
+    scope = await Tag.findOne(idOrSlugFilter([req.params.tag]));
+    if (!scope) {
+      throw new NotFoundError("Tag not found");
+    }
+    filters.tags = scope._id;
+  }
+
+  const contents = await Content.find(filters)
+    .sort({ publishedAt: -1 })
+    .limit(settings.itemLimit)
+    .populate([
+      { path: "category", select: "name" },
+      { path: "tags", select: "name" },
+    ]);
+
+  // Look up every author at once
+  const authors = await User.find({
+    userId: { $in: [...new Set(contents.map((content) => content.author_id))] },
+  }).select("name userId");
+  const authorsById = new Map(authors.map((user) => [user.userId, user]));
+
+  const chain = negotiateLocales(req, res);
+  const { hostname } = new URL(siteUrl);
+
+  const items = contents.map((content) => {
+    const version = content.localize(chain);
+    const author = authorsById.get(content.author_id);
+
+    return {
+      // Stays the same when the slug changes
+      id: `tag:${hostname},${content.createdAt.getUTCFullYear()}:content/${
+        content._id
+      }/${version.locale}`,
+      url: contentUrl(siteUrl, content, version),
+      title: version.title,
+      summary: version.excerpt,
+      contentHtml: version.bodyHtml,
+      author: author ? { name: author.name } : null,
+      categories: [content.category, ...content.tags]
+        .filter(Boolean)
+        .map((item) => item.name),
+      language: version.locale,
+      publishedAt: content.publishedAt || content.createdAt,
+      updatedAt: content.updatedAt,
+    };
+  });
+
+  const updatedAt = items.reduce(
+    (latest, item) => (item.updatedAt > latest ? item.updatedAt : latest),
+    null
+  );
+  setCacheHeaders(res, updatedAt);
+
+  return {
+    title: scope ? `${settings.title}: ${scope.name}` : settings.title,
+    description: scope ? scope.description : settings.description,
+    language: chain[0],
+    siteUrl,
+    feedUrl: `${apiUrl}${req.originalUrl}`,
+    updatedAt: updatedAt || new Date(),
+    items,
+  };
+};
+
+// @desc    RSS 2.0 feed of published content, optionally by category or tag
+// @route   GET /feeds/rss.xml, /feeds/category/:category/rss.xml,
+//          /feeds/tag/:tag/rss.xml
+// @access  Public
+exports.getRssFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req, res);
+
+  res.type("application/rss+xml").send(renderRss(feed));
+});
+
+// @desc    Atom feed of published content, optionally by category or tag
+// @route   GET /feeds/atom.xml, /feeds/category/:category/atom.xml,
+//          /feeds/tag/:tag/atom.xml
+// @access  Public
+exports.getAtomFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req, res);
+
+  res.type("application/atom+xml").send(renderAtom(feed));
+});
+
+// @desc    JSON Feed of published content, optionally by category or tag
+// @route   GET /feeds/feed.json, /feeds/category/:category/feed.json,
+//          /feeds/tag/:tag/feed.json
+// @access  Public
+exports.getJsonFeed = asyncHandler(async (req, res) => {
+  const feed = await loadFeed(req, res);
+
+  res.type("application/feed+json").send(renderJsonFeed(feed));
+});
+
+// Helper function to split the published posts into sitemap pages of at
+// most `pageSize` URLs, one per published version. Returns the range of post
+// ids on each page.
+const planSitemapPages = async (pageSize) => {
+  const cursor = Content.aggregate([
+    { $match: { status: "published" } },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        urls: {
+          $add: [
+            1,
+            {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ["$translations", []] },
+                  cond: { $eq: ["$$this.status", "published"] },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  ]).cursor();
+
+  const pages = [];
+  let page = null;
+  for await (const { _id, urls } of cursor) {
+    if (!page || page.urls + urls > pageSize) {
+      page = { firstId: _id, lastId: _id, urls: 0 };
+      pages.push(page);
+    }
+    page.lastId = _id;
+    page.urls += urls;
+  }
+  return pages;
+};
+
+// Helper function to load one page of sitemap entries: every published
+// version of every published post, linked to each other with hreflang
+const loadSitemapEntries = async (page) => {
+  if (!page) return [];
+  const { siteUrl } = getPublicUrls();
+
+  const contents = await Content.find({
+    status: "published",
+    _id: { $gte: page.firstId, $lte: page.lastId },
+  })
+    .select(
+      "slug locale updatedAt translations.locale translations.slug translations.status"
+    )
+    .sort({ _id: 1 });
+
+  return contents.flatMap((content) => {
+    const versions = content.versions();
+    const alternates =
+      versions.length > 1
+        ? versions.map((version) => ({
+            locale: version.locale,
+            url: contentUrl(siteUrl, content, version),
+          }))
+        : [];
+
+    return versions.map((version) => ({
+      url: contentUrl(siteUrl, content, version),
+      updatedAt: content.updatedAt,
+      alternates,
+    }));
+  });
+};
+
+// @desc    Sitemap of published content, or an index of several sitemaps
+// @route   GET /sitemap.xml
+// @access  Public
+exports.getSitemap = asyncHandler(async (req, res) => {
+  const { apiUrl } = getPublicUrls();
+  const { sitemapPageSize } = getFeedSettings();
+
+  const [pages, latest] = await Promise.all([
+    planSitemapPages(sitemapPageSize),
+    Content.findOne({ status: "published" })
+      .sort({ updatedAt: -1 })
+      .select("updatedAt"),
+  ]);
+  setCacheHeaders(res, latest && latest.updatedAt);
+  res.type("application/xml");
+
+  if (pages.length <= 1) {
+    const entries = await loadSitemapEntries(pages[0]);
+    return res.send(renderSitemap(entries));
+  }
+
+  res.send(
+    renderSitemapIndex(
+      pages.map((page, index) => ({
+        url: `${apiUrl}/sitemaps/${index + 1}.xml`,
+      }))
+    )
+  );
+});
+
+// @desc    One page of a sitemap index
+// @route   GET /sitemaps/:page.xml
+// @access  Public
+exports.getSitemapPage = asyncHandler(async (req, res) => {
+  getPublicUrls();
+  const { sitemapPageSize } = getFeedSettings();
+
+  const pages = await planSitemapPages(sitemapPageSize);
+  const entries = await loadSitemapEntries(pages[req.params.page - 1]);
+
+  if (entries.length === 0) {
+    throw new NotFoundError("Sitemap not found");
+  }
+
+  setCacheHeaders(
+    res,
+    entries.reduce(
+      (latest, entry) => (entry.updatedAt > latest ? entry.updatedAt : latest),
+      null
+    )
+  );
+  res.type("application/xml").send(renderSitemap(entries));
+});
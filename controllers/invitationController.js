@@ -0,0 +1,129 @@
+const Invitation = require("../models/invitationModel");
+const { checkRoleGrant } = require("../utils/permissions");
+const { DEFAULT_INVITATION_DAYS } = require("../config/registration");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to shape an invitation for API responses
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  roles: invitation.roles,
+  invitedBy: invitation.invitedBy,
+  state: invitation.state,
+  expiresAt: invitation.expiresAt,
+  usedAt: invitation.usedAt,
+  usedBy: invitation.usedBy,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt,
+});
+
+// @desc    Create an invitation with preassigned roles
+// @route   POST /api/user/invitations
+// @access  Private (user:invite)
+exports.createInvitation = asyncHandler(async (req, res) => {
+  const { email, roles = [], expiresInDays = DEFAULT_INVITATION_DAYS } =
+    req.body;
+
+  const grantError = await checkRoleGrant(req.user, roles);
+  if (grantError) {
+    throw new ValidationError(grantError);
+  }
+
+  const token = Invitation.generateToken();
+
+  const invitation = new Invitation({
+    email: email || null,
+    tokenHash: Invitation.hashToken(token),
+    roles,
+    invitedBy: req.user.userId,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  await invitation.save();
+
+  // The raw token is only ever returned here
+  res.status(201).json({
+    success: true,
+    message: "Invitation created successfully",
+    token,
+    invitation: formatInvitation(invitation),
+  });
+});
+
+// @desc    Get all invitations
+// @route   GET /api/user/invitations
+// @access  Private (user:invite)
+exports.getInvitations = asyncHandler(async (req, res) => {
+  const { state, page = 1, limit = 10 } = req.query;
+
+  // Build query
+  const now = new Date();
+  const query = {};
+  if (state === "pending") {
+    Object.assign(query, {
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    });
+  } else if (state === "used") {
+    query.usedAt = { $ne: null };
+  } else if (state === "revoked") {
+    query.revokedAt = { $ne: null };
+  } else if (state === "expired") {
+    Object.assign(query, {
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $lte: now },
+    });
+  }
+
+  const skip = (page - 1) * limit;
+
+  const invitations = await Invitation.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await Invitation.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    invitations: invitations.map(formatInvitation),
+  });
+});
+
+// @desc    Revoke an unused invitation
+// @route   DELETE /api/user/invitations/:invitationId
+// @access  Private (user:invite)
+exports.revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findById(req.params.invitationId);
+
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found");
+  }
+
+  if (invitation.usedAt) {
+    throw new ConflictError("Invitation has already been used");
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    invitation.$locals.auditAction = "invitation.revoked";
+    await invitation.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation revoked successfully",
+    invitation: formatInvitation(invitation),
+  });
+});
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const Media = require("../models/mediaModel");
+const Content = require("../models/contentModel");
+const asyncHandler = require("../utils/asyncHandler");
+const { sniffMedia } = require("../utils/mediaSniffer");
+const { getMediaStorage } = require("../utils/mediaStorage");
+const { getMediaSettings } = require("../config/media");
+const { canManage, canManageAll } = require("../policies/mediaPolicy");
+const { AppError, NotFoundError, ConflictError } = require("../utils/errors");
+
+// Helper function to shape media for API responses
+const formatMedia = (media) => ({
+  _id: media._id,
+  url: media.url(),
+  owner_id: media.owner_id,
+  originalName: media.originalName,
+  mimeType: media.mimeType,
+  size: media.size,
+  checksum: media.checksum,
+  width: media.width,
+  height: media.height,
+  alt: media.alt,
+  createdAt: media.createdAt,
+  updatedAt: media.updatedAt,
+});
+
+// Helper function to load media the caller may manage. Media of others is
+// reported as missing.
+const loadManageableMedia = async (req) => {
+  const media = await Media.findById(req.params.id);
+
+  if (!media || !canManage(req.user, media)) {
+    throw new NotFoundError("Media not found");
+  }
+
+  return media;
+};
+
+// @desc    Upload a file to the media library
+// @route   POST /api/media
+// @access  Private (media:upload)
+exports.uploadMedia = asyncHandler(async (req, res) => {
+  const { alt = "" } = req.body;
+  const { buffer, originalname } = req.file;
+  const { allowedMimeTypes } = getMediaSettings();
+
+  // Trust the bytes, not the Content-Type the client sent
+  const detected = sniffMedia(buffer);
+  if (!detected || !allowedMimeTypes.includes(detected.mimeType)) {
+    throw new AppError(
+      `Unsupported file type. Allowed types: ${allowedMimeTypes.join(", ")}`,
+      { status: 415, code: "UNSUPPORTED_MEDIA_TYPE" }
+    );
+  }
+
+  const now = new Date();
+  const storageKey = [
+    now.getUTCFullYear(),
+    String(now.getUTCMonth() + 1).padStart(2, "0"),
+    `${crypto.randomUUID()}.${detected.extension}`,
+  ].join("/");
+
+  const storage = getMediaStorage();
+  await storage.save(storageKey, buffer, { mimeType: detected.mimeType });
+
+  let media;
+  try {
+    media = await Media.create({
+      owner_id: req.user.userId,
+      storage: storage.name,
+      storageKey,
+      originalName: originalname,
+      mimeType: detected.mimeType,
+      size: buffer.length,
+      checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+      width: detected.width,
+      height: detected.height,
+      alt,
+    });
+  } catch (error) {
+    // Do not leave an orphaned file behind
+    await storage.remove(storageKey);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Media uploaded successfully",
+    data: formatMedia(media),
+  });
+});
+
+// @desc    List media in the library
+// @route   GET /api/media
+// @access  Private (own uploads; everything with media:manage)
+exports.getAllMedia = asyncHandler(async (req, res) => {
+  const { owner, type, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = {};
+  if (!canManageAll(req.user)) {
+    query.owner_id = req.user.userId;
+  } else if (owner) {
+    query.owner_id = owner;
+  }
+  if (type) query.mimeType = new RegExp(`^${type}/`);
+
+  const skip = (page - 1) * limit;
+
+  const media = await Media.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await Media.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: media.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: media.map(formatMedia),
+  });
+});
+
+// @desc    Get media by ID
+// @route   GET /api/media/:id
+// @access  Private (owner or media:manage)
+exports.getMediaById = asyncHandler(async (req, res) => {
+  const media = await loadManageableMedia(req);
+
+  res.status(200).json({
+    success: true,
+    data: formatMedia(media),
+  });
+});
+
+// @desc    Update media details (alt text)
+// @route   PUT /api/media/:id
+// @access  Private (owner or media:manage)
+exports.updateMedia = asyncHandler(async (req, res) => {
+  const { alt } = req.body;
+
+  const media = await loadManageableMedia(req);
+
+  if (alt !== undefined) media.alt = alt;
+  await media.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Media updated successfully",
+    data: formatMedia(media),
+  });
+});
+
+// @desc    Delete media that no content references
+// @route   DELETE /api/media/:id
+// @access  Private (owner or media:manage)
+exports.deleteMedia = asyncHandler(async (req, res) => {
+  const media = await loadManageableMedia(req);
+
+  const referencedBy = await Content.find({
+    $or: [{ featuredImage: media._id }, { attachments: media._id }],
+  })
+    .select("title slug")
+    .limit(10);
+
+  if (referencedBy.length > 0) {
+    throw new ConflictError("Media is still used by content", {
+      details: {
+        usedBy: referencedBy.map((content) => ({
+          _id: content._id,
+          title: content.title,
+          slug: content.slug,
+        })),
+      },
+    });
+  }
+
+  await media.deleteOne();
+  await getMediaStorage().remove(media.storageKey);
+
+  res.status(200).json({
+    success: true,
+    message: "Media deleted successfully",
+  });
+});
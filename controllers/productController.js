@@ -0,0 +1,235 @@
+const Product = require("../models/productModel");
+const generateSlug = require("../utils/slug");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Fields that can be set through create/update requests
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "currency",
+  "stock",
+  "category",
+  "variants",
+  "images",
+  "status",
+];
+
+// Sort options accepted by the list endpoint
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price: { price: 1 },
+  "-price": { price: -1 },
+  name: { name: 1 },
+};
+
+// Helper function to shape a product for API responses
+const formatProduct = (product) => ({
+  _id: product._id,
+  name: product.name,
+  slug: product.slug,
+  sku: product.sku,
+  description: product.description,
+  price: product.price,
+  currency: product.currency,
+  stock: product.stock,
+  category: product.category,
+  variants: product.variants,
+  images: product.images,
+  status: product.status,
+  created_by: product.created_by,
+  createdAt: product.createdAt,
+  updatedAt: product.updatedAt,
+});
+
+// @desc    Create new product
+// @route   POST /api/product
+// @access  Private (product:create)
+exports.createProduct = asyncHandler(async (req, res) => {
+  const { name, slug, sku, price, category } = req.body;
+
+  // Validate required fields
+  if (!name || !sku || price === undefined || !category) {
+    throw new ValidationError(
+      "Please provide all required fields: name, sku, price, category"
+    );
+  }
+
+  // Generate slug if not provided
+  const finalSlug = slug || generateSlug(name);
+
+  // Check if slug or SKU already exists
+  const existingProduct = await Product.findOne({
+    $or: [{ slug: finalSlug }, { sku: String(sku).toUpperCase() }],
+  });
+  if (existingProduct) {
+    throw new ConflictError("A product with this slug or SKU already exists");
+  }
+
+  const product = new Product({
+    slug: finalSlug,
+    sku,
+    created_by: req.user.userId,
+  });
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) product[field] = req.body[field];
+  });
+
+  await product.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Product created successfully",
+    data: formatProduct(product),
+  });
+});
+
+// @desc    Get all active products
+// @route   GET /api/product
+// @access  Public
+exports.getAllProducts = asyncHandler(async (req, res) => {
+  const {
+    category,
+    minPrice,
+    maxPrice,
+    inStock,
+    sort = "newest",
+    page = 1,
+    limit = 10,
+  } = req.query;
+
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new ValidationError("minPrice cannot be greater than maxPrice");
+  }
+
+  // Build query - the public catalog only lists active products
+  const query = { status: "active" };
+  if (category) query.category = category;
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    query.price = {};
+    if (minPrice !== undefined) query.price.$gte = minPrice;
+    if (maxPrice !== undefined) query.price.$lte = maxPrice;
+  }
+  if (inStock === "true") query.stock = { $gt: 0 };
+
+  const skip = (page - 1) * limit;
+
+  const products = await Product.find(query)
+    .sort(SORT_OPTIONS[sort])
+    .limit(limit)
+    .skip(skip);
+
+  const total = await Product.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: products.map(formatProduct),
+  });
+});
+
+// @desc    Get product by slug
+// @route   GET /api/product/slug/:slug
+// @access  Public
+exports.getProductBySlug = asyncHandler(async (req, res) => {
+  const product = await Product.findOne({
+    slug: req.params.slug,
+    status: "active",
+  });
+
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatProduct(product),
+  });
+});
+
+// @desc    Get product by ID
+// @route   GET /api/product/:id
+// @access  Public
+exports.getProductById = asyncHandler(async (req, res) => {
+  const product = await Product.findOne({
+    _id: req.params.id,
+    status: "active",
+  });
+
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+
+  res.status(200).json({
+    success: true,
+    data: formatProduct(product),
+  });
+});
+
+// @desc    Update product
+// @route   PUT /api/product/:id
+// @access  Private (product:update)
+exports.updateProduct = asyncHandler(async (req, res) => {
+  const { slug, sku } = req.body;
+
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+
+  // If slug or SKU is being updated, check for duplicates
+  const duplicateChecks = [];
+  if (slug && slug !== product.slug) duplicateChecks.push({ slug });
+  if (sku && String(sku).toUpperCase() !== product.sku) {
+    duplicateChecks.push({ sku: String(sku).toUpperCase() });
+  }
+  if (duplicateChecks.length > 0) {
+    const existingProduct = await Product.findOne({ $or: duplicateChecks });
+    if (existingProduct) {
+      throw new ConflictError("A product with this slug or SKU already exists");
+    }
+  }
+
+  // Update fields
+  if (slug) product.slug = slug;
+  if (sku) product.sku = sku;
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) product[field] = req.body[field];
+  });
+
+  await product.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Product updated successfully",
+    data: formatProduct(product),
+  });
+});
+
+// @desc    Delete product
+// @route   DELETE /api/product/:id
+// @access  Private (product:delete)
+exports.deleteProduct = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    throw new NotFoundError("Product not found");
+  }
+
+  await product.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Product deleted successfully",
+  });
+});
@@ -0,0 +1,194 @@
+const Role = require("../models/roleModel");
+const Permission = require("../models/permissionModel");
+const User = require("../models/userModel");
+const Invitation = require("../models/invitationModel");
+const { PERMISSIONS } = require("../config/permissions");
+const { clearRoleCache } = require("../utils/permissions");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to shape a role for API responses
+const formatRole = (role, userCount) => ({
+  id: role._id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  builtIn: role.builtIn,
+  userCount,
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+});
+
+// Helper function to validate a list of permission keys for a role.
+// Returns an error message, or null when the list is valid.
+const checkPermissions = (user, permissions) => {
+  if (
+    !Array.isArray(permissions) ||
+    permissions.some((permission) => typeof permission !== "string")
+  ) {
+    return "Permissions must be an array of permission keys";
+  }
+
+  const unknown = permissions.filter((permission) => !(permission in PERMISSIONS));
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(", ")}`;
+  }
+
+  const missing = permissions.filter((permission) => !user.can(permission));
+  if (missing.length > 0) {
+    return `You cannot grant permissions you do not hold: ${missing.join(", ")}`;
+  }
+
+  return null;
+};
+
+// @desc    Get all permissions
+// @route   GET /api/roles/permissions
+// @access  Private (role:manage)
+exports.getPermissions = asyncHandler(async (req, res) => {
+  const permissions = await Permission.find().sort({ key: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: permissions.length,
+    permissions: permissions.map((permission) => ({
+      key: permission.key,
+      description: permission.description,
+    })),
+  });
+});
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private (role:manage)
+exports.getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort({ builtIn: -1, name: 1 });
+
+  const counts = await User.aggregate([
+    { $unwind: "$roles" },
+    { $group: { _id: "$roles", count: { $sum: 1 } } },
+  ]);
+  const countsByRole = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    roles: roles.map((role) =>
+      formatRole(role, countsByRole.get(role.name) || 0)
+    ),
+  });
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (role:manage)
+exports.createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (!name) {
+    throw new ValidationError("Please provide a role name");
+  }
+
+  const permissionError = checkPermissions(req.user, permissions);
+  if (permissionError) {
+    throw new ValidationError(permissionError);
+  }
+
+  const existingRole = await Role.findOne({ name: String(name).toLowerCase() });
+  if (existingRole) {
+    throw new ConflictError("A role with this name already exists");
+  }
+
+  const role = new Role({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+  });
+
+  await role.save();
+  clearRoleCache();
+
+  res.status(201).json({
+    success: true,
+    message: "Role created successfully",
+    role: formatRole(role, 0),
+  });
+});
+
+// @desc    Update a custom role
+// @route   PUT /api/roles/:name
+// @access  Private (role:manage)
+exports.updateRole = asyncHandler(async (req, res) => {
+  const { description, permissions } = req.body;
+
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    throw new NotFoundError("Role not found");
+  }
+
+  if (role.builtIn) {
+    throw new ValidationError("Built-in roles cannot be modified");
+  }
+
+  if (permissions !== undefined) {
+    const permissionError = checkPermissions(req.user, permissions);
+    if (permissionError) {
+      throw new ValidationError(permissionError);
+    }
+    role.permissions = [...new Set(permissions)];
+  }
+  if (description !== undefined) role.description = description;
+
+  await role.save();
+  clearRoleCache();
+
+  const userCount = await User.countDocuments({ roles: role.name });
+
+  res.status(200).json({
+    success: true,
+    message: "Role updated successfully",
+    role: formatRole(role, userCount),
+  });
+});
+
+// Helper function to remove a role from every user or invitation holding it.
+// Documents are saved one by one so each removal is audited.
+const removeRoleFrom = async (Model, roleName, auditAction) => {
+  const cursor = Model.find({ roles: roleName }).cursor();
+
+  for await (const document of cursor) {
+    document.roles = document.roles.filter((name) => name !== roleName);
+    document.$locals.auditAction = auditAction;
+    await document.save();
+  }
+};
+
+// @desc    Delete a custom role and remove it from every user
+// @route   DELETE /api/roles/:name
+// @access  Private (role:manage)
+exports.deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    throw new NotFoundError("Role not found");
+  }
+
+  if (role.builtIn) {
+    throw new ValidationError("Built-in roles cannot be deleted");
+  }
+
+  await role.deleteOne();
+  await removeRoleFrom(User, role.name, "user.role_removed");
+  await removeRoleFrom(Invitation, role.name, "invitation.role_removed");
+  clearRoleCache();
+
+  res.status(200).json({
+    success: true,
+    message: "Role deleted successfully",
+  });
+});
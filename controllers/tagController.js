@@ -0,0 +1,251 @@
+const Tag = require("../models/tagModel");
+const Content = require("../models/contentModel");
+const generateSlug = require("../utils/slug");
+const { idOrSlugFilter } = require("../utils/taxonomy");
+const { recordAudit } = require("../utils/audit");
+const { contentEventData, emitWebhookEvent } = require("../utils/webhooks");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to shape a tag for API responses
+const formatTag = (tag, publishedCount) => ({
+  _id: tag._id,
+  name: tag.name,
+  slug: tag.slug,
+  description: tag.description,
+  ...(publishedCount !== undefined && { publishedCount }),
+  createdAt: tag.createdAt,
+  updatedAt: tag.updatedAt,
+});
+
+// Helper function to reject a slug already used by another tag
+const checkSlugAvailable = async (slug, tag = null) => {
+  const existing = await Tag.findOne({ slug });
+  if (existing && (!tag || !existing._id.equals(tag._id))) {
+    throw new ConflictError("A tag with this slug already exists");
+  }
+};
+
+// @desc    List tags with their published content counts
+// @route   GET /api/tags
+// @access  Public
+exports.getTags = asyncHandler(async (req, res) => {
+  const { q, page = 1, limit = 50 } = req.query;
+
+  // Prefix match on the slug, so "Java" finds "javascript" too. Slugs only
+  // contain word characters and hyphens, which are safe in a pattern.
+  const query = {};
+  const prefix = q && generateSlug(q);
+  if (prefix) query.slug = new RegExp(`^${prefix}`);
+
+  const skip = (page - 1) * limit;
+
+  const tags = await Tag.find(query)
+    .sort({ name: 1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await Tag.countDocuments(query);
+
+  const counts = await Content.countPublished(
+    "tags",
+    tags.map((tag) => tag._id)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: tags.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: tags.map((tag) => formatTag(tag, counts.get(String(tag._id)) || 0)),
+  });
+});
+
+// @desc    Get a tag by id or slug
+// @route   GET /api/tags/:id
+// @access  Public
+exports.getTag = asyncHandler(async (req, res) => {
+  const tag = await Tag.findOne(idOrSlugFilter([req.params.id]));
+
+  if (!tag) {
+    throw new NotFoundError("Tag not found");
+  }
+
+  const counts = await Content.countPublished("tags", [tag._id]);
+
+  res.status(200).json({
+    success: true,
+    data: formatTag(tag, counts.get(String(tag._id)) || 0),
+  });
+});
+
+// @desc    Create a tag
+// @route   POST /api/tags
+// @access  Private (content:create or taxonomy:manage)
+exports.createTag = asyncHandler(async (req, res) => {
+  const { name, slug, description } = req.body;
+
+  const finalSlug = slug || generateSlug(name);
+  if (!finalSlug) {
+    throw new ValidationError(
+      "A slug cannot be generated from this name. Please provide one"
+    );
+  }
+
+  await checkSlugAvailable(finalSlug);
+
+  const tag = await Tag.create({ name, slug: finalSlug, description });
+
+  res.status(201).json({
+    success: true,
+    message: "Tag created successfully",
+    data: formatTag(tag),
+  });
+});
+
+// @desc    Update a tag; the slug only changes when given
+// @route   PUT /api/tags/:id
+// @access  Private (taxonomy:manage)
+exports.updateTag = asyncHandler(async (req, res) => {
+  const { name, slug, description } = req.body;
+
+  const tag = await Tag.findById(req.params.id);
+
+  if (!tag) {
+    throw new NotFoundError("Tag not found");
+  }
+
+  if (slug && slug !== tag.slug) {
+    await checkSlugAvailable(slug, tag);
+  }
+
+  if (name) tag.name = name;
+  if (slug) tag.slug = slug;
+  if (description !== undefined) tag.description = description;
+
+  await tag.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Tag updated successfully",
+    data: formatTag(tag),
+  });
+});
+
+// Helper function to change the tags of every post matching `filter`. Posts
+// are saved one by one so each change gets its revision and audit entry.
+// `retag(tagIds)` returns the new list of ids. Returns how many posts changed.
+const retagContent = async (filter, retag, editorId) => {
+  let updated = 0;
+  const cursor = Content.find(filter).cursor();
+
+  for await (const content of cursor) {
+    const current = content.tags.map(String);
+    const next = retag(current);
+    if (next.join() === current.join()) continue;
+
+    content.tags = next;
+    content.$locals.editorId = editorId;
+    content.$locals.auditAction = "content.retagged";
+    await content.save();
+    await emitWebhookEvent("content.updated", contentEventData(content));
+    updated += 1;
+  }
+
+  return updated;
+};
+
+// @desc    Delete a tag and remove it from all content
+// @route   DELETE /api/tags/:id
+// @access  Private (taxonomy:manage)
+exports.deleteTag = asyncHandler(async (req, res) => {
+  const tag = await Tag.findById(req.params.id);
+
+  if (!tag) {
+    throw new NotFoundError("Tag not found");
+  }
+
+  const tagId = String(tag._id);
+  const contentUpdated = await retagContent(
+    { tags: tag._id },
+    (tagIds) => tagIds.filter((id) => id !== tagId),
+    req.user.userId
+  );
+  await tag.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: "Tag deleted successfully",
+    data: { contentUpdated },
+  });
+});
+
+// @desc    Merge duplicate tags into this one; the duplicates are deleted
+// @route   POST /api/tags/:id/merge
+// @access  Private (taxonomy:manage)
+exports.mergeTags = asyncHandler(async (req, res) => {
+  const { tags } = req.body;
+
+  const target = await Tag.findById(req.params.id);
+
+  if (!target) {
+    throw new NotFoundError("Tag not found");
+  }
+
+  const sourceIds = [...new Set(tags)].filter(
+    (id) => id !== String(target._id)
+  );
+  if (sourceIds.length === 0) {
+    throw new ValidationError("Provide at least one other tag to merge");
+  }
+
+  const sources = await Tag.find({ _id: { $in: sourceIds } });
+  if (sources.length !== sourceIds.length) {
+    const foundIds = sources.map((source) => String(source._id));
+    const missing = sourceIds.filter((id) => !foundIds.includes(id));
+    throw new ValidationError(`Tags not found: ${missing.join(", ")}`);
+  }
+
+  // Swap the duplicates for the target, keeping each tag once
+  const targetId = String(target._id);
+  const contentUpdated = await retagContent(
+    { tags: { $in: sourceIds } },
+    (tagIds) => [
+      ...new Set(tagIds.map((id) => (sourceIds.includes(id) ? targetId : id))),
+    ],
+    req.user.userId
+  );
+
+  for (const source of sources) {
+    await source.deleteOne();
+  }
+  await recordAudit({
+    action: "tag.merged",
+    targetType: "tag",
+    targetId: target._id,
+    changes: [
+      {
+        field: "mergedTags",
+        before: null,
+        after: sources.map((source) => source.slug),
+      },
+    ],
+  });
+
+  const counts = await Content.countPublished("tags", [target._id]);
+
+  res.status(200).json({
+    success: true,
+    message: `Merged ${sources.length} tags into ${target.name}`,
+    data: {
+      ...formatTag(target, counts.get(String(target._id)) || 0),
+      merged: sources.map(({ _id, name, slug }) => ({ _id, name, slug })),
+      contentUpdated,
+    },
+  });
+});
@@ -1,337 +1,566 @@
 const User = require("../models/userModel");
+const Session = require("../models/sessionModel");
+const Invitation = require("../models/invitationModel");
+const UserToken = require("../models/userTokenModel");
+const { getRegistrationMode } = require("../config/registration");
+const { checkRoleGrant, checkUserManagement } = require("../utils/permissions");
+const { getLockoutPolicy } = require("../config/rateLimits");
+const { recordAudit } = require("../utils/audit");
+const { userEventData, emitWebhookEvent } = require("../utils/webhooks");
+const {
+  requireEmailVerification,
+  sendVerificationEmail,
+} = require("../utils/accountEmails");
+const {
+  issueSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie,
+  refreshTokenInBody,
+} = require("../utils/sessions");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to open a session and set the refresh cookie.
+// Returns the token fields to include in the response body.
+const startSession = async (user, req, res) => {
+  const { accessToken, refreshToken } = await issueSession(user, req);
+  setRefreshCookie(res, refreshToken);
+
+  const tokens = { token: accessToken };
+  if (refreshTokenInBody()) tokens.refreshToken = refreshToken;
+  return tokens;
+};
+
+// Helper function to count a failed login and lock the account once the
+// threshold is reached. Every further failure doubles the lock.
+const recordFailedLogin = async (user) => {
+  const { maxAttempts, baseLockMs, maxLockMs } = getLockoutPolicy();
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= maxAttempts) {
+    const lockMs = Math.min(
+      baseLockMs * 2 ** (updated.failedLoginAttempts - maxAttempts),
+      maxLockMs
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { lockUntil: new Date(Date.now() + lockMs) }
+    );
+  }
+};
 
 // @desc    Register a new user
 // @route   POST /api/user/register
 // @access  Public
-exports.registerUser = async (req, res) => {
-  try {
-    const { name, email, password, isAdmin, roles } = req.body;
-
-    // Validate required fields
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide name, email, and password",
-      });
-    }
+exports.registerUser = asyncHandler(async (req, res) => {
+  const { name, email, password, inviteToken } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: "User with this email already exists",
-      });
-    }
+  const mode = getRegistrationMode();
+
+  if (mode === "closed") {
+    throw new ForbiddenError("Registration is closed");
+  }
+
+  if (mode === "invite" && !inviteToken) {
+    throw new ForbiddenError("Registration requires an invitation");
+  }
+
+  // Check if user already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new ConflictError("User with this email already exists");
+  }
 
-    // Create user
-    const user = new User({
-      name,
-      email,
-      password,
-      isAdmin: isAdmin || false,
-      roles: {
-        accessContent: roles?.accessContent || false,
-        accessProduct: roles?.accessProduct || false,
+  // Claim the invitation atomically so it can only be redeemed once
+  let invitation = null;
+  if (inviteToken) {
+    invitation = await Invitation.findOneAndUpdate(
+      {
+        tokenHash: Invitation.hashToken(inviteToken),
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        email: { $in: [null, email] },
       },
-    });
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      throw new ValidationError(
+        "Invitation is invalid, expired or already used"
+      );
+    }
+  }
+
+  // Privileges only ever come from an invitation, never from the request
+  const user = new User({
+    name,
+    email,
+    password,
+    roles: invitation ? invitation.roles : [],
+  });
 
+  try {
     await user.save();
+  } catch (error) {
+    // Give the invitation back if the account could not be created
+    if (invitation) {
+      await Invitation.updateOne({ _id: invitation._id }, { usedAt: null });
+    }
+    throw error;
+  }
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
-
-    res.status(201).json({
-      success: true,
-      message: "User registered successfully",
-      token,
-      user: {
-        id: user._id,
-        userId: user.userId,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        roles: user.roles,
-      },
-    });
+  if (invitation) {
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { usedBy: user.userId }
+    );
+  }
+
+  await emitWebhookEvent("user.created", userEventData(user));
+
+  // A mail outage should not fail the registration itself
+  try {
+    await sendVerificationEmail(user);
   } catch (error) {
-    console.error("Error registering user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+    console.error("Error sending verification email:", error);
   }
-};
+
+  // Open a session unless the address has to be verified first
+  const tokens = requireEmailVerification()
+    ? {}
+    : await startSession(user, req, res);
+
+  res.status(201).json({
+    success: true,
+    message: requireEmailVerification()
+      ? "User registered successfully. Please verify your email to login."
+      : "User registered successfully",
+    ...tokens,
+    user: {
+      id: user._id,
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      roles: user.roles,
+    },
+  });
+});
 
 // @desc    Login user
 // @route   POST /api/user/login
 // @access  Public
-exports.loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide email and password",
-      });
-    }
+exports.loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Find user and include password field
-    const user = await User.findOne({ email }).select("+password");
+  // Find user and include password field
+  const user = await User.findOne({ email }).select("+password");
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
+  if (!user) {
+    throw new UnauthorizedError("Invalid credentials");
+  }
 
-    // Check password
-    const isPasswordMatch = await user.comparePassword(password);
+  // Refuse locked accounts before even checking the password
+  if (user.isLocked()) {
+    const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    throw new AppError(
+      "Account temporarily locked after too many failed logins. Please try again later.",
+      { status: 429, code: "ACCOUNT_LOCKED", details: { retryAfter } }
+    );
+  }
 
-    if (!isPasswordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials",
-      });
-    }
+  // Check password
+  const isPasswordMatch = await user.comparePassword(password);
 
-    // Generate JWT token
-    const token = user.generateAuthToken();
-
-    res.status(200).json({
-      success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        userId: user.userId,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        roles: user.roles,
-      },
-    });
-  } catch (error) {
-    console.error("Error logging in:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  if (!isPasswordMatch) {
+    await recordFailedLogin(user);
+    throw new UnauthorizedError("Invalid credentials");
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, lockUntil: null }
+    );
+  }
+
+  if (requireEmailVerification() && !user.emailVerified) {
+    throw new ForbiddenError("Please verify your email before logging in");
+  }
+
+  // Open a session and generate tokens
+  const tokens = await startSession(user, req, res);
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    ...tokens,
+    user: {
+      id: user._id,
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      roles: user.roles,
+    },
+  });
+});
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/user/refresh
+// @access  Public (requires refresh token cookie or body field)
+exports.refreshToken = asyncHandler(async (req, res) => {
+  const rotated = await rotateSession(getRefreshToken(req), req);
+
+  if (!rotated) {
+    clearRefreshCookie(res);
+    throw new UnauthorizedError(
+      "Invalid or expired refresh token. Please login."
+    );
   }
-};
 
-// @desc    Logout user
+  const user = await User.findOne({ userId: rotated.session.userId });
+
+  if (!user) {
+    await revokeSession(rotated.session._id, "user_deleted");
+    clearRefreshCookie(res);
+    throw new UnauthorizedError("User not found");
+  }
+
+  setRefreshCookie(res, rotated.refreshToken);
+
+  const tokens = { token: user.generateAuthToken(rotated.session._id) };
+  if (refreshTokenInBody()) tokens.refreshToken = rotated.refreshToken;
+
+  res.status(200).json({
+    success: true,
+    message: "Token refreshed successfully",
+    ...tokens,
+  });
+});
+
+// @desc    Logout user from the current session
 // @route   POST /api/user/logout
 // @access  Private
-exports.logoutUser = async (req, res) => {
-  try {
-    // Since we're using JWT, logout is handled client-side by removing the token
-    // This endpoint can be used for logging or clearing server-side sessions if needed
+exports.logoutUser = asyncHandler(async (req, res) => {
+  // Firebase-authenticated requests have no session of ours to revoke;
+  // the client signs out of Firebase itself
+  if (req.session) await revokeSession(req.session._id, "logout");
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Logout successful",
+  });
+});
+
+// @desc    Logout user from every session
+// @route   POST /api/user/logout-all
+// @access  Private
+exports.logoutAllSessions = asyncHandler(async (req, res) => {
+  const revoked = await revokeAllSessions(req.user.userId, "logout_all");
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out of all sessions",
+    revoked,
+  });
+});
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/user/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      current: Boolean(req.session && session._id.equals(req.session._id)),
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      createdAt: session.createdAt,
+    })),
+  });
+});
+
+// @desc    Revoke one session of the current user
+// @route   DELETE /api/user/sessions/:sessionId
+// @access  Private
+exports.revokeOwnSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOne({
+    _id: req.params.sessionId,
+    userId: req.user.userId,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
 
-    res.status(200).json({
-      success: true,
-      message: "Logout successful. Please remove the token from client.",
-    });
-  } catch (error) {
-    console.error("Error logging out:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  await revokeSession(session._id, "logout");
+  if (req.session && session._id.equals(req.session._id)) {
+    clearRefreshCookie(res);
   }
-};
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
 
 // @desc    Get current logged-in user
 // @route   GET /api/user/me
 // @access  Private
-exports.getCurrentUser = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-
-    res.status(200).json({
-      success: true,
-      user: {
-        id: user._id,
-        userId: user.userId,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        roles: user.roles,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt,
-      },
-    });
-  } catch (error) {
-    console.error("Error fetching user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
-  }
-};
+exports.getCurrentUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    user: {
+      id: user._id,
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      roles: user.roles,
+      permissions: [...req.user.$locals.permissions].sort(),
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+  });
+});
 
 // @desc    Get all users
 // @route   GET /api/user/all
-// @access  Private/Admin
-exports.getAllUsers = async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-
-    const skip = (page - 1) * limit;
-
-    const users = await User.find()
-      .select("-password")
-      .limit(parseInt(limit))
-      .skip(skip)
-      .sort({ createdAt: -1 });
-
-    const total = await User.countDocuments();
-
-    res.status(200).json({
-      success: true,
-      count: users.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      users,
-    });
-  } catch (error) {
-    console.error("Error fetching users:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
-  }
-};
+// @access  Private (user:manage)
+exports.getAllUsers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const skip = (page - 1) * limit;
+
+  const users = await User.find()
+    .select("-password")
+    .limit(parseInt(limit))
+    .skip(skip)
+    .sort({ createdAt: -1 });
+
+  const total = await User.countDocuments();
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    users,
+  });
+});
 
 // @desc    Get user by ID
 // @route   GET /api/user/:id
-// @access  Private/Admin
-exports.getUserById = async (req, res) => {
-  try {
-    const user = await User.findOne({ userId: req.params.id }).select(
-      "-password"
-    );
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      user,
-    });
-  } catch (error) {
-    console.error("Error fetching user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+// @access  Private (user:manage)
+exports.getUserById = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.params.id }).select(
+    "-password"
+  );
+
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
-};
+
+  res.status(200).json({
+    success: true,
+    user,
+  });
+});
 
 // @desc    Update user
 // @route   PUT /api/user/:id
-// @access  Private/Admin
-exports.updateUser = async (req, res) => {
-  try {
-    const { name, email, isAdmin, roles, password } = req.body;
+// @access  Private (user:manage)
+exports.updateUser = asyncHandler(async (req, res) => {
+  const { name, email, roles, password } = req.body;
 
-    let user = await User.findOne({ userId: req.params.id });
+  let user = await User.findOne({ userId: req.params.id });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Managers cannot take over accounts more privileged than their own
+  const managementError = await checkUserManagement(req.user, user);
+  if (managementError) {
+    throw new ForbiddenError(managementError);
+  }
 
-    // Update fields
-    if (name) user.name = name;
-    if (email) {
-      // Check if email already exists for another user
-      const existingUser = await User.findOne({ email });
-      if (existingUser && existingUser.userId !== req.params.id) {
-        return res.status(400).json({
-          success: false,
-          message: "Email already in use",
-        });
-      }
-      user.email = email;
+  // Update fields
+  if (name) user.name = name;
+  if (email) {
+    // Check if email already exists for another user
+    const existingUser = await User.findOne({ email });
+    if (existingUser && existingUser.userId !== req.params.id) {
+      throw new ConflictError("Email already in use");
+    }
+    user.email = email;
+    // A new address has to be verified again
+    if (user.isModified("email")) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
     }
-    if (password) user.password = password;
-    if (isAdmin !== undefined) user.isAdmin = isAdmin;
-    if (roles) {
-      if (roles.accessContent !== undefined) {
-        user.roles.accessContent = roles.accessContent;
-      }
-      if (roles.accessProduct !== undefined) {
-        user.roles.accessProduct = roles.accessProduct;
-      }
+  }
+  if (password) user.password = password;
+  if (roles !== undefined) {
+    const grantError = await checkRoleGrant(req.user, roles);
+    if (grantError) {
+      throw new ValidationError(grantError);
     }
+    const nextRoles = [...new Set(roles)].sort();
+    if (nextRoles.join() !== [...user.roles].sort().join()) {
+      user.roles = nextRoles;
+    }
+  }
 
-    await user.save();
+  const emailChanged = user.isModified("email");
 
-    res.status(200).json({
-      success: true,
-      message: "User updated successfully",
-      user: {
-        id: user._id,
-        userId: user.userId,
-        name: user.name,
-        email: user.email,
-        isAdmin: user.isAdmin,
-        roles: user.roles,
-      },
-    });
-  } catch (error) {
-    console.error("Error updating user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  // Credentials or privileges changed - force the user to login again
+  const mustRevokeSessions =
+    user.isModified("password") || user.isModified("roles");
+
+  await user.save();
+
+  if (mustRevokeSessions) {
+    await revokeAllSessions(user.userId, "credentials_changed");
+  }
+
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "User updated successfully",
+    user: {
+      id: user._id,
+      userId: user.userId,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      roles: user.roles,
+    },
+  });
+});
+
+// @desc    Unlock an account locked after failed logins
+// @route   POST /api/user/:id/unlock
+// @access  Private (user:manage)
+exports.unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.params.id });
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Managers cannot act on accounts more privileged than their own
+  const managementError = await checkUserManagement(req.user, user);
+  if (managementError) {
+    throw new ForbiddenError(managementError);
   }
-};
+
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  user.$locals.auditAction = "user.unlocked";
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "User unlocked successfully",
+  });
+});
+
+// @desc    Revoke every session of a user
+// @route   POST /api/user/:id/revoke-sessions
+// @access  Private (user:manage)
+exports.revokeUserSessions = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.params.id });
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Managers cannot act on accounts more privileged than their own
+  const managementError = await checkUserManagement(req.user, user);
+  if (managementError) {
+    throw new ForbiddenError(managementError);
+  }
+
+  const revoked = await revokeAllSessions(user.userId, "admin_revoked");
+  await recordAudit({
+    action: "user.sessions_revoked",
+    targetType: "user",
+    targetId: user.userId,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "All sessions revoked for user",
+    revoked,
+  });
+});
 
 // @desc    Delete user
 // @route   DELETE /api/user/:id
-// @access  Private/Admin
-exports.deleteUser = async (req, res) => {
-  try {
-    const user = await User.findOne({ userId: req.params.id });
+// @access  Private (user:manage)
+exports.deleteUser = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.params.id });
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    await user.deleteOne();
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    res.status(200).json({
-      success: true,
-      message: "User deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting user:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
+  // Managers cannot remove accounts more privileged than their own
+  const managementError = await checkUserManagement(req.user, user);
+  if (managementError) {
+    throw new ForbiddenError(managementError);
   }
-};
+
+  await user.deleteOne();
+  await Session.deleteMany({ userId: user.userId });
+  await UserToken.deleteMany({ userId: user.userId });
+
+  res.status(200).json({
+    success: true,
+    message: "User deleted successfully",
+  });
+});
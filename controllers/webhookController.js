@@ -0,0 +1,261 @@
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const { WEBHOOK_EVENTS } = require("../config/webhooks");
+const { recordAudit } = require("../utils/audit");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+
+// Helper function to shape a webhook for API responses. The secret is only
+// included right after it was generated.
+const formatWebhook = (webhook, secret) => ({
+  _id: webhook._id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  active: webhook.active,
+  createdBy: webhook.createdBy,
+  ...(secret && { secret }),
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+// Helper function to shape a delivery for API responses; the payload is left
+// out of lists
+const formatDelivery = (delivery, { withPayload = false } = {}) => ({
+  _id: delivery._id,
+  webhook: delivery.webhook,
+  event: delivery.event,
+  eventId: delivery.payload.id,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  replayOf: delivery.replayOf,
+  ...(withPayload && { payload: delivery.payload }),
+  createdAt: delivery.createdAt,
+  updatedAt: delivery.updatedAt,
+});
+
+// Helper function to load a webhook or fail with 404
+const loadWebhook = async (id) => {
+  const webhook = await Webhook.findById(id);
+
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found");
+  }
+
+  return webhook;
+};
+
+// Helper function to load a delivery of a webhook or fail with 404
+const loadDelivery = async (webhookId, deliveryId) => {
+  const delivery = await WebhookDelivery.findOne({
+    _id: deliveryId,
+    webhook: webhookId,
+  });
+
+  if (!delivery) {
+    throw new NotFoundError("Delivery not found");
+  }
+
+  return delivery;
+};
+
+// @desc    List the events webhooks can subscribe to
+// @route   GET /api/webhooks/events
+// @access  Private (webhook:manage)
+exports.getWebhookEvents = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    count: WEBHOOK_EVENTS.length,
+    data: WEBHOOK_EVENTS,
+  });
+});
+
+// @desc    Get all webhooks
+// @route   GET /api/webhooks
+// @access  Private (webhook:manage)
+exports.getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find().sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: webhooks.length,
+    data: webhooks.map((webhook) => formatWebhook(webhook)),
+  });
+});
+
+// @desc    Get a webhook
+// @route   GET /api/webhooks/:id
+// @access  Private (webhook:manage)
+exports.getWebhook = asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: formatWebhook(webhook),
+  });
+});
+
+// @desc    Register a webhook; the signing secret is only shown in this response
+// @route   POST /api/webhooks
+// @access  Private (webhook:manage)
+exports.createWebhook = asyncHandler(async (req, res) => {
+  const { url, description, events, active } = req.body;
+
+  const secret = Webhook.generateSecret();
+  const webhook = await Webhook.create({
+    url,
+    description,
+    events: [...new Set(events)],
+    active,
+    secret,
+    createdBy: req.user.userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message:
+      "Webhook created. Store the secret now, it will not be shown again",
+    data: formatWebhook(webhook, secret),
+  });
+});
+
+// @desc    Update a webhook's URL, events, description or active flag
+// @route   PUT /api/webhooks/:id
+// @access  Private (webhook:manage)
+exports.updateWebhook = asyncHandler(async (req, res) => {
+  const { url, description, events, active } = req.body;
+
+  const webhook = await loadWebhook(req.params.id);
+
+  if (url) webhook.url = url;
+  if (description !== undefined) webhook.description = description;
+  if (events) webhook.events = [...new Set(events)];
+  if (active !== undefined) webhook.active = active;
+
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook updated successfully",
+    data: formatWebhook(webhook),
+  });
+});
+
+// @desc    Replace a webhook's signing secret; the new one is only shown once
+// @route   POST /api/webhooks/:id/rotate-secret
+// @access  Private (webhook:manage)
+exports.rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req.params.id);
+
+  const secret = Webhook.generateSecret();
+  webhook.secret = secret;
+  webhook.$locals.auditAction = "webhook.secret_rotated";
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Secret rotated. Store it now, it will not be shown again",
+    data: formatWebhook(webhook, secret),
+  });
+});
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private (webhook:manage)
+exports.deleteWebhook = asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req.params.id);
+
+  await webhook.deleteOne();
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook deleted successfully",
+  });
+});
+
+// @desc    Get a webhook's delivery log, newest first
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private (webhook:manage)
+exports.getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { status, event, page = 1, limit = 20 } = req.query;
+
+  const webhook = await loadWebhook(req.params.id);
+
+  const query = { webhook: webhook._id };
+  if (status) query.status = status;
+  if (event) query.event = event;
+
+  const skip = (page - 1) * limit;
+
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit))
+    .skip(skip);
+
+  const total = await WebhookDelivery.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    total,
+    page: parseInt(page),
+    pages: Math.ceil(total / limit),
+    data: deliveries.map((delivery) => formatDelivery(delivery)),
+  });
+});
+
+// @desc    Get a delivery with its payload and attempts
+// @route   GET /api/webhooks/:id/deliveries/:deliveryId
+// @access  Private (webhook:manage)
+exports.getWebhookDelivery = asyncHandler(async (req, res) => {
+  const delivery = await loadDelivery(req.params.id, req.params.deliveryId);
+
+  res.status(200).json({
+    success: true,
+    data: formatDelivery(delivery, { withPayload: true }),
+  });
+});
+
+// @desc    Send a delivery's payload again as a new delivery
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @access  Private (webhook:manage)
+exports.replayWebhookDelivery = asyncHandler(async (req, res) => {
+  const webhook = await loadWebhook(req.params.id);
+  const delivery = await loadDelivery(webhook._id, req.params.deliveryId);
+
+  if (!webhook.active) {
+    throw new ValidationError("Webhook is inactive. Activate it to replay");
+  }
+
+  if (delivery.status === "pending") {
+    throw new ConflictError("Delivery is still being retried");
+  }
+
+  // Same payload and event id, so receivers can tell it is a repeat
+  const replay = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+  });
+
+  await recordAudit({
+    action: "webhook.delivery_replayed",
+    targetType: "webhook",
+    targetId: webhook._id,
+    changes: [{ field: "delivery", before: delivery._id, after: replay._id }],
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Delivery queued",
+    data: formatDelivery(replay, { withPayload: true }),
+  });
+});
@@ -6,46 +6,80 @@ const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const connectDB = require("./config/db.js");
 const morgan = require("morgan");
+const createContentScheduler = require("./utils/contentScheduler");
+const createWebhookDispatcher = require("./utils/webhookDispatcher");
+const { ensureDefaultRoles } = require("./utils/permissions");
+const { checkMailTransport } = require("./utils/mailer");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
+const { requestContext } = require("./utils/requestContext");
+const { serveMedia } = require("./utils/mediaStorage");
+const routes = require("./routes");
 
 const PORT = process.env.PORT || 5000;
 
+// FAIL FAST IF EMAIL CANNOT BE SENT SAFELY
+checkMailTransport();
+
 // WE WILL CONNECT TO MONGODB HERE
 connectDB();
 
+// MAKE SURE THE PERMISSION CATALOG AND BUILT-IN ROLES EXIST
+ensureDefaultRoles().catch((error) =>
+  console.error(`Error seeding roles: ${error.message}`)
+);
+
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For, otherwise every
+// client shares the proxy's address and its rate limits. TRUST_PROXY takes the
+// same values as Express' "trust proxy" setting (e.g. 1, loopback, 10.0.0.0/8).
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  const hops = Number(value);
+  app.set(
+    "trust proxy",
+    value === "true" ? true : Number.isInteger(hops) ? hops : value
+  );
+}
+
+// Strong ETags, derived from the exact response body, so conditional requests
+// (If-None-Match) can be answered with 304 Not Modified
+app.set("etag", "strong");
+
 // MIDDLEWARE
 app.use(express.json());
 app.use(cookieParser());
 app.use(cors());
 app.use(morgan("dev"));
+app.use(requestContext);
 
 // MAIN ROUTE TO KNOW THAT THE API IS RUNNING OR NOT
 app.get("/", (req, res) => {
   res.send("API IS RUNNING....");
 });
 
-// API ROUTES
-app.use("/api/user", require("./routes/userRoutes"));
-app.use("/api/content", require("./routes/contentRoutes"));
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: "Something went wrong!",
-    error: err.message,
-  });
-});
+// API ROUTES, DOCUMENTATION, FEEDS AND SITEMAPS
+routes.forEach(({ path, router }) => app.use(path, router));
+
+// UPLOADED MEDIA FILES (unless MEDIA_PUBLIC_URL points at another host)
+const mediaPath = process.env.MEDIA_PUBLIC_URL || "/media";
+if (mediaPath.startsWith("/")) {
+  app.use(mediaPath, serveMedia);
+}
 
 // 404 handler
-app.use("*", (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "Route not found",
-  });
-});
+app.use("*", notFound);
+
+// Error handling middleware (AppErrors, Mongoose and MongoDB errors)
+app.use(errorHandler);
+
+// PUBLISH AND UNPUBLISH SCHEDULED CONTENT
+createContentScheduler({
+  intervalMs: parseInt(process.env.CONTENT_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+}).start();
+
+// SEND QUEUED WEBHOOK DELIVERIES
+createWebhookDispatcher().start();
 
 // RUN THE SERVER
 app.listen(PORT, () => {
@@ -1,89 +1,169 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/userModel");
+const Session = require("../models/sessionModel");
+const {
+  isFirebaseToken,
+  authenticateFirebaseToken,
+} = require("../utils/firebaseAuth");
+const { authenticateApiKey } = require("../utils/apiKeys");
+const asyncHandler = require("../utils/asyncHandler");
+const { setContextActor } = require("../utils/requestContext");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
 
-// Protect routes - verify JWT token
-exports.protect = async (req, res, next) => {
+// Helper function to read a bearer token from the Authorization header
+const getBearerToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith("Bearer")
+  ) {
+    return req.headers.authorization.split(" ")[1];
+  }
+  return null;
+};
+
+// Helper function to read an API key from the X-API-Key header or an
+// "Authorization: ApiKey <key>" header
+const getApiKey = (req) => {
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+
+  const [scheme, key] = (req.headers.authorization || "").split(" ");
+  return scheme === "ApiKey" && key ? key : null;
+};
+
+// Helper function to resolve the user and session behind a bearer token,
+// either our own access token or a Firebase ID token (which has no session).
+// Resolves to { user, session, method } or { error } with a client-facing
+// message.
+const authenticateToken = async (token) => {
+  if (isFirebaseToken(token)) {
+    const { user, error } = await authenticateFirebaseToken(token);
+    if (error) return { error };
+
+    await user.loadPermissions();
+    return { user, session: null, method: "firebase" };
+  }
+
+  let decoded;
   try {
-    let token;
-
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith("Bearer")
-    ) {
-      token = req.headers.authorization.split(" ")[1];
-    }
-
-    // Check if token exists
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized to access this route. Please login.",
-      });
-    }
-
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id);
-
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: "User not found",
-        });
-      }
-
-      next();
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized, token failed or expired",
-      });
-    }
-  } catch (error) {
-    console.error("Auth middleware error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: User.ACCESS_TOKEN_AUDIENCE,
     });
+  } catch (error) {
+    return { error: "Not authorized, token failed or expired" };
   }
+
+  // Tokens are only valid while their session has not been revoked
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+  if (!session || !session.isActive()) {
+    return {
+      error: "Session has been revoked or expired. Please login again.",
+    };
+  }
+
+  // Get user from token
+  const user = await User.findById(decoded.id);
+
+  if (!user || user.userId !== session.userId) {
+    return { error: "User not found" };
+  }
+
+  await user.loadPermissions();
+
+  return { user, session, method: "jwt" };
 };
 
-// Admin only middleware
-exports.adminOnly = (req, res, next) => {
-  if (req.user && req.user.isAdmin) {
+// Helper function to authenticate a request by API key or bearer token.
+// Resolves to { user, session, apiKey, method }, { error } or {} when the
+// request carries no credentials.
+const authenticateRequest = async (req) => {
+  const key = getApiKey(req);
+  if (key) {
+    const { user, apiKey, error } = await authenticateApiKey(key, req.ip);
+    if (error) return { error };
+    return { user, session: null, apiKey, method: "api_key" };
+  }
+
+  const token = getBearerToken(req);
+  if (token) {
+    return { apiKey: null, ...(await authenticateToken(token)) };
+  }
+
+  return {};
+};
+
+// Helper function to attach an authenticated caller to the request
+const setCaller = (req, { user, session, apiKey, method }) => {
+  req.user = user;
+  req.session = session;
+  req.apiKey = apiKey;
+  req.authMethod = method;
+  setContextActor(user);
+};
+
+// Protect routes - verify JWT access token, Firebase ID token or API key
+exports.protect = asyncHandler(async (req, res, next) => {
+  const caller = await authenticateRequest(req);
+
+  if (caller.error) {
+    throw new UnauthorizedError(caller.error);
+  }
+
+  // Check if credentials exist
+  if (!caller.user) {
+    throw new UnauthorizedError(
+      "Not authorized to access this route. Please login."
+    );
+  }
+
+  setCaller(req, caller);
+
+  next();
+});
+
+// Optional auth for public routes - attach the user when valid credentials
+// are sent, otherwise continue anonymously
+exports.optionalAuth = asyncHandler(async (req, res, next) => {
+  const caller = await authenticateRequest(req);
+
+  if (caller.user) {
+    setCaller(req, caller);
+  }
+
+  next();
+});
+
+// Require at least one of the given permissions, e.g.
+//   requirePermission("content:update:own", "content:update:any")
+// Ownership (own vs any) is checked later by the policies.
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  if (req.user && permissions.some((permission) => req.user.can(permission))) {
     next();
   } else {
-    res.status(403).json({
-      success: false,
-      message: "Access denied. Admin privileges required.",
-    });
+    next(
+      new ForbiddenError(
+        `Access denied. Requires permission: ${permissions.join(" or ")}`
+      )
+    );
   }
 };
 
-// Check if user has content access
-exports.hasContentAccess = (req, res, next) => {
-  if (req.user && (req.user.isAdmin || req.user.roles.accessContent)) {
+// Require an API key scope for routes no permission guards, e.g. posting
+// comments. Requests signed in as a user are not limited by scopes.
+exports.requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
     next();
   } else {
-    res.status(403).json({
-      success: false,
-      message: "Access denied. Content access permission required.",
-    });
+    next(new ForbiddenError(`Access denied. API key requires scope: ${scope}`));
   }
 };
 
-// Check if user has product access
-exports.hasProductAccess = (req, res, next) => {
-  if (req.user && (req.user.isAdmin || req.user.roles.accessProduct)) {
-    next();
+// Reject API keys on routes that need a signed-in user, such as session and
+// API key management
+exports.requireSignedInUser = (req, res, next) => {
+  if (req.apiKey) {
+    next(new ForbiddenError("API keys cannot be used for this route"));
   } else {
-    res.status(403).json({
-      success: false,
-      message: "Access denied. Product access permission required.",
-    });
+    next();
   }
 };
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const { AppError, NotFoundError } = require("../utils/errors");
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Helper function to turn errors from Mongoose, MongoDB and Express itself
+// into AppErrors. Anything unknown is left alone and becomes a 500.
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new AppError("Validation failed", {
+      status: 400,
+      code: "VALIDATION_FAILED",
+      details: {
+        errors: Object.values(err.errors).map((error) => ({
+          field: error.path,
+          location: "body",
+          message: error.message,
+        })),
+      },
+    });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new AppError(`Invalid value for ${err.path}`, {
+      status: 400,
+      code: "INVALID_VALUE",
+    });
+  }
+
+  // Duplicate key, e.g. two requests racing to claim the same slug or email
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      fields.length > 0
+        ? `A record with this ${fields.join(", ")} already exists`
+        : "Record already exists",
+      { status: 409, code: "CONFLICT", details: { fields } }
+    );
+  }
+
+  // Malformed JSON or an oversized body from express.json()
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Request body is not valid JSON", {
+      status: 400,
+      code: "INVALID_JSON",
+    });
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body is too large", {
+      status: 413,
+      code: "PAYLOAD_TOO_LARGE",
+    });
+  }
+
+  return null;
+};
+
+// Send every error in the same shape:
+//   { success: false, code, message, ...details }
+// Unexpected errors are logged and reported as a generic 500; their message
+// and stack are only included outside production.
+exports.errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const appError = normalizeError(err);
+
+  if (appError) {
+    return res.status(appError.status).json({
+      success: false,
+      code: appError.code,
+      message: appError.message,
+      ...appError.details,
+    });
+  }
+
+  console.error(err.stack || err);
+
+  const body = {
+    success: false,
+    code: "INTERNAL_ERROR",
+    message: "Server error",
+  };
+  if (!isProduction()) {
+    body.error = err.message;
+    body.stack = err.stack;
+  }
+  res.status(500).json(body);
+};
+
+// Catch-all for requests no route matched
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError("Route not found"));
+};
@@ -0,0 +1,70 @@
+const { createStoreFromEnv } = require("../utils/rateLimitStores");
+const { getRateLimit } = require("../config/rateLimits");
+const { AppError } = require("../utils/errors");
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) defaultStore = createStoreFromEnv();
+  return defaultStore;
+};
+
+// Replace the store shared by every limiter, e.g. in tests
+exports.setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+// Build a rate limiting middleware for the named limit in config/rateLimits.js.
+// `keyGenerator(req)` picks what is counted (IP, user, email...); returning
+// null skips the limiter for that request.
+//
+// Responses carry the RateLimit-Limit/-Remaining/-Reset headers, and a
+// 429 with Retry-After once the limit is exceeded.
+exports.rateLimit = ({ name, keyGenerator, store }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const { max, windowMs } = getRateLimit(name);
+      const { count, resetAt } = await (store || getDefaultStore()).increment(
+        `${name}:${key}`,
+        windowMs
+      );
+
+      const resetSeconds = Math.max(
+        0,
+        Math.ceil((resetAt.getTime() - Date.now()) / 1000)
+      );
+      res.set("RateLimit-Policy", `${max};w=${Math.round(windowMs / 1000)}`);
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+      res.set("RateLimit-Reset", String(resetSeconds));
+
+      if (count > max) {
+        res.set("Retry-After", String(resetSeconds));
+        return next(
+          new AppError("Too many requests. Please try again later.", {
+            status: 429,
+            code: "RATE_LIMITED",
+            details: { retryAfter: resetSeconds },
+          })
+        );
+      }
+
+      next();
+    } catch (error) {
+      // A broken limiter store should not take the API down with it
+      console.error("Rate limit error:", error);
+      next();
+    }
+  };
+};
+
+// Common key generators
+exports.byIp = (req) => req.ip;
+exports.byUser = (req) => (req.user ? req.user.userId : null);
+exports.byEmail = (req) =>
+  typeof req.body?.email === "string"
+    ? req.body.email.trim().toLowerCase()
+    : null;
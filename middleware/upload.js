@@ -0,0 +1,44 @@
+const multer = require("multer");
+const { getMediaSettings } = require("../config/media");
+const { AppError, ValidationError } = require("../utils/errors");
+
+// Accept one multipart file in `field`, kept in memory so it can be sniffed
+// and hashed before anything is written to storage. Size limits are enforced
+// while the upload streams in: `getMaxBytes`, or the media limit by default.
+exports.uploadSingle = (field, getMaxBytes) => (req, res, next) => {
+  const maxBytes = getMaxBytes ? getMaxBytes() : getMediaSettings().maxBytes;
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 },
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return next(
+          new AppError(
+            `File is too large (at most ${+(maxBytes / 1024 / 1024).toFixed(2)} MB)`,
+            { status: 413, code: "PAYLOAD_TOO_LARGE" }
+          )
+        );
+      }
+      return next(
+        new ValidationError(error.message, { code: "INVALID_UPLOAD" })
+      );
+    }
+    if (error) return next(error);
+
+    if (!req.file) {
+      return next(
+        new ValidationError("Validation failed", {
+          details: {
+            errors: [{ field, location: "body", message: "is required" }],
+          },
+        })
+      );
+    }
+
+    next();
+  });
+};
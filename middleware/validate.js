@@ -0,0 +1,44 @@
+const {
+  checkSchema,
+  validationResult,
+  matchedData,
+} = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+// Locations whose input is whitelisted: anything not declared in the schema
+// is dropped before the controller runs
+const WHITELISTED_LOCATIONS = ["body", "query"];
+
+// Build a validation middleware from an express-validator schema
+// (see the validators/ directory). Invalid requests get a 400 listing every
+// field error; valid ones continue with coerced, sanitized input that holds
+// only the declared fields.
+exports.validate = (schema) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const result = validationResult(req);
+
+    if (!result.isEmpty()) {
+      return next(
+        new ValidationError("Validation failed", {
+          details: {
+            errors: result.array({ onlyFirstError: true }).map((error) => ({
+              field: error.path,
+              location: error.location,
+              message: error.msg,
+            })),
+          },
+        })
+      );
+    }
+
+    WHITELISTED_LOCATIONS.forEach((location) => {
+      req[location] = matchedData(req, {
+        locations: [location],
+        includeOptionals: true,
+      });
+    });
+
+    next();
+  },
+];
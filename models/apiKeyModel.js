@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { auditPlugin } = require("../utils/audit");
+const { API_KEY_SCOPES } = require("../config/apiKeys");
+
+// Raw keys look like "ak_<40 hex characters>"; the first characters are kept
+// as a prefix so keys can be told apart in lists and logs
+const KEY_PREFIX = "ak_";
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // The user the key acts as
+    userId: {
+      type: String,
+      required: [true, "Owner user ID is required"],
+    },
+    // SHA-256 of the key, never the raw value
+    keyHash: {
+      type: String,
+      required: [true, "Key hash is required"],
+      unique: true,
+      select: false,
+    },
+    prefix: {
+      type: String,
+      required: [true, "Key prefix is required"],
+    },
+    scopes: {
+      type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // Addresses or CIDR ranges the key may be used from; empty allows any
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      required: [true, "Creating user ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Helper function to hash a key for storage and lookup
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+};
+
+// Generate a new raw key
+apiKeySchema.statics.generateKey = function () {
+  return `${KEY_PREFIX}${crypto.randomBytes(20).toString("hex")}`;
+};
+
+apiKeySchema.statics.displayPrefix = function (key) {
+  return key.slice(0, DISPLAY_PREFIX_LENGTH);
+};
+
+// Current state of the key
+apiKeySchema.virtual("state").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  return "active";
+});
+
+apiKeySchema.plugin(auditPlugin, {
+  targetType: "api_key",
+  ignore: ["keyHash", "lastUsedAt", "lastUsedIp"],
+});
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const ACTOR_TYPES = ["user", "anonymous", "system"];
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who did it: a signed-in user, an unauthenticated request (registration,
+    // password reset...) or the system itself (scheduler, scripts)
+    actorType: {
+      type: String,
+      enum: ACTOR_TYPES,
+      required: [true, "Actor type is required"],
+    },
+    actorId: {
+      type: String,
+      default: null,
+    },
+    actorEmail: {
+      type: String,
+      default: null,
+    },
+    // e.g. "user.updated", "content.deleted", "content.transitioned"
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+    },
+    targetType: {
+      type: String,
+      required: [true, "Target type is required"],
+    },
+    targetId: {
+      type: String,
+      required: [true, "Target ID is required"],
+    },
+    // Changed fields with their old and new values. Secrets are listed
+    // with `redacted: true` and no values.
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+        redacted: Boolean,
+      },
+    ],
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The audit log is append-only
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries cannot be modified"));
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+  ],
+  function (next) {
+    next(new Error("Audit log entries cannot be modified"));
+  }
+);
+
+auditLogSchema.pre(
+  ["deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: true, query: true },
+  function (next) {
+    next(new Error("Audit log entries cannot be deleted"));
+  }
+);
+
+auditLogSchema.statics.ACTOR_TYPES = ACTOR_TYPES;
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { cacheInvalidationPlugin } = require("../utils/cache");
+const { invalidateContentReferences } = require("../utils/contentCache");
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // Unique, so "News", "news " and "NEWS" cannot become separate categories
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    // null for top-level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ parent: 1, name: 1 });
+
+categorySchema.plugin(auditPlugin, { targetType: "category" });
+
+// Categories are populated into cached content
+categorySchema.plugin(cacheInvalidationPlugin, {
+  invalidate: invalidateContentReferences,
+});
+
+// Ids of every category below `id`, at any depth
+categorySchema.statics.descendantIds = async function (id) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(id)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+    { $project: { ids: "$descendants._id" } },
+  ]);
+  return result ? result.ids : [];
+};
+
+// Categories above this one, from the top-level category down to its parent
+categorySchema.methods.ancestors = async function () {
+  if (!this.parent) return [];
+
+  const [result] = await this.constructor.aggregate([
+    { $match: { _id: this._id } },
+    {
+      $graphLookup: {
+        from: this.constructor.collection.name,
+        startWith: "$parent",
+        connectFromField: "parent",
+        connectToField: "_id",
+        as: "ancestors",
+        depthField: "depth",
+      },
+    },
+    { $project: { ancestors: 1 } },
+  ]);
+  if (!result) return [];
+
+  return result.ancestors.sort((a, b) => b.depth - a.depth);
+};
+
+const Category = mongoose.model("Category", categorySchema);
+
+module.exports = Category;
@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// pending  - waiting for a moderator (pre-moderation or flagged as spam)
+// approved - visible to everyone who can see the content
+// hidden   - removed from view by a moderator
+const COMMENT_STATUSES = ["pending", "approved", "hidden"];
+
+const commentSchema = new mongoose.Schema(
+  {
+    content_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Content",
+      required: [true, "Content ID is required"],
+    },
+    // Direct parent for replies, null for top-level comments
+    parent_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Top-level comment of the thread (itself for top-level comments), so a
+    // whole thread can be loaded with one query
+    root_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    author_id: {
+      type: String,
+      required: [true, "Author ID is required"],
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, "Comment cannot exceed 5000 characters"],
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: "pending",
+    },
+    // Why the spam filter held the comment back
+    flagReason: {
+      type: String,
+      default: null,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    moderatedBy: {
+      type: String,
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Deleted comments that still have replies keep their place in the
+    // thread without their body
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ content_id: 1, parent_id: 1, createdAt: 1 });
+commentSchema.index({ root_id: 1, createdAt: 1 });
+commentSchema.index({ content_id: 1, status: 1 });
+
+commentSchema.pre("save", function (next) {
+  if (this.isNew && !this.root_id) this.root_id = this._id;
+  next();
+});
+
+// Number of approved, not deleted comments per content ID.
+// Resolves to a Map of content ID string -> count.
+commentSchema.statics.countApproved = async function (contentIds) {
+  if (contentIds.length === 0) return new Map();
+
+  const counts = await this.aggregate([
+    {
+      $match: {
+        content_id: { $in: contentIds },
+        status: "approved",
+        deletedAt: null,
+      },
+    },
+    { $group: { _id: "$content_id", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+commentSchema.statics.COMMENT_STATUSES = COMMENT_STATUSES;
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+module.exports = Comment;
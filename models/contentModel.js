@@ -1,4 +1,123 @@
 const mongoose = require('mongoose');
+const ContentRevision = require('./contentRevisionModel');
+const { STATUSES, TRANSLATION_STATUSES } = require('../utils/workflow');
+const { canSeeAll, canView } = require('../policies/contentPolicy');
+const { auditPlugin } = require('../utils/audit');
+const { cacheInvalidationPlugin } = require('../utils/cache');
+const { invalidateContent } = require('../utils/contentCache');
+const { renderBody } = require('../utils/contentBody');
+const { BODY_FORMATS } = require('../config/content');
+const { getLocaleSettings } = require('../config/locales');
+
+// Fields that differ between the original and its translations
+const LOCALIZED_FIELDS = [
+  'title',
+  'slug',
+  'body',
+  'bodyFormat',
+  'bodyHtml',
+  'excerpt',
+  'wordCount',
+  'readingTime',
+  'toc'
+];
+
+// One table of contents entry per heading of the rendered body
+const tocEntrySchema = new mongoose.Schema(
+  {
+    level: { type: Number, min: 1, max: 6 },
+    text: String,
+    id: String
+  },
+  { _id: false }
+);
+
+// Body format and the fields derived from the body on every save; the derived
+// fields are never set directly
+const bodyFields = () => ({
+  bodyFormat: {
+    type: String,
+    enum: BODY_FORMATS,
+    default: 'markdown'
+  },
+  bodyHtml: {
+    type: String,
+    default: ''
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  // Estimated minutes
+  readingTime: {
+    type: Number,
+    default: 0
+  },
+  toc: [tocEntrySchema]
+});
+
+// Helper function to render the body of a content document or translation
+// when it changes
+function renderIfChanged(next) {
+  if (this.isNew || this.isModified('body') || this.isModified('bodyFormat')) {
+    this.set(renderBody(this.body, this.bodyFormat));
+  }
+  next();
+}
+
+// A translation of the content into another locale. Slugs are unique per
+// locale, across originals and translations.
+const translationSchema = new mongoose.Schema(
+  {
+    locale: {
+      type: String,
+      required: [true, 'Locale is required']
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      lowercase: true
+    },
+    body: {
+      type: String,
+      required: [true, 'Content body is required']
+    },
+    ...bodyFields(),
+    status: {
+      type: String,
+      enum: TRANSLATION_STATUSES,
+      default: 'draft'
+    },
+    publishedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  { _id: false, timestamps: true }
+);
+
+translationSchema.pre('save', renderIfChanged);
+
+// One entry per workflow transition
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    by: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    note: { type: String, default: '' }
+  },
+  { _id: false }
+);
 
 const contentSchema = new mongoose.Schema(
   {
@@ -10,21 +129,27 @@ const contentSchema = new mongoose.Schema(
     slug: {
       type: String,
       required: [true, 'Slug is required'],
-      unique: true,
       lowercase: true,
     },
     body: {
       type: String,
       required: [true, 'Content body is required']
     },
-    category: {
+    ...bodyFields(),
+    // Locale of the original; translations hold the other locales
+    locale: {
       type: String,
-      required: [true, 'Category is required'],
-      trim: true
+      default: () => getLocaleSettings().defaultLocale
+    },
+    translations: [translationSchema],
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: [true, 'Category is required']
     },
     tags: [{
-      type: String,
-      trim: true
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag'
     }],
     author_id: {
       type: String,
@@ -32,9 +157,34 @@ const contentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['draft', 'published'],
+      enum: STATUSES,
       default: 'draft'
-    }
+    },
+    // When a scheduled post goes live
+    publishAt: {
+      type: Date,
+      default: null
+    },
+    // When a published post is archived automatically
+    unpublishAt: {
+      type: Date,
+      default: null
+    },
+    publishedAt: {
+      type: Date,
+      default: null
+    },
+    // Media library references; media cannot be deleted while referenced
+    featuredImage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
+      default: null
+    },
+    attachments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media'
+    }],
+    statusHistory: [statusChangeSchema]
   },
   {
     timestamps: true,
@@ -42,9 +192,177 @@ const contentSchema = new mongoose.Schema(
 );
 
 // Create indexes for better performance
-contentSchema.index({ title: 'text', body: 'text' });
+contentSchema.index({
+  title: 'text',
+  body: 'text',
+  'translations.title': 'text',
+  'translations.body': 'text'
+});
+contentSchema.index({ locale: 1, slug: 1 }, { unique: true });
+contentSchema.index({ slug: 1 });
+contentSchema.index({ 'translations.slug': 1 });
 contentSchema.index({ category: 1, status: 1 });
+contentSchema.index({ tags: 1, status: 1 });
 contentSchema.index({ author_id: 1 });
+contentSchema.index({ status: 1, publishAt: 1 });
+contentSchema.index({ status: 1, unpublishAt: 1 });
+contentSchema.index({ featuredImage: 1 });
+contentSchema.index({ attachments: 1 });
+
+// Render the body and refresh its reading metadata whenever it changes
+contentSchema.pre('save', renderIfChanged);
+
+// Remember which tracked fields this save changes so a revision can be written
+contentSchema.pre('save', function (next) {
+  this.$locals.revisionChanges = ContentRevision.REVISION_FIELDS.filter(
+    (field) => this.isNew || this.isModified(field)
+  );
+  next();
+});
+
+// Attempts at numbering a revision before giving up
+const MAX_REVISION_ATTEMPTS = 5;
+
+// Record an immutable revision for every save that changes tracked fields.
+// Callers set `$locals.editorId` (and `$locals.restoredFrom` for restores).
+contentSchema.post('save', async function () {
+  const changedFields = this.$locals.revisionChanges || [];
+  if (changedFields.length === 0) return;
+
+  const doc = this.toObject();
+  const snapshot = {};
+  ContentRevision.REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = doc[field];
+  });
+
+  // Numbers are unique per content document: when a concurrent save takes
+  // the next one first, take the one after it
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await ContentRevision.findOne({ content_id: this._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    try {
+      await ContentRevision.create({
+        content_id: this._id,
+        revision: latest ? latest.revision + 1 : 1,
+        editor_id: this.$locals.editorId || this.author_id,
+        snapshot,
+        changedFields,
+        restoredFrom: this.$locals.restoredFrom ?? null,
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  this.$locals.revisionChanges = [];
+  this.$locals.restoredFrom = null;
+});
+
+// Audit every create, update and delete (the status history is covered by
+// the status change itself, rendered fields by the body). Translation changes
+// are recorded by the translation endpoints.
+contentSchema.plugin(auditPlugin, {
+  targetType: 'content',
+  ignore: [
+    'statusHistory',
+    'translations',
+    'bodyHtml',
+    'excerpt',
+    'wordCount',
+    'readingTime',
+    'toc'
+  ],
+});
+
+// Keep the cache of published content in step with every write
+contentSchema.plugin(cacheInvalidationPlugin, { invalidate: invalidateContent });
+
+// Visibility rules: anonymous callers only see published content, authors
+// also see their own work, users with content:read:any see everything.
+
+// Query filter restricting a find to what `user` may see
+contentSchema.statics.visibilityFilter = function (user) {
+  if (canSeeAll(user)) return {};
+  if (!user) return { status: 'published' };
+  return { $or: [{ status: 'published' }, { author_id: user.userId }] };
+};
+
+// Check whether `user` (null for anonymous) may see this document
+contentSchema.methods.isVisibleTo = function (user) {
+  return canView(user, this);
+};
+
+// Check whether a slug is used in `locale` by any content other than
+// `exceptId`, as an original or a translation
+contentSchema.statics.isSlugTaken = async function (locale, slug, exceptId) {
+  const existing = await this.exists({
+    ...(exceptId && { _id: { $ne: exceptId } }),
+    $or: [{ locale, slug }, { translations: { $elemMatch: { locale, slug } } }]
+  });
+  return Boolean(existing);
+};
+
+// The original and the translations `includeDrafts` allows, as plain objects
+// with the localized fields, locale and status
+contentSchema.methods.versions = function ({ includeDrafts = false } = {}) {
+  const original = { locale: this.locale, status: this.status };
+  LOCALIZED_FIELDS.forEach((field) => {
+    original[field] = this[field];
+  });
+
+  return [
+    original,
+    ...this.translations
+      .filter(
+        (translation) => includeDrafts || translation.status === 'published'
+      )
+      .map((translation) => translation.toObject())
+  ];
+};
+
+// The version to show for a locale chain (see utils/locale): the first locale
+// in the chain with a version, else the original. Lists every version the
+// caller can switch to as `translations`.
+contentSchema.methods.localize = function (chain, options) {
+  const versions = this.versions(options);
+  const chosen =
+    chain
+      .map((locale) => versions.find((version) => version.locale === locale))
+      .find(Boolean) || versions[0];
+
+  const localized = { locale: chosen.locale };
+  LOCALIZED_FIELDS.forEach((field) => {
+    localized[field] = chosen[field];
+  });
+  localized.translations = versions.map(({ locale, title, slug, status }) => ({
+    locale,
+    title,
+    slug,
+    status
+  }));
+  return localized;
+};
+
+// Number of published documents per category or tag, as a Map keyed by id.
+// `field` is 'category' or 'tags'.
+contentSchema.statics.countPublished = async function (field, ids) {
+  if (ids.length === 0) return new Map();
+
+  const counts = await this.aggregate([
+    { $match: { status: 'published', [field]: { $in: ids } } },
+    ...(field === 'tags'
+      ? [{ $unwind: '$tags' }, { $match: { tags: { $in: ids } } }]
+      : []),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
 
 const Content = mongoose.model('Content', contentSchema);
 module.exports = Content;
\ No newline at end of file
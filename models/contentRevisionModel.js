@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+// Content fields captured in every revision snapshot
+const REVISION_FIELDS = [
+  "title",
+  "slug",
+  "body",
+  "bodyFormat",
+  "category",
+  "tags",
+  "status",
+  "translations",
+];
+
+// Translation fields captured in snapshots; the rest is derived
+const translationSnapshotSchema = new mongoose.Schema(
+  {
+    locale: String,
+    title: String,
+    slug: String,
+    body: String,
+    bodyFormat: String,
+    status: String,
+    publishedAt: Date,
+  },
+  { _id: false }
+);
+
+const contentRevisionSchema = new mongoose.Schema(
+  {
+    content_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Content",
+      required: [true, "Content ID is required"],
+    },
+    // Sequential per content document, starting at 1
+    revision: {
+      type: Number,
+      required: [true, "Revision number is required"],
+      min: 1,
+    },
+    editor_id: {
+      type: String,
+      required: [true, "Editor ID is required"],
+    },
+    snapshot: {
+      title: String,
+      slug: String,
+      body: String,
+      // Revisions from before body formats existed were markdown
+      bodyFormat: { type: String, default: "markdown" },
+      category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+      tags: [{ type: mongoose.Schema.Types.ObjectId, ref: "Tag" }],
+      status: String,
+      // Missing from revisions written before translations were captured
+      translations: { type: [translationSnapshotSchema], default: undefined },
+    },
+    changedFields: [
+      {
+        type: String,
+        enum: REVISION_FIELDS,
+      },
+    ],
+    // Set when this revision was produced by restoring an older one
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+contentRevisionSchema.index({ content_id: 1, revision: -1 }, { unique: true });
+
+// Revisions are immutable once written
+contentRevisionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Content revisions cannot be modified"));
+  }
+  next();
+});
+
+contentRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function (next) {
+    next(new Error("Content revisions cannot be modified"));
+  }
+);
+
+// Compare two values of a revision field
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Build a field-level diff between two snapshots
+contentRevisionSchema.statics.diffSnapshots = function (from, to) {
+  const changes = [];
+
+  REVISION_FIELDS.forEach((field) => {
+    const before = from ? from[field] : undefined;
+    const after = to ? to[field] : undefined;
+    if (isSameValue(before, after)) return;
+
+    const change = { field, from: before ?? null, to: after ?? null };
+    if (field === "tags") {
+      // Tag ids are ObjectIds, so compare them as strings
+      const beforeTags = (before || []).map(String);
+      const afterTags = (after || []).map(String);
+      change.added = afterTags.filter((tag) => !beforeTags.includes(tag));
+      change.removed = beforeTags.filter((tag) => !afterTags.includes(tag));
+    }
+    changes.push(change);
+  });
+
+  return changes;
+};
+
+contentRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+const ContentRevision = mongoose.model("ContentRevision", contentRevisionSchema);
+
+module.exports = ContentRevision;
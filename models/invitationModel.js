@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { auditPlugin } = require("../utils/audit");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    // When set, only this address can redeem the invitation
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    // SHA-256 of the invitation token, never the raw value
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+      select: false,
+    },
+    // Role names granted to the account created from this invitation
+    roles: {
+      type: [String],
+      default: [],
+    },
+    invitedBy: {
+      type: String,
+      required: [true, "Inviting user ID is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    usedBy: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ expiresAt: 1 });
+
+// Helper function to hash an invitation token for storage and lookup
+invitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Generate a new raw invitation token
+invitationSchema.statics.generateToken = function () {
+  return crypto.randomBytes(32).toString("hex");
+};
+
+// Current state of the invitation
+invitationSchema.virtual("state").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.usedAt) return "used";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Invitations grant roles, so they are audited like role changes
+invitationSchema.plugin(auditPlugin, {
+  targetType: "invitation",
+  ignore: ["tokenHash"],
+});
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+module.exports = Invitation;
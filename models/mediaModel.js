@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const { getMediaStorage } = require("../utils/mediaStorage");
+const { cacheInvalidationPlugin } = require("../utils/cache");
+const { invalidateContentReferences } = require("../utils/contentCache");
+
+const mediaSchema = new mongoose.Schema(
+  {
+    owner_id: {
+      type: String,
+      required: [true, "Owner ID is required"],
+    },
+    // Name of the storage adapter and the file's key within it
+    storage: {
+      type: String,
+      required: [true, "Storage is required"],
+    },
+    storageKey: {
+      type: String,
+      required: [true, "Storage key is required"],
+      unique: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: [255, "File name cannot exceed 255 characters"],
+    },
+    // Detected from the file contents, not the upload's headers
+    mimeType: {
+      type: String,
+      required: [true, "MIME type is required"],
+    },
+    size: {
+      type: Number,
+      required: [true, "Size is required"],
+      min: 0,
+    },
+    // SHA-256 of the file, hex encoded
+    checksum: {
+      type: String,
+      required: [true, "Checksum is required"],
+    },
+    width: {
+      type: Number,
+      default: null,
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+    alt: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [500, "Alt text cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mediaSchema.index({ owner_id: 1, createdAt: -1 });
+mediaSchema.index({ checksum: 1 });
+mediaSchema.index({ mimeType: 1 });
+
+// Public URL of the file
+mediaSchema.methods.url = function () {
+  return getMediaStorage().url(this.storageKey);
+};
+
+// Media is populated into cached content
+mediaSchema.plugin(cacheInvalidationPlugin, {
+  invalidate: invalidateContentReferences,
+});
+
+const Media = mongoose.model("Media", mediaSchema);
+
+module.exports = Media;
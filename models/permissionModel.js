@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Permissions are seeded from config/permissions.js and listed to admins
+// building custom roles; they are not created through the API.
+const permissionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Permission key is required"],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Permission = mongoose.model("Permission", permissionSchema);
+
+module.exports = Permission;
@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+
+const imageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "Image URL is required"],
+      trim: true,
+    },
+    alt: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, "Variant SKU is required"],
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Variant name is required"],
+      trim: true,
+    },
+    // e.g. { size: "M", color: "red" }
+    attributes: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    // Falls back to the product price when not set
+    price: {
+      type: Number,
+      min: [0, "Price cannot be negative"],
+    },
+    stock: {
+      type: Number,
+      min: [0, "Stock cannot be negative"],
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const productSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+    },
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      lowercase: true,
+    },
+    sku: {
+      type: String,
+      required: [true, "SKU is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    price: {
+      type: Number,
+      required: [true, "Price is required"],
+      min: [0, "Price cannot be negative"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "USD",
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO 4217 code"],
+    },
+    stock: {
+      type: Number,
+      min: [0, "Stock cannot be negative"],
+      default: 0,
+    },
+    category: {
+      type: String,
+      required: [true, "Category is required"],
+      trim: true,
+    },
+    variants: [variantSchema],
+    images: [imageSchema],
+    created_by: {
+      type: String,
+      required: [true, "Creator ID is required"],
+    },
+    status: {
+      type: String,
+      enum: ["draft", "active", "archived"],
+      default: "draft",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for better performance
+productSchema.index({ category: 1, status: 1 });
+productSchema.index({ price: 1 });
+productSchema.index({ "variants.sku": 1 });
+
+const Product = mongoose.model("Product", productSchema);
+
+module.exports = Product;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../config/permissions");
+const { auditPlugin } = require("../utils/audit");
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: [50, "Role name cannot exceed 50 characters"],
+      match: [
+        /^[a-z0-9_-]+$/,
+        "Role name may only contain letters, numbers, dashes and underscores",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: (permissions) =>
+          permissions.every((permission) => permission in PERMISSIONS),
+        message: "Unknown permission in role",
+      },
+      default: [],
+    },
+    // Built-in roles are managed by the application and cannot be edited
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Roles grant permissions, so every change to them is audited
+roleSchema.plugin(auditPlugin, { targetType: "role", idField: "name" });
+
+const Role = mongoose.model("Role", roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// A login session. Each session owns exactly one valid refresh token at a
+// time; access tokens carry the session id so they die with the session.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      index: true,
+    },
+    // SHA-256 of the current refresh token secret, never the raw value
+    refreshTokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still authenticate requests
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
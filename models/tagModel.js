@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { cacheInvalidationPlugin } = require("../utils/cache");
+const { invalidateContentReferences } = require("../utils/contentCache");
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // Unique, so differently cased or spaced names map onto one tag
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tagSchema.index({ name: 1 });
+
+tagSchema.plugin(auditPlugin, { targetType: "tag" });
+
+// Tags are populated into cached content
+tagSchema.plugin(cacheInvalidationPlugin, {
+  invalidate: invalidateContentReferences,
+});
+
+const Tag = mongoose.model("Tag", tagSchema);
+
+module.exports = Tag;
@@ -2,6 +2,10 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
+const { resolvePermissions } = require("../utils/permissions");
+const { auditPlugin } = require("../utils/audit");
+const { cacheInvalidationPlugin } = require("../utils/cache");
+const { invalidateAuthor } = require("../utils/contentCache");
 
 const userSchema = new mongoose.Schema(
   {
@@ -33,19 +37,33 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false,
     },
-    isAdmin: {
+    emailVerified: {
       type: Boolean,
       default: false,
     },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the account is linked to a Firebase user
+    firebaseUid: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Brute-force protection, see loginUser
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // Names of Role documents; permissions come from the roles
     roles: {
-      accessContent: {
-        type: Boolean,
-        default: false,
-      },
-      accessProduct: {
-        type: Boolean,
-        default: false,
-      },
+      type: [String],
+      default: [],
     },
   },
   {
@@ -53,6 +71,8 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ roles: 1 });
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
@@ -69,21 +89,66 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function () {
+// Check whether the account is locked after too many failed logins
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Audience of access tokens. Other tokens signed with the same secret (e.g.
+// preview links) have their own and are never accepted as access tokens.
+const ACCESS_TOKEN_AUDIENCE = "api-access";
+userSchema.statics.ACCESS_TOKEN_AUDIENCE = ACCESS_TOKEN_AUDIENCE;
+
+// Method to generate a short-lived JWT access token bound to a session
+userSchema.methods.generateAuthToken = function (sessionId) {
   return jwt.sign(
     {
       id: this._id,
       userId: this.userId,
       email: this.email,
-      isAdmin: this.isAdmin,
       roles: this.roles,
+      sid: sessionId,
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || "7d" }
+    {
+      audience: ACCESS_TOKEN_AUDIENCE,
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m",
+    }
   );
 };
 
+// Load the permissions granted by this user's roles
+userSchema.methods.loadPermissions = async function () {
+  this.$locals.permissions = await resolvePermissions(this.roles);
+  return this.$locals.permissions;
+};
+
+// Narrow the loaded permissions to those in `allowed`, e.g. an API key's
+// scopes
+userSchema.methods.limitPermissions = function (allowed) {
+  const permissions = this.$locals.permissions || new Set();
+  this.$locals.permissions = new Set(
+    [...permissions].filter((permission) => allowed.has(permission))
+  );
+  return this.$locals.permissions;
+};
+
+// Check a permission; loadPermissions() must have been called first
+userSchema.methods.can = function (permission) {
+  const permissions = this.$locals.permissions;
+  return Boolean(permissions && permissions.has(permission));
+};
+
+// Audit every create, update and delete, keyed by the public userId
+userSchema.plugin(auditPlugin, { targetType: "user", idField: "userId" });
+
+// Names and emails are cached as content authors; other writes, such as
+// counting failed logins, leave the cache alone
+userSchema.plugin(cacheInvalidationPlugin, {
+  invalidate: invalidateAuthor,
+  fields: ["userId", "name", "email"],
+});
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Single-use tokens emailed to users (password reset, email verification).
+// Only a SHA-256 hash is stored; the raw token only ever exists in the email.
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+    },
+    type: {
+      type: String,
+      enum: ["password_reset", "email_verification"],
+      required: [true, "Token type is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userTokenSchema.index({ userId: 1, type: 1 });
+// Let MongoDB drop tokens once they can no longer be used
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Helper function to hash a token for storage and lookup
+userTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+const UserToken = mongoose.model("UserToken", userTokenSchema);
+
+module.exports = UserToken;
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const { WEBHOOK_EVENTS } = require("../config/webhooks");
+
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+// One attempt at sending a delivery
+const attemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true,
+    },
+    // HTTP status of the response; null when the request itself failed
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// A webhook delivery doubles as the retry queue and the delivery log:
+// pending deliveries are picked up by the dispatcher once `nextAttemptAt` is
+// due (utils/webhookDispatcher.js).
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: [true, "Webhook is required"],
+    },
+    event: {
+      type: String,
+      enum: WEBHOOK_EVENTS,
+      required: [true, "Event is required"],
+    },
+    // The JSON body sent, including the event id receivers deduplicate on.
+    // Replays send the same payload again.
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "Payload is required"],
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: "pending",
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while a dispatcher is sending the delivery, so no other one does
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    // The delivery this one replays, if any
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+module.exports = WebhookDelivery;
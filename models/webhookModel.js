@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { auditPlugin } = require("../utils/audit");
+const { WEBHOOK_EVENTS } = require("../config/webhooks");
+
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, "URL is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event is required",
+      },
+    },
+    // Signs every delivery. Kept in clear because HMAC needs the raw value;
+    // it is only ever returned when created or rotated.
+    secret: {
+      type: String,
+      required: [true, "Secret is required"],
+      select: false,
+    },
+    // Inactive webhooks receive no new deliveries
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: String,
+      required: [true, "Creating user ID is required"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookSchema.index({ events: 1, active: 1 });
+
+// Generate a new signing secret
+webhookSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+};
+
+webhookSchema.plugin(auditPlugin, { targetType: "webhook" });
+
+const Webhook = mongoose.model("Webhook", webhookSchema);
+
+module.exports = Webhook;
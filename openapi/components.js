@@ -0,0 +1,243 @@
+// Shared components of the OpenAPI document: security schemes, error
+// responses and the resource schemas, derived from the models and adjusted
+// where the controllers shape a resource differently.
+const User = require("../models/userModel");
+const Session = require("../models/sessionModel");
+const Role = require("../models/roleModel");
+const Invitation = require("../models/invitationModel");
+const Content = require("../models/contentModel");
+const ContentRevision = require("../models/contentRevisionModel");
+const Comment = require("../models/commentModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const Media = require("../models/mediaModel");
+const Product = require("../models/productModel");
+const AuditLog = require("../models/auditLogModel");
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const ApiKey = require("../models/apiKeyModel");
+const { OBJECT_ID, fromMongooseSchema, modelSchema } = require("./modelSchema");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = { type: "string" };
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+const arrayOf = (items) => ({ type: "array", items });
+const object = (properties) => ({ type: "object", properties });
+
+const securitySchemes = {
+  bearerAuth: {
+    type: "http",
+    scheme: "bearer",
+    bearerFormat: "JWT",
+    description:
+      "Access token from POST /api/user/login or /api/user/refresh, or a Firebase ID token",
+  },
+  apiKey: {
+    type: "apiKey",
+    in: "header",
+    name: "X-API-Key",
+    description:
+      "API key from POST /api/api-keys, also accepted as `Authorization: ApiKey <key>`. Keys act as their owner, limited to their scopes.",
+  },
+};
+
+// Every error has this shape (middleware/errorHandler.js), plus details
+// such as the allowed transitions or the conflicting fields
+const errorSchema = {
+  type: "object",
+  required: ["success", "code", "message"],
+  properties: {
+    success: { const: false },
+    code: { ...string, examples: ["NOT_FOUND"] },
+    message: string,
+  },
+};
+
+const errorResponse = (description, schema = ref("Error")) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+
+const responses = {
+  ValidationFailed: errorResponse("The request is invalid", {
+    allOf: [
+      ref("Error"),
+      object({
+        errors: arrayOf(
+          object({ field: string, location: string, message: string })
+        ),
+      }),
+    ],
+  }),
+  Unauthorized: errorResponse("Missing, invalid or expired credentials"),
+  Forbidden: errorResponse(
+    "The caller lacks a required permission or API key scope"
+  ),
+  NotFound: errorResponse("The resource does not exist"),
+  Conflict: errorResponse("The change conflicts with existing data"),
+  PayloadTooLarge: errorResponse("The request body or upload is too large"),
+  UnsupportedMediaType: errorResponse("The uploaded file type is not allowed"),
+  RateLimited: {
+    ...errorResponse("Too many requests; retry after the given delay"),
+    headers: {
+      "Retry-After": {
+        description: "Seconds to wait",
+        schema: { type: "integer" },
+      },
+    },
+  },
+  NotModified: {
+    description: "The copy the client holds (If-None-Match) is still current",
+  },
+};
+
+const userSummary = object({
+  id: OBJECT_ID,
+  userId: { ...string, format: "uuid" },
+  name: string,
+  email: { ...string, format: "email" },
+  emailVerified: { type: "boolean" },
+  roles: arrayOf(string),
+});
+
+const taxonomyReference = {
+  ...object({ _id: OBJECT_ID, name: string, slug: string }),
+  required: ["_id"],
+  description: "Name and slug are included once the reference is resolved",
+};
+
+const mediaReference = {
+  ...object({
+    _id: OBJECT_ID,
+    url: string,
+    mimeType: string,
+    width: nullable({ type: "integer" }),
+    height: nullable({ type: "integer" }),
+    alt: string,
+  }),
+  required: ["_id"],
+};
+
+const author = nullable(
+  object({ userId: { ...string, format: "uuid" }, name: string, email: string })
+);
+
+const translationSummary = object({
+  locale: string,
+  title: string,
+  slug: string,
+  status: string,
+});
+
+const schemas = {
+  Error: errorSchema,
+  UserSummary: userSummary,
+  User: modelSchema(User, {
+    omit: ["failedLoginAttempts", "lockUntil"],
+  }),
+  Session: modelSchema(Session, {
+    omit: [
+      "_id",
+      "userId",
+      "refreshTokenHash",
+      "revokedAt",
+      "revokedReason",
+      "updatedAt",
+    ],
+    properties: {
+      id: OBJECT_ID,
+      current: { type: "boolean", description: "The caller's own session" },
+    },
+  }),
+  Role: modelSchema(Role, {
+    omit: ["_id"],
+    properties: { id: OBJECT_ID, userCount: { type: "integer" } },
+  }),
+  Permission: object({ key: string, description: string }),
+  Invitation: modelSchema(Invitation, {
+    omit: ["_id", "updatedAt"],
+    properties: {
+      id: OBJECT_ID,
+      state: { ...string, enum: ["pending", "used", "revoked", "expired"] },
+    },
+  }),
+  TaxonomyReference: taxonomyReference,
+  MediaReference: mediaReference,
+  Content: modelSchema(Content, {
+    omit: ["statusHistory"],
+    properties: {
+      translations: {
+        ...arrayOf(translationSummary),
+        description: "Every locale the caller can switch to",
+      },
+      originalLocale: string,
+      category: nullable(ref("TaxonomyReference")),
+      tags: arrayOf(ref("TaxonomyReference")),
+      author,
+      featuredImage: nullable(ref("MediaReference")),
+      attachments: arrayOf(ref("MediaReference")),
+      commentCount: { type: "integer" },
+    },
+  }),
+  ContentTranslation: fromMongooseSchema(
+    Content.schema.path("translations").schema
+  ),
+  StatusChange: fromMongooseSchema(Content.schema.path("statusHistory").schema),
+  ContentRevision: modelSchema(ContentRevision),
+  Comment: modelSchema(Comment, {
+    omit: ["root_id", "author_id", "deletedAt"],
+    properties: {
+      author,
+      body: nullable(string),
+      deleted: { type: "boolean" },
+      replies: arrayOf(ref("Comment")),
+    },
+  }),
+  Category: modelSchema(Category, {
+    properties: {
+      publishedCount: { type: "integer" },
+      totalPublishedCount: {
+        type: "integer",
+        description: "Published content in the category and its descendants",
+      },
+    },
+  }),
+  Tag: modelSchema(Tag, {
+    properties: { publishedCount: { type: "integer" } },
+  }),
+  Media: modelSchema(Media, {
+    omit: ["storage", "storageKey"],
+    properties: { url: string },
+  }),
+  Product: modelSchema(Product),
+  AuditEntry: modelSchema(AuditLog),
+  Webhook: modelSchema(Webhook, {
+    properties: {
+      secret: {
+        ...string,
+        description: "Only returned when the webhook is created or rotated",
+      },
+    },
+  }),
+  WebhookDelivery: modelSchema(WebhookDelivery, {
+    omit: ["lockedUntil"],
+    properties: { eventId: { ...string, format: "uuid" } },
+  }),
+  ApiKey: modelSchema(ApiKey, {
+    omit: ["_id", "updatedAt"],
+    properties: {
+      id: OBJECT_ID,
+      state: { ...string, enum: ["active", "expired", "revoked"] },
+    },
+  }),
+};
+
+module.exports = {
+  ref,
+  arrayOf,
+  object,
+  nullable,
+  securitySchemes,
+  responses,
+  schemas,
+};
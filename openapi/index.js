@@ -0,0 +1,79 @@
+// The OpenAPI 3.1 document of the API, served at /api/openapi.json. Each file
+// in openapi/paths describes the routes of one router in routes/, and
+// `npm run check:openapi` fails when a route is missing from it.
+const { version } = require("../package.json");
+const { securitySchemes, responses, schemas } = require("./components");
+
+const PATH_MODULES = [
+  require("./paths/users"),
+  require("./paths/content"),
+  require("./paths/taxonomy"),
+  require("./paths/products"),
+  require("./paths/roles"),
+  require("./paths/apiKeys"),
+  require("./paths/admin"),
+  require("./paths/media"),
+  require("./paths/webhooks"),
+  require("./paths/docs"),
+  require("./paths/feeds"),
+];
+
+// Helper function to line an operation's path parameters up with its path
+// template: validators shared by several paths may declare parameters a path
+// does not have, and routes without validators declare none.
+const withPathParameters = (path, operation) => {
+  const names = [...path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+  const parameters = operation.parameters.filter(
+    (parameter) => parameter.in !== "path" || names.includes(parameter.name)
+  );
+  names.forEach((name) => {
+    const declared = parameters.some(
+      (parameter) => parameter.in === "path" && parameter.name === name
+    );
+    if (!declared) {
+      parameters.push({
+        name,
+        in: "path",
+        required: true,
+        schema: { type: "string" },
+      });
+    }
+  });
+  return { ...operation, parameters };
+};
+
+const buildPaths = () => {
+  const paths = {};
+  PATH_MODULES.forEach((module) => {
+    Object.entries(module).forEach(([path, operations]) => {
+      paths[path] = paths[path] || {};
+      Object.entries(operations).forEach(([method, operation]) => {
+        paths[path][method] = withPathParameters(path, operation);
+      });
+    });
+  });
+  return paths;
+};
+
+let document;
+
+// Built once, on first use
+const buildOpenApiDocument = () => {
+  if (!document) {
+    document = {
+      openapi: "3.1.0",
+      info: {
+        title: "Content API",
+        version,
+        description:
+          "Errors always have the shape `{ success: false, code, message }`. Lists are paginated with `page` and `limit` and report `count`, `total`, `page` and `pages`.",
+      },
+      servers: [{ url: "/" }],
+      components: { securitySchemes, responses, schemas },
+      paths: buildPaths(),
+    };
+  }
+  return document;
+};
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,136 @@
+// Build JSON Schemas for the OpenAPI document from Mongoose schemas, so the
+// documented fields follow the models. Fields hidden with `select: false` are
+// never documented.
+
+const OBJECT_ID = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+// Mongoose accepts `maxlength: 100` as well as `maxlength: [100, "message"]`
+const optionValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const enumValues = (value) => {
+  if (!value) return null;
+  const values = Array.isArray(value) ? value : value.values;
+  return Array.isArray(values) ? values : null;
+};
+
+// Helper function to describe one schema type
+const schemaTypeSchema = (schemaType) => {
+  const { options = {} } = schemaType;
+
+  // Arrays of subdocuments and single nested subdocuments
+  if (schemaType.schema) {
+    const subdocument = fromMongooseSchema(schemaType.schema);
+    return schemaType.$isMongooseDocumentArray
+      ? { type: "array", items: subdocument }
+      : subdocument;
+  }
+
+  let schema;
+  switch (schemaType.instance) {
+    case "String": {
+      schema = { type: "string" };
+      const values = enumValues(options.enum);
+      if (values) schema.enum = values;
+      if (options.maxlength) schema.maxLength = optionValue(options.maxlength);
+      if (options.minlength) schema.minLength = optionValue(options.minlength);
+      break;
+    }
+    case "Number":
+      schema = { type: "number" };
+      if (options.min !== undefined) schema.minimum = optionValue(options.min);
+      if (options.max !== undefined) schema.maximum = optionValue(options.max);
+      break;
+    case "Boolean":
+      schema = { type: "boolean" };
+      break;
+    case "Date":
+      schema = { type: "string", format: "date-time" };
+      break;
+    case "ObjectId":
+      schema = { ...OBJECT_ID };
+      if (options.ref) schema.description = `${options.ref} id`;
+      break;
+    case "Array":
+      schema = {
+        type: "array",
+        items: schemaType.caster ? schemaTypeSchema(schemaType.caster) : {},
+      };
+      break;
+    case "Map":
+      schema = {
+        type: "object",
+        additionalProperties: schemaType.$__schemaType
+          ? schemaTypeSchema(schemaType.$__schemaType)
+          : true,
+      };
+      break;
+    default:
+      // Mixed and anything else can hold any JSON value
+      schema = {};
+  }
+
+  const defaultValue = options.default;
+  if (
+    defaultValue !== undefined &&
+    typeof defaultValue !== "function" &&
+    !Array.isArray(defaultValue)
+  ) {
+    schema.default = defaultValue;
+  }
+
+  return schema;
+};
+
+// Convert a Mongoose schema into an object schema. Dotted paths of nested
+// objects ("address.city") become nested object schemas.
+const fromMongooseSchema = (mongooseSchema, { omit = [] } = {}) => {
+  const root = { type: "object", properties: {}, required: [] };
+
+  Object.entries(mongooseSchema.paths).forEach(([path, schemaType]) => {
+    if (path === "__v" || omit.includes(path)) return;
+    // Values of a Map ("attributes.$*") are described by the Map itself
+    if (path.endsWith(".$*")) return;
+    if (schemaType.options && schemaType.options.select === false) return;
+
+    const parts = path.split(".");
+    let target = root;
+    parts.slice(0, -1).forEach((part) => {
+      target.properties[part] = target.properties[part] || {
+        type: "object",
+        properties: {},
+        required: [],
+      };
+      target = target.properties[part];
+    });
+
+    const name = parts[parts.length - 1];
+    target.properties[name] = schemaTypeSchema(schemaType);
+    if (schemaType.isRequired) target.required.push(name);
+  });
+
+  // Drop empty `required` lists, which OpenAPI validators reject
+  const tidy = (schema) => {
+    if (schema.required && schema.required.length === 0) delete schema.required;
+    Object.values(schema.properties || {}).forEach((property) => {
+      if (property.properties) tidy(property);
+    });
+    return schema;
+  };
+
+  return tidy(root);
+};
+
+// Schema of a model's documents. `omit` drops fields the API never returns;
+// `properties` adds or replaces fields the controllers shape differently.
+const modelSchema = (Model, { omit = [], properties = {} } = {}) => {
+  const schema = fromMongooseSchema(Model.schema, { omit });
+  schema.properties = { ...schema.properties, ...properties };
+  if (schema.required) {
+    schema.required = schema.required.filter((field) =>
+      Object.prototype.hasOwnProperty.call(schema.properties, field)
+    );
+  }
+  return schema;
+};
+
+module.exports = { OBJECT_ID, fromMongooseSchema, modelSchema };
@@ -0,0 +1,186 @@
+// Helpers the files in openapi/paths use to describe operations
+const { requestFromValidator } = require("./validatorSchema");
+const { arrayOf } = require("./components");
+
+// Credentials a route takes, mirroring its middleware:
+//   public    - none
+//   optional  - optionalAuth; signed-in callers may see more (e.g. drafts)
+//   protected - protect; an access token or an API key
+//   session   - protect and requireSignedInUser; API keys are rejected
+const SECURITY = {
+  public: [],
+  optional: [{}, { bearerAuth: [] }, { apiKey: [] }],
+  protected: [{ bearerAuth: [] }, { apiKey: [] }],
+  session: [{ bearerAuth: [] }],
+};
+
+// Status of each shared error response (components.responses)
+const ERROR_STATUSES = {
+  ValidationFailed: 400,
+  Unauthorized: 401,
+  Forbidden: 403,
+  NotFound: 404,
+  Conflict: 409,
+  PayloadTooLarge: 413,
+  UnsupportedMediaType: 415,
+  RateLimited: 429,
+};
+
+const integer = { type: "integer" };
+
+// Headers of responses clients and proxies may cache
+const CACHE_HEADERS = {
+  ETag: {
+    description: "Strong validator of the response body",
+    schema: { type: "string" },
+  },
+  "Cache-Control": {
+    description:
+      "public with a max-age for anonymous readers, private, no-cache otherwise",
+    schema: { type: "string" },
+  },
+};
+
+// Successful JSON bodies: { success: true, ... }
+const envelope = (properties) => ({
+  type: "object",
+  required: ["success"],
+  properties: { success: { const: true }, ...properties },
+});
+
+// { success, message, ...extra }
+const messageBody = (extra = {}) =>
+  envelope({ message: { type: "string" }, ...extra });
+
+// { success, [message], data, ...extra }
+const dataBody = (data, { message = false, extra = {} } = {}) =>
+  envelope({
+    ...(message && { message: { type: "string" } }),
+    data,
+    ...extra,
+  });
+
+// { success, count, [total, page, pages], <key>: [...] }
+const listBody = (items, { key = "data", paginated = true, extra = {} } = {}) =>
+  envelope({
+    count: integer,
+    ...(paginated && { total: integer, page: integer, pages: integer }),
+    [key]: arrayOf(items),
+    ...extra,
+  });
+
+// Helper function to merge two object schemas' properties
+const mergeBodies = (base, extra) => {
+  if (!base) return extra || null;
+  if (!extra) return base;
+  const required = [...(base.required || []), ...(extra.required || [])];
+  return {
+    type: "object",
+    properties: { ...base.properties, ...extra.properties },
+    ...(required.length > 0 && { required }),
+  };
+};
+
+// Describe one operation. Inputs validated by a validators/ schema are
+// documented from it; `parameters` and `body` add what it does not cover.
+const operation = ({
+  tags,
+  summary,
+  description,
+  auth = "public",
+  // Any one of them, as in requirePermission(...)
+  permissions = [],
+  // API key scope checked with requireScope(...)
+  scope,
+  validator,
+  parameters = [],
+  body,
+  multipart = false,
+  status = 200,
+  response,
+  // Non-JSON responses, e.g. { "application/rss+xml": { schema } }
+  content,
+  // Conditional GET: cache headers, and 304 for If-None-Match
+  cacheable = false,
+  errors = [],
+}) => {
+  const request = requestFromValidator(validator);
+  const requestBody = mergeBodies(request.body, body);
+
+  const notes = [];
+  if (permissions.length > 0) {
+    notes.push(
+      `Requires permission: ${permissions.map((key) => `\`${key}\``).join(" or ")}.`
+    );
+  }
+  if (scope) notes.push(`API keys need the \`${scope}\` scope.`);
+  if (auth === "session") notes.push("Not available to API keys.");
+
+  const errorNames = new Set(errors);
+  if (validator || requestBody) errorNames.add("ValidationFailed");
+  if (auth === "protected" || auth === "session") {
+    errorNames.add("Unauthorized");
+  }
+  if (permissions.length > 0 || scope || auth === "session") {
+    errorNames.add("Forbidden");
+  }
+
+  const responses = {
+    [status]: {
+      description: summary,
+      ...(cacheable && { headers: CACHE_HEADERS }),
+      content: content || {
+        "application/json": { schema: response || messageBody() },
+      },
+    },
+    ...(cacheable && { 304: { $ref: "#/components/responses/NotModified" } }),
+  };
+  [...errorNames]
+    .sort((a, b) => ERROR_STATUSES[a] - ERROR_STATUSES[b])
+    .forEach((name) => {
+      responses[ERROR_STATUSES[name]] = {
+        $ref: `#/components/responses/${name}`,
+      };
+    });
+
+  return {
+    tags,
+    summary,
+    ...((description || notes.length > 0) && {
+      description: [description, ...notes].filter(Boolean).join("\n\n"),
+    }),
+    security: SECURITY[auth],
+    ...(permissions.length > 0 && { "x-permissions": permissions }),
+    ...(scope && { "x-api-key-scope": scope }),
+    parameters: [...request.parameters, ...parameters],
+    ...(requestBody && {
+      requestBody: {
+        required: Boolean(requestBody.required) || multipart,
+        content: {
+          [multipart ? "multipart/form-data" : "application/json"]: {
+            schema: requestBody,
+          },
+        },
+      },
+    }),
+    responses,
+  };
+};
+
+// A query parameter not covered by a validator
+const queryParameter = (name, schema, description) => ({
+  name,
+  in: "query",
+  required: false,
+  ...(description && { description }),
+  schema,
+});
+
+module.exports = {
+  operation,
+  envelope,
+  messageBody,
+  dataBody,
+  listBody,
+  queryParameter,
+};
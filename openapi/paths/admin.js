@@ -0,0 +1,150 @@
+const schemas = require("../../validators/auditValidators");
+const transferSchemas = require("../../validators/contentTransferValidators");
+const { ref, object, arrayOf } = require("../components");
+const { operation, messageBody, listBody } = require("../operation");
+
+const op = (options) =>
+  operation({
+    tags: ["Audit log"],
+    auth: "protected",
+    permissions: ["audit:read"],
+    ...options,
+  });
+
+const transferOp = (options) =>
+  operation({
+    tags: ["Content import and export"],
+    auth: "protected",
+    permissions: ["content:bulk"],
+    ...options,
+  });
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+
+// Outcome counts, e.g. { total: 3, created: 2, failed: 1 }
+const summary = {
+  type: "object",
+  properties: { total: integer },
+  additionalProperties: integer,
+};
+
+// One exported or imported post. Categories and tags are slugs (ids are
+// accepted on import), the author an email.
+const transferRecord = object({
+  _id: { ...string, description: "Ignored on import" },
+  title: string,
+  slug: string,
+  locale: string,
+  status: string,
+  bodyFormat: string,
+  category: string,
+  tags: arrayOf(string),
+  author: { ...string, format: "email" },
+  publishAt: { type: ["string", "null"], format: "date-time" },
+  unpublishAt: { type: ["string", "null"], format: "date-time" },
+  publishedAt: { type: ["string", "null"], format: "date-time" },
+  createdAt: { ...string, format: "date-time" },
+  updatedAt: { ...string, format: "date-time" },
+  body: string,
+  translations: arrayOf(
+    object({
+      locale: string,
+      title: string,
+      slug: string,
+      bodyFormat: string,
+      status: string,
+      publishedAt: { type: ["string", "null"], format: "date-time" },
+      body: string,
+    })
+  ),
+});
+
+module.exports = {
+  "/api/admin/audit": {
+    get: op({
+      summary: "Search the audit log",
+      validator: schemas.getAuditLog,
+      response: listBody(ref("AuditEntry")),
+    }),
+  },
+  "/api/admin/audit/export": {
+    get: op({
+      summary: "Export matching audit entries as a file",
+      description:
+        "Streams every matching entry, oldest first, as NDJSON (one entry per line) or CSV. The export itself is recorded in the audit log.",
+      validator: schemas.exportAuditLog,
+      content: {
+        "application/x-ndjson": { schema: { type: "string" } },
+        "text/csv": { schema: { type: "string" } },
+      },
+    }),
+  },
+  "/api/admin/content/export": {
+    get: transferOp({
+      summary: "Export content matching a filter as a file",
+      description:
+        "Streams every matching post, oldest first, as a JSON array, NDJSON (one post per line, the default) or CSV. In CSV tags are comma-separated and translations a JSON array. The export is recorded in the audit log.",
+      validator: transferSchemas.exportContent,
+      content: {
+        "application/json": { schema: arrayOf(transferRecord) },
+        "application/x-ndjson": { schema: string },
+        "text/csv": { schema: string },
+      },
+    }),
+  },
+  "/api/admin/content/import": {
+    post: transferOp({
+      summary: "Import content from a JSON, NDJSON or CSV file",
+      description:
+        "Takes files in the export format; the format defaults to the file extension. Rows are imported one by one and each gets a result: created, updated, unchanged, skipped or failed with its errors. Authors are matched by email: rows without one belong to the importing user, and unknown emails fail unless fallbackAuthor is set. Statuses and dates are kept as given when the importing user could have moved the content there through the workflow; otherwise the row is imported as a draft with a warning, and so are published translations unless the user is a reviewer. Overwriting content needs the right to edit it. With dryRun nothing is written.",
+      validator: transferSchemas.importContent,
+      multipart: true,
+      body: {
+        type: "object",
+        properties: { file: { ...string, format: "binary" } },
+        required: ["file"],
+      },
+      response: messageBody({
+        dryRun: { type: "boolean" },
+        summary,
+        results: arrayOf(
+          object({
+            row: integer,
+            locale: string,
+            slug: string,
+            result: {
+              ...string,
+              enum: ["created", "updated", "unchanged", "skipped", "failed"],
+            },
+            id: string,
+            errors: arrayOf(string),
+            warnings: arrayOf(string),
+          })
+        ),
+      }),
+      errors: ["PayloadTooLarge"],
+    }),
+  },
+  "/api/admin/content/bulk": {
+    post: transferOp({
+      summary: "Transition, retag, recategorize or delete a list of content",
+      description:
+        "Each post goes through the same checks as a single edit, and a post that fails does not stop the others. Retagging adds the tags by default; tagMode can remove or replace them instead.",
+      validator: transferSchemas.bulkContent,
+      response: messageBody({
+        summary,
+        results: arrayOf(
+          object({
+            id: string,
+            result: {
+              ...string,
+              enum: ["updated", "unchanged", "deleted", "failed"],
+            },
+            error: string,
+          })
+        ),
+      }),
+    }),
+  },
+};
@@ -0,0 +1,70 @@
+const schemas = require("../../validators/apiKeyValidators");
+const { ref, object, arrayOf } = require("../components");
+const { operation, dataBody, listBody } = require("../operation");
+
+// API keys are managed with a signed-in session only
+const op = (options) =>
+  operation({ tags: ["API keys"], auth: "session", ...options });
+
+const apiKey = ref("ApiKey");
+
+module.exports = {
+  "/api/api-keys/scopes": {
+    get: op({
+      summary: "List the scopes a key can be given",
+      response: listBody(
+        object({
+          key: { type: "string" },
+          description: { type: "string" },
+          permissions: arrayOf({ type: "string" }),
+        }),
+        { paginated: false }
+      ),
+    }),
+  },
+  "/api/api-keys": {
+    get: op({
+      summary: "List API keys",
+      description:
+        "Lists the caller's own keys; `userId` lists another user's and needs `user:manage`.",
+      validator: schemas.getApiKeys,
+      response: listBody(apiKey),
+    }),
+    post: op({
+      summary: "Create an API key",
+      description:
+        "The key is only returned in this response. Creating a key for another user needs `user:manage` and every permission that user holds.",
+      validator: schemas.createApiKey,
+      status: 201,
+      response: dataBody(apiKey, {
+        message: true,
+        extra: { key: { type: "string", examples: ["ak_…"] } },
+      }),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/api-keys/{id}": {
+    get: op({
+      summary: "Get an API key",
+      validator: schemas.apiKeyId,
+      response: dataBody(apiKey),
+      errors: ["NotFound"],
+    }),
+    put: op({
+      summary: "Rename a key or change its IP allowlist",
+      description:
+        "Keys of other users need `user:manage` and every permission their user holds.",
+      validator: schemas.updateApiKey,
+      response: dataBody(apiKey, { message: true }),
+      errors: ["NotFound"],
+    }),
+    delete: op({
+      summary: "Revoke an API key",
+      description:
+        "Keys of other users need `user:manage` and every permission their user holds.",
+      validator: schemas.apiKeyId,
+      response: dataBody(apiKey, { message: true }),
+      errors: ["NotFound"],
+    }),
+  },
+};
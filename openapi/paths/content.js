@@ -0,0 +1,312 @@
+const schemas = require("../../validators/contentValidators");
+const commentSchemas = require("../../validators/commentValidators");
+const { ref, object, arrayOf, nullable } = require("../components");
+const { operation, dataBody, listBody } = require("../operation");
+
+const op = (options) => operation({ tags: ["Content"], ...options });
+const revisionOp = (options) =>
+  operation({ tags: ["Content revisions"], ...options });
+const translationOp = (options) =>
+  operation({ tags: ["Content translations"], ...options });
+const commentOp = (options) => operation({ tags: ["Comments"], ...options });
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+
+const content = ref("Content");
+const comment = ref("Comment");
+const translation = ref("ContentTranslation");
+
+// Content writes are rate limited per IP and per account
+const writeErrors = ["RateLimited"];
+
+const canEdit = ["content:update:own", "content:update:any"];
+
+const facet = (key, value) => arrayOf(object({ [key]: value, count: integer }));
+
+module.exports = {
+  "/api/content": {
+    get: op({
+      summary: "List content",
+      description:
+        "Only published content is listed unless the caller may see drafts.",
+      auth: "optional",
+      validator: schemas.getAllContent,
+      response: listBody(content),
+      cacheable: true,
+    }),
+    post: op({
+      summary: "Create content",
+      description: "New content always starts as a draft.",
+      auth: "protected",
+      permissions: ["content:create"],
+      validator: schemas.createContent,
+      status: 201,
+      response: dataBody(content, { message: true }),
+      errors: writeErrors,
+    }),
+  },
+  "/api/content/search": {
+    get: op({
+      summary: "Search content",
+      description: "Results are ranked by relevance and include facet counts.",
+      auth: "optional",
+      validator: schemas.searchContent,
+      cacheable: true,
+      response: listBody(
+        {
+          allOf: [
+            content,
+            object({
+              score: { type: "number" },
+              highlights: object({ title: string, body: string }),
+            }),
+          ],
+        },
+        {
+          extra: {
+            facets: object({
+              categories: facet("category", ref("TaxonomyReference")),
+              tags: facet("tag", ref("TaxonomyReference")),
+              authors: arrayOf(
+                object({
+                  author_id: string,
+                  name: nullable(string),
+                  count: integer,
+                })
+              ),
+            }),
+          },
+        }
+      ),
+    }),
+  },
+  "/api/content/slug/{slug}": {
+    get: op({
+      summary: "Get content by slug",
+      description: "Translated slugs resolve to their translation.",
+      auth: "optional",
+      validator: schemas.getContentBySlug,
+      response: dataBody(content),
+      cacheable: true,
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/content/preview/{token}": {
+    get: op({
+      summary: "Get content through a preview link, whatever its status",
+      validator: schemas.getContentPreview,
+      response: dataBody(content, {
+        extra: {
+          preview: { const: true },
+          previewExpiresAt: { ...string, format: "date-time" },
+        },
+      }),
+      errors: ["Unauthorized", "NotFound"],
+    }),
+  },
+  "/api/content/{id}": {
+    get: op({
+      summary: "Get content by id",
+      auth: "optional",
+      validator: schemas.getContent,
+      response: dataBody(content),
+      cacheable: true,
+      errors: ["NotFound"],
+    }),
+    put: op({
+      summary: "Update content",
+      description:
+        "Status changes go through the transition endpoint; unless the editor is a reviewer, editing approved, scheduled or published content sends it back to draft.",
+      auth: "protected",
+      permissions: canEdit,
+      validator: schemas.updateContent,
+      response: dataBody(content, { message: true }),
+      errors: ["NotFound", "Conflict", ...writeErrors],
+    }),
+    delete: op({
+      summary: "Delete content",
+      auth: "protected",
+      permissions: ["content:delete:own", "content:delete:any"],
+      validator: schemas.contentId,
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/preview-link": {
+    post: op({
+      summary: "Create a preview link for unpublished content",
+      auth: "protected",
+      scope: "content:read",
+      validator: schemas.createPreviewLink,
+      status: 201,
+      response: dataBody(
+        object({
+          token: string,
+          url: string,
+          expiresAt: { ...string, format: "date-time" },
+        }),
+        { message: true }
+      ),
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/transition": {
+    post: op({
+      summary: "Move content through the editorial workflow",
+      description:
+        "The permission needed depends on the transition, e.g. `content:publish` to publish or schedule.",
+      auth: "protected",
+      scope: "content:write",
+      validator: schemas.transitionContent,
+      response: dataBody(
+        {
+          allOf: [
+            content,
+            object({ statusHistory: arrayOf(ref("StatusChange")) }),
+          ],
+        },
+        { message: true }
+      ),
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/revisions": {
+    get: revisionOp({
+      summary: "List the revisions of content",
+      auth: "protected",
+      permissions: canEdit,
+      validator: schemas.getRevisions,
+      response: listBody(ref("ContentRevision")),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/content/{id}/revisions/diff": {
+    get: revisionOp({
+      summary: "Compare two revisions",
+      auth: "protected",
+      permissions: canEdit,
+      validator: schemas.diffRevisions,
+      response: dataBody(
+        object({
+          from: integer,
+          to: integer,
+          changes: arrayOf(object({ field: string, from: {}, to: {} })),
+        })
+      ),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/content/{id}/revisions/{revision}": {
+    get: revisionOp({
+      summary: "Get a revision with its snapshot",
+      auth: "protected",
+      permissions: canEdit,
+      validator: schemas.revision,
+      response: dataBody(ref("ContentRevision")),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/content/{id}/revisions/{revision}/restore": {
+    post: revisionOp({
+      summary: "Restore an earlier revision as a new revision",
+      description:
+        "The status is never rolled back; unless the editor is a reviewer, restoring onto approved, scheduled or published content sends it back to draft. Translations are restored too, keeping their current status; a published translation changed by anyone but a reviewer goes back to draft.",
+      auth: "protected",
+      permissions: canEdit,
+      validator: schemas.revision,
+      response: dataBody(content, {
+        message: true,
+        extra: { revision: nullable(ref("ContentRevision")) },
+      }),
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/translations": {
+    get: translationOp({
+      summary: "List the translations of content",
+      description: "Unpublished translations are only listed to editors.",
+      auth: "optional",
+      validator: schemas.contentId,
+      response: listBody(translation, {
+        paginated: false,
+        extra: { originalLocale: string },
+      }),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/content/{id}/translations/{locale}": {
+    get: translationOp({
+      summary: "Get one translation",
+      auth: "optional",
+      validator: schemas.translation,
+      response: dataBody(translation),
+      errors: ["NotFound"],
+    }),
+    put: translationOp({
+      summary: "Create or update a translation",
+      description:
+        "Answers 201 when the translation is new. Publishing a translation needs `content:publish`; reviewers who cannot edit the content may send `status` alone. Every change is recorded as a revision of the content.",
+      auth: "protected",
+      permissions: [...canEdit, "content:publish"],
+      validator: schemas.saveTranslation,
+      response: dataBody(translation, { message: true }),
+      errors: ["NotFound", "Conflict", ...writeErrors],
+    }),
+    delete: translationOp({
+      summary: "Delete a translation",
+      auth: "protected",
+      permissions: canEdit,
+      validator: schemas.translation,
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/comments": {
+    get: commentOp({
+      summary: "List the comment threads of content",
+      description:
+        "Top-level comments are paginated with their replies nested. Moderators also see pending and hidden comments.",
+      auth: "optional",
+      validator: commentSchemas.getComments,
+      response: listBody(comment),
+      errors: ["NotFound"],
+    }),
+    post: commentOp({
+      summary: "Comment on published content or reply to a comment",
+      auth: "protected",
+      scope: "comment:write",
+      validator: commentSchemas.createComment,
+      status: 201,
+      response: dataBody(comment, { message: true }),
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/comments/{commentId}": {
+    put: commentOp({
+      summary: "Edit your own comment",
+      auth: "protected",
+      scope: "comment:write",
+      validator: commentSchemas.updateComment,
+      response: dataBody(comment, { message: true }),
+      errors: ["NotFound", ...writeErrors],
+    }),
+    delete: commentOp({
+      summary: "Delete a comment",
+      description: "Comments with replies keep their place in the thread.",
+      auth: "protected",
+      scope: "comment:write",
+      validator: commentSchemas.deleteComment,
+      errors: ["NotFound", ...writeErrors],
+    }),
+  },
+  "/api/content/{id}/comments/{commentId}/moderate": {
+    post: commentOp({
+      summary: "Approve or hide a comment",
+      description: "Allowed to the content's author and `comment:moderate`.",
+      auth: "protected",
+      scope: "comment:write",
+      validator: commentSchemas.moderateComment,
+      response: dataBody(comment, { message: true }),
+      errors: ["NotFound"],
+    }),
+  },
+};
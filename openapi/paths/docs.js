@@ -0,0 +1,18 @@
+const { operation } = require("../operation");
+
+const op = (options) => operation({ tags: ["Documentation"], ...options });
+
+module.exports = {
+  "/api/openapi.json": {
+    get: op({
+      summary: "This OpenAPI document",
+      response: { type: "object" },
+    }),
+  },
+  "/api/docs": {
+    get: op({
+      summary: "Browsable API documentation",
+      content: { "text/html": { schema: { type: "string" } } },
+    }),
+  },
+};
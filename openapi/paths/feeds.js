@@ -0,0 +1,58 @@
+const schemas = require("../../validators/feedValidators");
+const { operation } = require("../operation");
+
+const op = (options) => operation({ tags: ["Feeds and sitemaps"], ...options });
+
+const text = { schema: { type: "string" } };
+
+// Links are built from SITE_URL, never from the request's host
+const NOT_CONFIGURED = "Answers 404 when SITE_URL is not set.";
+
+const FEEDS = [
+  { file: "rss.xml", name: "RSS 2.0", type: "application/rss+xml" },
+  { file: "atom.xml", name: "Atom", type: "application/atom+xml" },
+  { file: "feed.json", name: "JSON Feed 1.1", type: "application/feed+json" },
+];
+
+// Every feed also exists per category and per tag (slug or id)
+const VARIANTS = [
+  { prefix: "/feeds", label: "" },
+  { prefix: "/feeds/category/{category}", label: " of a category" },
+  { prefix: "/feeds/tag/{tag}", label: " of a tag" },
+];
+
+const feedPaths = {};
+FEEDS.forEach(({ file, name, type }) => {
+  VARIANTS.forEach(({ prefix, label }) => {
+    feedPaths[`${prefix}/${file}`] = {
+      get: op({
+        summary: `${name} feed of the latest published content${label}`,
+        description: NOT_CONFIGURED,
+        validator: schemas.feed,
+        content: { [type]: text },
+        errors: ["NotFound"],
+      }),
+    };
+  });
+});
+
+module.exports = {
+  ...feedPaths,
+  "/sitemap.xml": {
+    get: op({
+      summary: "Sitemap, or a sitemap index when there are several pages",
+      description: `Each sitemap holds at most SITEMAP_PAGE_SIZE URLs, one per published version of a post. ${NOT_CONFIGURED}`,
+      content: { "application/xml": text },
+      errors: ["NotFound"],
+    }),
+  },
+  "/sitemaps/{page}.xml": {
+    get: op({
+      summary: "One page of the sitemap index",
+      description: NOT_CONFIGURED,
+      validator: schemas.sitemapPage,
+      content: { "application/xml": text },
+      errors: ["NotFound"],
+    }),
+  },
+};
@@ -0,0 +1,59 @@
+const schemas = require("../../validators/mediaValidators");
+const { ALLOWED_MIME_TYPES } = require("../../config/media");
+const { ref } = require("../components");
+const { operation, dataBody, listBody } = require("../operation");
+
+const op = (options) =>
+  operation({
+    tags: ["Media"],
+    auth: "protected",
+    permissions: ["media:upload", "media:manage"],
+    ...options,
+  });
+
+const media = ref("Media");
+
+module.exports = {
+  "/api/media": {
+    post: op({
+      summary: "Upload an image or document",
+      description: `The file type is detected from its contents and must be one of: ${ALLOWED_MIME_TYPES.join(", ")}. Files are limited to MEDIA_MAX_MB (default 10 MB).`,
+      validator: schemas.uploadMedia,
+      multipart: true,
+      body: {
+        type: "object",
+        properties: { file: { type: "string", format: "binary" } },
+        required: ["file"],
+      },
+      status: 201,
+      response: dataBody(media, { message: true }),
+      errors: ["PayloadTooLarge", "UnsupportedMediaType", "RateLimited"],
+    }),
+    get: op({
+      summary: "List media",
+      description: "Users without `media:manage` only see their own uploads.",
+      validator: schemas.getAllMedia,
+      response: listBody(media),
+    }),
+  },
+  "/api/media/{id}": {
+    get: op({
+      summary: "Get a media item",
+      validator: schemas.mediaId,
+      response: dataBody(media),
+      errors: ["NotFound"],
+    }),
+    put: op({
+      summary: "Update the alt text of a media item",
+      validator: schemas.updateMedia,
+      response: dataBody(media, { message: true }),
+      errors: ["NotFound"],
+    }),
+    delete: op({
+      summary: "Delete a media item and its file",
+      description: "Media still referenced by content cannot be deleted.",
+      validator: schemas.mediaId,
+      errors: ["NotFound", "Conflict"],
+    }),
+  },
+};
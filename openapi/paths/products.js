@@ -0,0 +1,80 @@
+const validators = require("../../validators/productValidators");
+const { ref, schemas } = require("../components");
+const { operation, dataBody, listBody } = require("../operation");
+
+const op = (options) => operation({ tags: ["Products"], ...options });
+
+// Product writes have no validators; the controller accepts these fields
+const WRITABLE_FIELDS = [
+  "name",
+  "slug",
+  "sku",
+  "description",
+  "price",
+  "currency",
+  "stock",
+  "category",
+  "variants",
+  "images",
+  "status",
+];
+
+const productBody = (required) => ({
+  type: "object",
+  properties: Object.fromEntries(
+    WRITABLE_FIELDS.map((field) => [field, schemas.Product.properties[field]])
+  ),
+  ...(required && { required }),
+});
+
+const product = ref("Product");
+
+module.exports = {
+  "/api/product": {
+    get: op({
+      summary: "List active products",
+      description:
+        "inStock=true lists only products with stock. Sorted newest first unless sort is set.",
+      validator: validators.getAllProducts,
+      response: listBody(product),
+    }),
+    post: op({
+      summary: "Create a product",
+      description: "The slug defaults to one generated from the name.",
+      auth: "protected",
+      permissions: ["product:create"],
+      body: productBody(["name", "sku", "price", "category"]),
+      status: 201,
+      response: dataBody(product, { message: true }),
+      errors: ["Conflict"],
+    }),
+  },
+  "/api/product/slug/{slug}": {
+    get: op({
+      summary: "Get an active product by slug",
+      response: dataBody(product),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/product/{id}": {
+    get: op({
+      summary: "Get an active product by id",
+      response: dataBody(product),
+      errors: ["NotFound"],
+    }),
+    put: op({
+      summary: "Update a product",
+      auth: "protected",
+      permissions: ["product:update"],
+      body: productBody(),
+      response: dataBody(product, { message: true }),
+      errors: ["NotFound", "Conflict"],
+    }),
+    delete: op({
+      summary: "Delete a product",
+      auth: "protected",
+      permissions: ["product:delete"],
+      errors: ["NotFound"],
+    }),
+  },
+};
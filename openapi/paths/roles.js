@@ -0,0 +1,75 @@
+const { PERMISSIONS } = require("../../config/permissions");
+const { ref, object, arrayOf, schemas } = require("../components");
+const { operation, messageBody, listBody } = require("../operation");
+
+const op = (options) =>
+  operation({
+    tags: ["Roles"],
+    auth: "protected",
+    permissions: ["role:manage"],
+    ...options,
+  });
+
+const permissionKeys = {
+  ...arrayOf({ type: "string", enum: Object.keys(PERMISSIONS) }),
+  description: "Only permissions the caller holds can be granted",
+};
+
+// Role routes have no validators; the controller checks these fields
+const roleBody = (required) => ({
+  ...object({
+    ...(required && { name: schemas.Role.properties.name }),
+    description: schemas.Role.properties.description,
+    permissions: permissionKeys,
+  }),
+  ...(required && { required }),
+});
+
+const nameParameter = {
+  name: "name",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+};
+
+module.exports = {
+  "/api/roles/permissions": {
+    get: op({
+      summary: "List the permission catalog",
+      response: listBody(ref("Permission"), {
+        key: "permissions",
+        paginated: false,
+      }),
+    }),
+  },
+  "/api/roles": {
+    get: op({
+      summary: "List roles with their user counts",
+      response: listBody(ref("Role"), { key: "roles", paginated: false }),
+    }),
+    post: op({
+      summary: "Create a role",
+      body: roleBody(["name"]),
+      status: 201,
+      response: messageBody({ role: ref("Role") }),
+      errors: ["Conflict"],
+    }),
+  },
+  "/api/roles/{name}": {
+    put: op({
+      summary: "Update a custom role",
+      description: "Built-in roles cannot be modified.",
+      parameters: [nameParameter],
+      body: roleBody(),
+      response: messageBody({ role: ref("Role") }),
+      errors: ["NotFound"],
+    }),
+    delete: op({
+      summary: "Delete a custom role",
+      description:
+        "The role is also removed from users and pending invitations, each removal recorded in the audit log.",
+      parameters: [nameParameter],
+      errors: ["ValidationFailed", "NotFound"],
+    }),
+  },
+};
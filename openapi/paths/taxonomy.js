@@ -0,0 +1,121 @@
+const categorySchemas = require("../../validators/categoryValidators");
+const tagSchemas = require("../../validators/tagValidators");
+const { ref, object, arrayOf } = require("../components");
+const { operation, messageBody, dataBody, listBody } = require("../operation");
+
+const categoryOp = (options) => operation({ tags: ["Categories"], ...options });
+const tagOp = (options) => operation({ tags: ["Tags"], ...options });
+
+const references = arrayOf(ref("TaxonomyReference"));
+const contentUpdated = {
+  type: "integer",
+  description: "Content documents whose tags changed",
+};
+
+const createPermissions = ["content:create", "taxonomy:manage"];
+const managePermissions = ["taxonomy:manage"];
+
+module.exports = {
+  "/api/categories": {
+    get: categoryOp({
+      summary: "List every category with its published content counts",
+      response: listBody(ref("Category"), { paginated: false }),
+    }),
+    post: categoryOp({
+      summary: "Create a category",
+      auth: "protected",
+      permissions: createPermissions,
+      validator: categorySchemas.createCategory,
+      status: 201,
+      response: dataBody(ref("Category"), { message: true }),
+      errors: ["Conflict"],
+    }),
+  },
+  "/api/categories/{id}": {
+    get: categoryOp({
+      summary: "Get a category by id or slug, with its ancestors and children",
+      validator: categorySchemas.getCategory,
+      response: dataBody({
+        allOf: [
+          ref("Category"),
+          object({ ancestors: references, children: references }),
+        ],
+      }),
+      errors: ["NotFound"],
+    }),
+    put: categoryOp({
+      summary: "Update a category",
+      description: "A category cannot be moved below one of its descendants.",
+      auth: "protected",
+      permissions: managePermissions,
+      validator: categorySchemas.updateCategory,
+      response: dataBody(ref("Category"), { message: true }),
+      errors: ["NotFound", "Conflict"],
+    }),
+    delete: categoryOp({
+      summary: "Delete a category",
+      description:
+        "Categories that still have subcategories or content cannot be deleted.",
+      auth: "protected",
+      permissions: managePermissions,
+      validator: categorySchemas.categoryId,
+      errors: ["NotFound", "Conflict"],
+    }),
+  },
+  "/api/tags": {
+    get: tagOp({
+      summary: "List tags with their published content counts",
+      validator: tagSchemas.getTags,
+      response: listBody(ref("Tag")),
+    }),
+    post: tagOp({
+      summary: "Create a tag",
+      auth: "protected",
+      permissions: createPermissions,
+      validator: tagSchemas.createTag,
+      status: 201,
+      response: dataBody(ref("Tag"), { message: true }),
+      errors: ["Conflict"],
+    }),
+  },
+  "/api/tags/{id}": {
+    get: tagOp({
+      summary: "Get a tag by id or slug",
+      validator: tagSchemas.getTag,
+      response: dataBody(ref("Tag")),
+      errors: ["NotFound"],
+    }),
+    put: tagOp({
+      summary: "Update a tag",
+      auth: "protected",
+      permissions: managePermissions,
+      validator: tagSchemas.updateTag,
+      response: dataBody(ref("Tag"), { message: true }),
+      errors: ["NotFound", "Conflict"],
+    }),
+    delete: tagOp({
+      summary: "Delete a tag and remove it from content",
+      auth: "protected",
+      permissions: managePermissions,
+      validator: tagSchemas.tagId,
+      response: messageBody({ data: object({ contentUpdated }) }),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/tags/{id}/merge": {
+    post: tagOp({
+      summary: "Merge duplicate tags into this one",
+      description: "The duplicates are deleted.",
+      auth: "protected",
+      permissions: managePermissions,
+      validator: tagSchemas.mergeTags,
+      response: dataBody(
+        {
+          allOf: [ref("Tag"), object({ merged: references, contentUpdated })],
+        },
+        { message: true }
+      ),
+      errors: ["NotFound"],
+    }),
+  },
+};
@@ -0,0 +1,217 @@
+const schemas = require("../../validators/userValidators");
+const { ref, object, arrayOf } = require("../components");
+const { operation, envelope, messageBody, listBody } = require("../operation");
+
+const op = (options) => operation({ tags: ["Users"], ...options });
+
+// Login, registration and refresh return the access token, plus the refresh
+// token when REFRESH_TOKEN_IN_BODY is set (it is always sent as a cookie)
+const tokens = {
+  token: { type: "string", description: "Access token" },
+  refreshToken: { type: "string" },
+};
+
+const userBody = (extra = {}) =>
+  messageBody({ ...tokens, user: ref("UserSummary"), ...extra });
+
+const revokedCount = { revoked: { type: "integer" } };
+
+const userPermissions = ["user:manage"];
+const invitationPermissions = ["user:invite"];
+
+module.exports = {
+  "/api/user/register": {
+    post: op({
+      summary: "Register an account",
+      description:
+        "Depending on REGISTRATION_MODE registration is open, needs an invitation or is closed. No tokens are returned while the email address still has to be verified.",
+      validator: schemas.register,
+      status: 201,
+      response: userBody(),
+      errors: ["Forbidden", "Conflict", "RateLimited"],
+    }),
+  },
+  "/api/user/login": {
+    post: op({
+      summary: "Log in with email and password",
+      validator: schemas.login,
+      response: userBody(),
+      errors: ["Unauthorized", "Forbidden", "RateLimited"],
+    }),
+  },
+  "/api/user/refresh": {
+    post: op({
+      summary: "Rotate the refresh token and get a new access token",
+      description: "The refresh token is read from the cookie or the body.",
+      validator: schemas.refresh,
+      response: messageBody(tokens),
+      errors: ["Unauthorized"],
+    }),
+  },
+  "/api/user/forgot-password": {
+    post: op({
+      summary: "Email a password reset link",
+      description:
+        "Always answers the same way, whether or not the address has an account.",
+      validator: schemas.forgotPassword,
+      errors: ["RateLimited"],
+    }),
+  },
+  "/api/user/reset-password": {
+    post: op({
+      summary: "Set a new password with a reset token",
+      validator: schemas.resetPassword,
+    }),
+  },
+  "/api/user/verify-email": {
+    post: op({
+      summary: "Verify an email address with a verification token",
+      validator: schemas.verifyEmail,
+    }),
+  },
+  "/api/user/resend-verification": {
+    post: op({
+      summary: "Email a new verification link",
+      validator: schemas.resendVerification,
+      errors: ["RateLimited"],
+    }),
+  },
+  "/api/user/me": {
+    get: op({
+      summary: "Get the signed-in user and their permissions",
+      auth: "protected",
+      response: envelope({
+        user: {
+          allOf: [
+            ref("UserSummary"),
+            object({
+              permissions: arrayOf({ type: "string" }),
+              createdAt: { type: "string", format: "date-time" },
+              updatedAt: { type: "string", format: "date-time" },
+            }),
+          ],
+        },
+      }),
+    }),
+  },
+  "/api/user/logout": {
+    post: op({
+      summary: "Revoke the current session",
+      auth: "session",
+    }),
+  },
+  "/api/user/logout-all": {
+    post: op({
+      summary: "Revoke every session of the signed-in user",
+      auth: "session",
+      response: messageBody(revokedCount),
+    }),
+  },
+  "/api/user/sessions": {
+    get: op({
+      summary: "List the signed-in user's active sessions",
+      auth: "session",
+      response: listBody(ref("Session"), { key: "sessions", paginated: false }),
+    }),
+  },
+  "/api/user/sessions/{sessionId}": {
+    delete: op({
+      summary: "Revoke one of the signed-in user's sessions",
+      auth: "session",
+      validator: schemas.revokeOwnSession,
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/user/invitations": {
+    post: op({
+      summary: "Create an invitation with preassigned roles",
+      description: "The invitation token is only returned in this response.",
+      auth: "protected",
+      permissions: invitationPermissions,
+      validator: schemas.createInvitation,
+      status: 201,
+      response: messageBody({
+        token: { type: "string" },
+        invitation: ref("Invitation"),
+      }),
+    }),
+    get: op({
+      summary: "List invitations",
+      auth: "protected",
+      permissions: invitationPermissions,
+      validator: schemas.getInvitations,
+      response: listBody(ref("Invitation"), { key: "invitations" }),
+    }),
+  },
+  "/api/user/invitations/{invitationId}": {
+    delete: op({
+      summary: "Revoke an unused invitation",
+      auth: "protected",
+      permissions: invitationPermissions,
+      validator: schemas.revokeInvitation,
+      response: messageBody({ invitation: ref("Invitation") }),
+      errors: ["NotFound", "Conflict"],
+    }),
+  },
+  "/api/user/all": {
+    get: op({
+      summary: "List users",
+      auth: "protected",
+      permissions: userPermissions,
+      validator: schemas.getAllUsers,
+      response: listBody(ref("User"), { key: "users" }),
+    }),
+  },
+  "/api/user/{id}": {
+    get: op({
+      summary: "Get a user",
+      auth: "protected",
+      permissions: userPermissions,
+      validator: schemas.userId,
+      response: envelope({ user: ref("User") }),
+      errors: ["NotFound"],
+    }),
+    put: op({
+      summary: "Update a user's profile, password or roles",
+      description:
+        "Users holding permissions the caller lacks cannot be changed.",
+      auth: "protected",
+      permissions: userPermissions,
+      validator: schemas.updateUser,
+      response: messageBody({ user: ref("UserSummary") }),
+      errors: ["NotFound", "Conflict"],
+    }),
+    delete: op({
+      summary: "Delete a user",
+      description:
+        "Users holding permissions the caller lacks cannot be deleted.",
+      auth: "protected",
+      permissions: userPermissions,
+      validator: schemas.userId,
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/user/{id}/unlock": {
+    post: op({
+      summary: "Unlock an account locked after failed logins",
+      description:
+        "Users holding permissions the caller lacks cannot be unlocked.",
+      auth: "protected",
+      permissions: userPermissions,
+      validator: schemas.userId,
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/user/{id}/revoke-sessions": {
+    post: op({
+      summary: "Revoke every session of a user",
+      description:
+        "Users holding permissions the caller lacks cannot be signed out.",
+      auth: "protected",
+      permissions: userPermissions,
+      validator: schemas.userId,
+      response: messageBody(revokedCount),
+      errors: ["NotFound"],
+    }),
+  },
+};
@@ -0,0 +1,99 @@
+const { WEBHOOK_EVENTS } = require("../../config/webhooks");
+const schemas = require("../../validators/webhookValidators");
+const { ref, object } = require("../components");
+const { operation, dataBody, listBody } = require("../operation");
+
+const op = (options) =>
+  operation({
+    tags: ["Webhooks"],
+    auth: "protected",
+    permissions: ["webhook:manage"],
+    ...options,
+  });
+
+const webhook = ref("Webhook");
+const delivery = ref("WebhookDelivery");
+const withPayload = {
+  allOf: [delivery, object({ payload: object({}) })],
+};
+
+module.exports = {
+  "/api/webhooks/events": {
+    get: op({
+      summary: "List the events webhooks can subscribe to",
+      response: listBody(
+        { type: "string", enum: WEBHOOK_EVENTS },
+        { paginated: false }
+      ),
+    }),
+  },
+  "/api/webhooks": {
+    get: op({
+      summary: "List webhooks",
+      response: listBody(webhook, { paginated: false }),
+    }),
+    post: op({
+      summary: "Register a webhook",
+      description:
+        'The signing secret is only returned in this response. Deliveries are signed with HMAC-SHA256 in the X-Webhook-Signature header as `t=<unix time>,v1=<hex digest of "<t>.<body>">`.',
+      validator: schemas.createWebhook,
+      status: 201,
+      response: dataBody(webhook, { message: true }),
+    }),
+  },
+  "/api/webhooks/{id}": {
+    get: op({
+      summary: "Get a webhook",
+      validator: schemas.webhookId,
+      response: dataBody(webhook),
+      errors: ["NotFound"],
+    }),
+    put: op({
+      summary: "Update a webhook",
+      validator: schemas.updateWebhook,
+      response: dataBody(webhook, { message: true }),
+      errors: ["NotFound"],
+    }),
+    delete: op({
+      summary: "Delete a webhook and its delivery log",
+      validator: schemas.webhookId,
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/webhooks/{id}/rotate-secret": {
+    post: op({
+      summary: "Replace the signing secret",
+      description: "The new secret is only returned in this response.",
+      validator: schemas.webhookId,
+      response: dataBody(webhook, { message: true }),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/webhooks/{id}/deliveries": {
+    get: op({
+      summary: "List the deliveries of a webhook, newest first",
+      validator: schemas.getWebhookDeliveries,
+      response: listBody(delivery),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/webhooks/{id}/deliveries/{deliveryId}": {
+    get: op({
+      summary: "Get a delivery with its payload and attempts",
+      validator: schemas.webhookDelivery,
+      response: dataBody(withPayload),
+      errors: ["NotFound"],
+    }),
+  },
+  "/api/webhooks/{id}/deliveries/{deliveryId}/replay": {
+    post: op({
+      summary: "Send a delivery's payload again as a new delivery",
+      description:
+        "The webhook must be active and the delivery no longer pending.",
+      validator: schemas.webhookDelivery,
+      status: 201,
+      response: dataBody(withPayload, { message: true }),
+      errors: ["NotFound", "Conflict"],
+    }),
+  },
+};
@@ -0,0 +1,118 @@
+// Build OpenAPI parameters and request bodies from the express-validator
+// schemas in validators/, so the documented inputs are the validated ones.
+const { OBJECT_ID } = require("./modelSchema");
+
+// Helper function to read a validator's options, given as `true`,
+// `{ options }` or `{ options: [value] }`
+const validatorOptions = (validator) =>
+  validator && typeof validator === "object" ? validator.options : undefined;
+
+const describe = (errorMessage) => {
+  if (typeof errorMessage === "function") {
+    try {
+      return errorMessage();
+    } catch (error) {
+      return undefined;
+    }
+  }
+  return typeof errorMessage === "string" ? errorMessage : undefined;
+};
+
+// Helper function to describe the value one field accepts
+const fieldSchema = (definition, items) => {
+  let schema;
+
+  if (definition.isArray) {
+    const { min, max } = validatorOptions(definition.isArray) || {};
+    schema = { type: "array", items: items || {} };
+    if (min !== undefined) schema.minItems = min;
+    if (max !== undefined) schema.maxItems = max;
+  } else if (definition.isInt) {
+    const { min, max } = validatorOptions(definition.isInt) || {};
+    schema = { type: "integer" };
+    if (min !== undefined) schema.minimum = min;
+    if (max !== undefined) schema.maximum = max;
+  } else if (definition.isFloat) {
+    const { min, max, gt } = validatorOptions(definition.isFloat) || {};
+    schema = { type: "number" };
+    if (min !== undefined) schema.minimum = min;
+    if (gt !== undefined) schema.exclusiveMinimum = gt;
+    if (max !== undefined) schema.maximum = max;
+  } else if (definition.isBoolean) {
+    schema = { type: "boolean" };
+  } else if (definition.isMongoId) {
+    schema = { ...OBJECT_ID };
+  } else {
+    schema = { type: "string" };
+    if (definition.isUUID) schema.format = "uuid";
+    if (definition.isEmail) schema.format = "email";
+    if (definition.isURL) schema.format = "uri";
+    if (definition.isISO8601) schema.format = "date-time";
+    if (definition.notEmpty) schema.minLength = 1;
+
+    const length = validatorOptions(definition.isLength);
+    if (length && length.min !== undefined) schema.minLength = length.min;
+    if (length && length.max !== undefined) schema.maxLength = length.max;
+
+    const pattern = validatorOptions(definition.matches);
+    if (pattern) schema.pattern = pattern[0].source;
+  }
+
+  const values = validatorOptions(definition.isIn);
+  if (values) schema.enum = values[0];
+
+  // `optional: { options: { values: "null" } }` accepts null too
+  const optional = validatorOptions(definition.optional);
+  if (optional && optional.values === "null") {
+    schema.type = [schema.type, "null"];
+  }
+
+  const description = describe(definition.errorMessage);
+  if (description) schema.description = description;
+
+  return schema;
+};
+
+// Turn a validator schema into { parameters, body }. Path and query fields
+// become parameters and body fields one object schema; `field.*` entries
+// describe the items of the `field` array.
+const requestFromValidator = (validatorSchema = {}) => {
+  const parameters = [];
+  const body = { type: "object", properties: {}, required: [] };
+
+  Object.entries(validatorSchema).forEach(([field, definition]) => {
+    if (field.endsWith(".*")) return;
+
+    const itemsDefinition = validatorSchema[`${field}.*`];
+    const schema = fieldSchema(
+      definition,
+      itemsDefinition && fieldSchema(itemsDefinition)
+    );
+    const required = !definition.optional;
+    const location = definition.in[0];
+
+    if (location === "body") {
+      body.properties[field] = schema;
+      if (required) body.required.push(field);
+      return;
+    }
+
+    const { description, ...parameterSchema } = schema;
+    parameters.push({
+      name: field,
+      in: location === "params" ? "path" : "query",
+      required: location === "params" || required,
+      ...(description && { description }),
+      schema: parameterSchema,
+    });
+  });
+
+  if (body.required.length === 0) delete body.required;
+
+  return {
+    parameters,
+    body: Object.keys(body.properties).length > 0 ? body : null,
+  };
+};
+
+module.exports = { requestFromValidator };
@@ -0,0 +1,28 @@
+// Ownership-aware checks for comments. `content` is the post a comment
+// belongs to; `user` is null for anonymous callers.
+const { isAuthor: isContentAuthor } = require("./contentPolicy");
+
+const isCommenter = (user, comment) =>
+  Boolean(user && comment.author_id === user.userId);
+
+// Post authors moderate comments on their own posts, users with
+// comment:moderate moderate everywhere
+exports.canModerate = (user, content) =>
+  Boolean(user) &&
+  (user.can("comment:moderate") || isContentAuthor(user, content));
+
+exports.canViewComment = (user, comment, content) =>
+  comment.status === "approved" ||
+  isCommenter(user, comment) ||
+  exports.canModerate(user, content);
+
+// Authors can edit their comment for a while after posting it
+exports.canEditComment = (user, comment, { editWindowMs, now = new Date() }) =>
+  isCommenter(user, comment) &&
+  !comment.deletedAt &&
+  now - comment.createdAt <= editWindowMs;
+
+exports.canDeleteComment = (user, comment) =>
+  isCommenter(user, comment) && !comment.deletedAt;
+
+exports.isCommenter = isCommenter;
@@ -0,0 +1,33 @@
+// Ownership-aware permission checks for content. Route middleware decides
+// whether a user may attempt an action at all; these decide whether they may
+// do it to a particular document. `user` is null for anonymous callers.
+
+const isAuthor = (user, content) =>
+  Boolean(user && content.author_id === user.userId);
+
+// Can see unpublished content by any author
+exports.canSeeAll = (user) => Boolean(user && user.can("content:read:any"));
+
+// Can see this content's unpublished versions: drafts, and translations that
+// are not published yet
+exports.canViewDrafts = (user, content) =>
+  exports.canSeeAll(user) || isAuthor(user, content);
+
+exports.canView = (user, content) =>
+  content.status === "published" || exports.canViewDrafts(user, content);
+
+exports.canUpdate = (user, content) =>
+  Boolean(user) &&
+  (user.can("content:update:any") ||
+    (isAuthor(user, content) && user.can("content:update:own")));
+
+exports.canDelete = (user, content) =>
+  Boolean(user) &&
+  (user.can("content:delete:any") ||
+    (isAuthor(user, content) && user.can("content:delete:own")));
+
+// Reviewing requires the publish permission and never applies to own work
+exports.canReview = (user, content) =>
+  Boolean(user) && user.can("content:publish") && !isAuthor(user, content);
+
+exports.isAuthor = isAuthor;
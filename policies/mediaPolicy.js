@@ -0,0 +1,12 @@
+// Ownership-aware checks for media. Anyone with media:upload manages their
+// own uploads; media:manage covers the whole library.
+
+const isOwner = (user, media) =>
+  Boolean(user && media.owner_id === user.userId);
+
+exports.canManageAll = (user) => Boolean(user && user.can("media:manage"));
+
+exports.canManage = (user, media) =>
+  exports.canManageAll(user) || isOwner(user, media);
+
+exports.isOwner = isOwner;
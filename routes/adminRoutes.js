@@ -0,0 +1,57 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAuditLog,
+  exportAuditLog,
+} = require("../controllers/auditController");
+const {
+  exportContent,
+  importContent,
+  bulkContent,
+} = require("../controllers/contentTransferController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+const { uploadSingle } = require("../middleware/upload");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/auditValidators");
+const transferSchemas = require("../validators/contentTransferValidators");
+const { getContentTransferSettings } = require("../config/content");
+
+// All admin routes require authentication
+router.use(protect);
+
+// Audit log
+const canReadAudit = requirePermission("audit:read");
+
+router.get("/audit", canReadAudit, validate(schemas.getAuditLog), getAuditLog);
+router.get(
+  "/audit/export",
+  canReadAudit,
+  validate(schemas.exportAuditLog),
+  exportAuditLog
+);
+
+// Content export, import and bulk actions
+const canBulkEdit = requirePermission("content:bulk");
+
+router.get(
+  "/content/export",
+  canBulkEdit,
+  validate(transferSchemas.exportContent),
+  exportContent
+);
+router.post(
+  "/content/import",
+  canBulkEdit,
+  uploadSingle("file", () => getContentTransferSettings().maxImportBytes),
+  validate(transferSchemas.importContent),
+  importContent
+);
+router.post(
+  "/content/bulk",
+  canBulkEdit,
+  validate(transferSchemas.bulkContent),
+  bulkContent
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getApiKeyScopes,
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+
+const { protect, requireSignedInUser } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/apiKeyValidators");
+
+// Any signed-in user manages their own keys; user:manage covers everyone's.
+// Keys cannot be used to create or change keys.
+router.use(protect, requireSignedInUser);
+
+router.get("/scopes", getApiKeyScopes);
+router.get("/", validate(schemas.getApiKeys), getApiKeys);
+router.post("/", validate(schemas.createApiKey), createApiKey);
+router.get("/:id", validate(schemas.apiKeyId), getApiKey);
+router.put("/:id", validate(schemas.updateApiKey), updateApiKey);
+router.delete("/:id", validate(schemas.apiKeyId), revokeApiKey);
+
+module.exports = router;
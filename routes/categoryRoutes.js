@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/categoryController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/categoryValidators");
+
+// Public routes
+router.get("/", getCategories);
+router.get("/:id", validate(schemas.getCategory), getCategory);
+
+// Writers can add categories; changing or removing them affects everyone's
+// content and needs taxonomy:manage
+router.post(
+  "/",
+  protect,
+  requirePermission("content:create", "taxonomy:manage"),
+  validate(schemas.createCategory),
+  createCategory
+);
+router.put(
+  "/:id",
+  protect,
+  requirePermission("taxonomy:manage"),
+  validate(schemas.updateCategory),
+  updateCategory
+);
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("taxonomy:manage"),
+  validate(schemas.categoryId),
+  deleteCategory
+);
+
+module.exports = router;
@@ -3,22 +3,228 @@ const router = express.Router();
 const {
   createContent,
   getAllContent,
+  searchContent,
   getContentBySlug,
   getContentById,
+  createPreviewLink,
+  getContentPreview,
   updateContent,
   deleteContent,
+  transitionContent,
 } = require("../controllers/contentController");
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} = require("../controllers/contentRevisionController");
+const {
+  getTranslations,
+  getTranslation,
+  saveTranslation,
+  deleteTranslation,
+} = require("../controllers/contentTranslationController");
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  moderateComment,
+} = require("../controllers/commentController");
+
+const {
+  protect,
+  optionalAuth,
+  requirePermission,
+  requireScope,
+} = require("../middleware/auth");
+const { rateLimit, byIp, byUser } = require("../middleware/rateLimit");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/contentValidators");
+const commentSchemas = require("../validators/commentValidators");
+
+// Either permission lets a user attempt the edit; the policy checks ownership
+const canEdit = requirePermission("content:update:own", "content:update:any");
+
+// Every content mutation counts against the caller's IP and account
+const limitWrites = [
+  rateLimit({ name: "contentWriteIp", keyGenerator: byIp }),
+  rateLimit({ name: "contentWriteUser", keyGenerator: byUser }),
+];
+
+// Public routes (drafts are only returned to users allowed to see them)
+router.get("/", optionalAuth, validate(schemas.getAllContent), getAllContent);
+router.get(
+  "/search",
+  optionalAuth,
+  validate(schemas.searchContent),
+  searchContent
+);
+router.get(
+  "/slug/:slug",
+  optionalAuth,
+  validate(schemas.getContentBySlug),
+  getContentBySlug
+);
+router.get(
+  "/preview/:token",
+  validate(schemas.getContentPreview),
+  getContentPreview
+);
+router.get("/:id", optionalAuth, validate(schemas.getContent), getContentById);
+
+// Protected routes (permission checked here, ownership in the policies)
+router.post(
+  "/",
+  protect,
+  limitWrites,
+  requirePermission("content:create"),
+  validate(schemas.createContent),
+  createContent
+);
+router.put(
+  "/:id",
+  protect,
+  limitWrites,
+  canEdit,
+  validate(schemas.updateContent),
+  updateContent
+);
+router.delete(
+  "/:id",
+  protect,
+  limitWrites,
+  requirePermission("content:delete:own", "content:delete:any"),
+  validate(schemas.contentId),
+  deleteContent
+);
+
+// Preview links for unpublished content
+router.post(
+  "/:id/preview-link",
+  protect,
+  requireScope("content:read"),
+  limitWrites,
+  validate(schemas.createPreviewLink),
+  createPreviewLink
+);
+
+// Editorial workflow (permissions depend on the transition)
+router.post(
+  "/:id/transition",
+  protect,
+  requireScope("content:write"),
+  limitWrites,
+  validate(schemas.transitionContent),
+  transitionContent
+);
+
+// Revision history (users who can edit the content)
+router.get(
+  "/:id/revisions",
+  protect,
+  canEdit,
+  validate(schemas.getRevisions),
+  getRevisions
+);
+router.get(
+  "/:id/revisions/diff",
+  protect,
+  canEdit,
+  validate(schemas.diffRevisions),
+  diffRevisions
+);
+router.get(
+  "/:id/revisions/:revision",
+  protect,
+  canEdit,
+  validate(schemas.revision),
+  getRevision
+);
+router.post(
+  "/:id/revisions/:revision/restore",
+  protect,
+  limitWrites,
+  canEdit,
+  validate(schemas.revision),
+  restoreRevision
+);
 
-const { protect, hasContentAccess } = require("../middleware/auth");
+// Translations (published ones are public; users who can edit the content
+// manage them and reviewers publish them)
+router.get(
+  "/:id/translations",
+  optionalAuth,
+  validate(schemas.contentId),
+  getTranslations
+);
+router.get(
+  "/:id/translations/:locale",
+  optionalAuth,
+  validate(schemas.translation),
+  getTranslation
+);
+router.put(
+  "/:id/translations/:locale",
+  protect,
+  limitWrites,
+  requirePermission(
+    "content:update:own",
+    "content:update:any",
+    "content:publish"
+  ),
+  validate(schemas.saveTranslation),
+  saveTranslation
+);
+router.delete(
+  "/:id/translations/:locale",
+  protect,
+  limitWrites,
+  canEdit,
+  validate(schemas.translation),
+  deleteTranslation
+);
 
-// Public routes
-router.get("/", getAllContent);
-router.get("/slug/:slug", getContentBySlug);
-router.get("/:id", getContentById);
+// Comments (any signed-in user can comment on published content; post
+// authors and comment:moderate users moderate). API keys need comment:write.
+const canComment = requireScope("comment:write");
 
-// Protected routes (requires content access)
-router.post("/", protect, hasContentAccess, createContent);
-router.put("/:id", protect, hasContentAccess, updateContent);
-router.delete("/:id", protect, hasContentAccess, deleteContent);
+router.get(
+  "/:id/comments",
+  optionalAuth,
+  validate(commentSchemas.getComments),
+  getComments
+);
+router.post(
+  "/:id/comments",
+  protect,
+  canComment,
+  limitWrites,
+  validate(commentSchemas.createComment),
+  createComment
+);
+router.put(
+  "/:id/comments/:commentId",
+  protect,
+  canComment,
+  limitWrites,
+  validate(commentSchemas.updateComment),
+  updateComment
+);
+router.delete(
+  "/:id/comments/:commentId",
+  protect,
+  canComment,
+  limitWrites,
+  validate(commentSchemas.deleteComment),
+  deleteComment
+);
+router.post(
+  "/:id/comments/:commentId/moderate",
+  protect,
+  canComment,
+  validate(commentSchemas.moderateComment),
+  moderateComment
+);
 
 module.exports = router;
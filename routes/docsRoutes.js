@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const swaggerUi = require("swagger-ui-dist");
+const {
+  getOpenApiDocument,
+  getDocsPage,
+} = require("../controllers/docsController");
+
+// Public routes
+router.get("/openapi.json", getOpenApiDocument);
+router.get("/docs", getDocsPage);
+router.use(
+  "/docs/assets",
+  express.static(swaggerUi.getAbsoluteFSPath(), { index: false })
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getRssFeed,
+  getAtomFeed,
+  getJsonFeed,
+  getSitemap,
+  getSitemapPage,
+} = require("../controllers/feedController");
+
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/feedValidators");
+
+// Every feed also exists per category and per tag
+const feedPaths = (file) => [
+  `/feeds/${file}`,
+  `/feeds/category/:category/${file}`,
+  `/feeds/tag/:tag/${file}`,
+];
+
+// All public and cacheable; only published content is included
+router.get(feedPaths("rss.xml"), validate(schemas.feed), getRssFeed);
+router.get(feedPaths("atom.xml"), validate(schemas.feed), getAtomFeed);
+router.get(feedPaths("feed.json"), validate(schemas.feed), getJsonFeed);
+router.get("/sitemap.xml", getSitemap);
+router.get(
+  "/sitemaps/:page.xml",
+  validate(schemas.sitemapPage),
+  getSitemapPage
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// Every router and the path it is mounted at, in mount order. index.js mounts
+// them and scripts/checkOpenApi.js compares their routes with the OpenAPI
+// document.
+module.exports = [
+  { path: "/api/user", router: require("./userRoutes") },
+  { path: "/api/content", router: require("./contentRoutes") },
+  { path: "/api/categories", router: require("./categoryRoutes") },
+  { path: "/api/tags", router: require("./tagRoutes") },
+  { path: "/api/product", router: require("./productRoutes") },
+  { path: "/api/roles", router: require("./roleRoutes") },
+  { path: "/api/api-keys", router: require("./apiKeyRoutes") },
+  { path: "/api/admin", router: require("./adminRoutes") },
+  { path: "/api/media", router: require("./mediaRoutes") },
+  { path: "/api/webhooks", router: require("./webhookRoutes") },
+  { path: "/api", router: require("./docsRoutes") },
+  // Feeds and sitemaps
+  { path: "/", router: require("./feedRoutes") },
+];
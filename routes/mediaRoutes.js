@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+const {
+  uploadMedia,
+  getAllMedia,
+  getMediaById,
+  updateMedia,
+  deleteMedia,
+} = require("../controllers/mediaController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+const { rateLimit, byUser } = require("../middleware/rateLimit");
+const { uploadSingle } = require("../middleware/upload");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/mediaValidators");
+
+// Uploading needs media:upload; the policies decide which media a user
+// may see and change
+const canUseMedia = requirePermission("media:upload", "media:manage");
+
+router.use(protect, canUseMedia);
+
+router.post(
+  "/",
+  rateLimit({ name: "mediaUploadUser", keyGenerator: byUser }),
+  uploadSingle("file"),
+  validate(schemas.uploadMedia),
+  uploadMedia
+);
+router.get("/", validate(schemas.getAllMedia), getAllMedia);
+router.get("/:id", validate(schemas.mediaId), getMediaById);
+router.put("/:id", validate(schemas.updateMedia), updateMedia);
+router.delete("/:id", validate(schemas.mediaId), deleteMedia);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createProduct,
+  getAllProducts,
+  getProductBySlug,
+  getProductById,
+  updateProduct,
+  deleteProduct,
+} = require("../controllers/productController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/productValidators");
+
+// Public routes
+router.get("/", validate(schemas.getAllProducts), getAllProducts);
+router.get("/slug/:slug", getProductBySlug);
+router.get("/:id", getProductById);
+
+// Protected routes (requires product permissions)
+router.post("/", protect, requirePermission("product:create"), createProduct);
+router.put("/:id", protect, requirePermission("product:update"), updateProduct);
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("product:delete"),
+  deleteProduct
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require("../controllers/roleController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+
+// All role routes require role management permission
+router.use(protect, requirePermission("role:manage"));
+
+router.get("/permissions", getPermissions);
+router.get("/", getRoles);
+router.post("/", createRole);
+router.put("/:name", updateRole);
+router.delete("/:name", deleteRole);
+
+module.exports = router;
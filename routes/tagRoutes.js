@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTags,
+  getTag,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags,
+} = require("../controllers/tagController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/tagValidators");
+
+// Public routes
+router.get("/", validate(schemas.getTags), getTags);
+router.get("/:id", validate(schemas.getTag), getTag);
+
+// Writers can add tags; changing, merging or removing them affects everyone's
+// content and needs taxonomy:manage
+router.post(
+  "/",
+  protect,
+  requirePermission("content:create", "taxonomy:manage"),
+  validate(schemas.createTag),
+  createTag
+);
+router.put(
+  "/:id",
+  protect,
+  requirePermission("taxonomy:manage"),
+  validate(schemas.updateTag),
+  updateTag
+);
+router.delete(
+  "/:id",
+  protect,
+  requirePermission("taxonomy:manage"),
+  validate(schemas.tagId),
+  deleteTag
+);
+router.post(
+  "/:id/merge",
+  protect,
+  requirePermission("taxonomy:manage"),
+  validate(schemas.mergeTags),
+  mergeTags
+);
+
+module.exports = router;
@@ -3,28 +3,151 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  refreshToken,
   logoutUser,
+  logoutAllSessions,
+  getSessions,
+  revokeOwnSession,
   getCurrentUser,
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
+  revokeUserSessions,
+  unlockUser,
 } = require("../controllers/userController");
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} = require("../controllers/accountController");
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} = require("../controllers/invitationController");
 
-const { protect, adminOnly } = require("../middleware/auth");
+const {
+  protect,
+  requirePermission,
+  requireSignedInUser,
+} = require("../middleware/auth");
+const { rateLimit, byIp, byEmail } = require("../middleware/rateLimit");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/userValidators");
+
+const canManageUsers = requirePermission("user:manage");
+const canInvite = requirePermission("user:invite");
 
 // Public routes
-router.post("/register", registerUser);
-router.post("/login", loginUser);
+router.post(
+  "/register",
+  rateLimit({ name: "registerIp", keyGenerator: byIp }),
+  validate(schemas.register),
+  registerUser
+);
+router.post(
+  "/login",
+  rateLimit({ name: "loginIp", keyGenerator: byIp }),
+  validate(schemas.login),
+  rateLimit({ name: "loginAccount", keyGenerator: byEmail }),
+  loginUser
+);
+router.post("/refresh", validate(schemas.refresh), refreshToken);
+// Routes sending email are limited per IP and per address, so they cannot
+// be used to flood an inbox
+const limitEmailsByIp = rateLimit({
+  name: "accountEmailIp",
+  keyGenerator: byIp,
+});
+const limitEmailsByAddress = rateLimit({
+  name: "accountEmailAddress",
+  keyGenerator: byEmail,
+});
+
+router.post(
+  "/forgot-password",
+  limitEmailsByIp,
+  validate(schemas.forgotPassword),
+  limitEmailsByAddress,
+  forgotPassword
+);
+router.post("/reset-password", validate(schemas.resetPassword), resetPassword);
+router.post("/verify-email", validate(schemas.verifyEmail), verifyEmail);
+router.post(
+  "/resend-verification",
+  limitEmailsByIp,
+  validate(schemas.resendVerification),
+  limitEmailsByAddress,
+  resendVerification
+);
 
 // Protected routes
-router.post("/logout", protect, logoutUser);
 router.get("/me", protect, getCurrentUser);
 
-// Admin only routes
-router.get("/all", protect, adminOnly, getAllUsers);
-router.get("/:id", protect, adminOnly, getUserById);
-router.put("/:id", protect, adminOnly, updateUser);
-router.delete("/:id", protect, adminOnly, deleteUser);
+// Session routes (not available to API keys)
+const protectSession = [protect, requireSignedInUser];
+
+router.post("/logout", protectSession, logoutUser);
+router.post("/logout-all", protectSession, logoutAllSessions);
+router.get("/sessions", protectSession, getSessions);
+router.delete(
+  "/sessions/:sessionId",
+  protectSession,
+  validate(schemas.revokeOwnSession),
+  revokeOwnSession
+);
+
+// Invitation routes
+router.post(
+  "/invitations",
+  protect,
+  canInvite,
+  validate(schemas.createInvitation),
+  createInvitation
+);
+router.get(
+  "/invitations",
+  protect,
+  canInvite,
+  validate(schemas.getInvitations),
+  getInvitations
+);
+router.delete(
+  "/invitations/:invitationId",
+  protect,
+  canInvite,
+  validate(schemas.revokeInvitation),
+  revokeInvitation
+);
+
+// User management routes
+const validateUserId = validate(schemas.userId);
+
+router.get(
+  "/all",
+  protect,
+  canManageUsers,
+  validate(schemas.getAllUsers),
+  getAllUsers
+);
+router.get("/:id", protect, canManageUsers, validateUserId, getUserById);
+router.put(
+  "/:id",
+  protect,
+  canManageUsers,
+  validate(schemas.updateUser),
+  updateUser
+);
+router.delete("/:id", protect, canManageUsers, validateUserId, deleteUser);
+router.post("/:id/unlock", protect, canManageUsers, validateUserId, unlockUser);
+router.post(
+  "/:id/revoke-sessions",
+  protect,
+  canManageUsers,
+  validateUserId,
+  revokeUserSessions
+);
 
 module.exports = router;
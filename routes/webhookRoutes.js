@@ -0,0 +1,52 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWebhookEvents,
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} = require("../controllers/webhookController");
+
+const { protect, requirePermission } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const schemas = require("../validators/webhookValidators");
+
+// All webhook routes require webhook management permission
+router.use(protect, requirePermission("webhook:manage"));
+
+router.get("/events", getWebhookEvents);
+router.get("/", getWebhooks);
+router.post("/", validate(schemas.createWebhook), createWebhook);
+router.get("/:id", validate(schemas.webhookId), getWebhook);
+router.put("/:id", validate(schemas.updateWebhook), updateWebhook);
+router.delete("/:id", validate(schemas.webhookId), deleteWebhook);
+router.post(
+  "/:id/rotate-secret",
+  validate(schemas.webhookId),
+  rotateWebhookSecret
+);
+
+// Delivery log
+router.get(
+  "/:id/deliveries",
+  validate(schemas.getWebhookDeliveries),
+  getWebhookDeliveries
+);
+router.get(
+  "/:id/deliveries/:deliveryId",
+  validate(schemas.webhookDelivery),
+  getWebhookDelivery
+);
+router.post(
+  "/:id/deliveries/:deliveryId/replay",
+  validate(schemas.webhookDelivery),
+  replayWebhookDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// One-off creation of the first admin account.
+//
+//   ADMIN_NAME="Jane" ADMIN_EMAIL=jane@example.com ADMIN_PASSWORD=... \
+//     npm run bootstrap:admin
+//
+// Refuses to run once any admin exists; further admins are invited through
+// POST /api/user/invitations.
+const dotenv = require("dotenv");
+dotenv.config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const User = require("../models/userModel");
+const { ensureDefaultRoles } = require("../utils/permissions");
+
+const run = async () => {
+  const { ADMIN_NAME, ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_NAME || !ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error("Set ADMIN_NAME, ADMIN_EMAIL and ADMIN_PASSWORD");
+  }
+
+  await connectDB();
+  await ensureDefaultRoles();
+
+  const existingAdmin = await User.exists({ roles: "admin" });
+  if (existingAdmin) {
+    throw new Error("An admin already exists. Use invitations instead.");
+  }
+
+  const existingUser = await User.findOne({ email: ADMIN_EMAIL });
+  if (existingUser) {
+    throw new Error("A user with this email already exists");
+  }
+
+  const user = await User.create({
+    name: ADMIN_NAME,
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    roles: ["admin"],
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+
+  console.log(`Admin created: ${user.email} (${user.userId})`.green.bold);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`.red);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,75 @@
+// Check that the OpenAPI document covers the API: every route of the routers
+// in routes/index.js needs an operation, and every operation a route.
+//
+//   npm run check:openapi
+//
+// Exits with status 1 when they differ, so CI can run it.
+const mounts = require("../routes/index");
+const { buildOpenApiDocument } = require("../openapi");
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// "/api/content" + "/:id/comments" -> "/api/content/{id}/comments"
+const toOpenApiPath = (mountPath, routePath) =>
+  `${mountPath.replace(/\/$/, "")}${routePath}`
+    .replace(/:(\w+)/g, "{$1}")
+    .replace(/\/$/, "") || "/";
+
+// Helper function to list "METHOD path" for every route of the routers
+const listRoutes = () => {
+  const routes = new Set();
+  mounts.forEach(({ path: mountPath, router }) => {
+    router.stack
+      .filter((layer) => layer.route)
+      .forEach(({ route }) => {
+        const paths = Array.isArray(route.path) ? route.path : [route.path];
+        const methods = Object.keys(route.methods).filter(
+          (method) => route.methods[method]
+        );
+        paths.forEach((routePath) => {
+          methods.forEach((method) => {
+            routes.add(
+              `${method.toUpperCase()} ${toOpenApiPath(mountPath, routePath)}`
+            );
+          });
+        });
+      });
+  });
+  return routes;
+};
+
+// Helper function to list "METHOD path" for every documented operation
+const listOperations = () => {
+  const operations = new Set();
+  Object.entries(buildOpenApiDocument().paths).forEach(([path, item]) => {
+    METHODS.filter((method) => item[method]).forEach((method) => {
+      operations.add(`${method.toUpperCase()} ${path}`);
+    });
+  });
+  return operations;
+};
+
+const run = () => {
+  const routes = listRoutes();
+  const operations = listOperations();
+
+  const undocumented = [...routes].filter((route) => !operations.has(route));
+  const unknown = [...operations].filter((operation) => !routes.has(operation));
+
+  if (undocumented.length > 0) {
+    console.error("Routes missing from the OpenAPI document:");
+    undocumented.forEach((route) => console.error(`  ${route}`));
+  }
+  if (unknown.length > 0) {
+    console.error("Documented operations without a route:");
+    unknown.forEach((operation) => console.error(`  ${operation}`));
+  }
+  if (undocumented.length > 0 || unknown.length > 0) {
+    process.exit(1);
+  }
+
+  console.log(`OpenAPI document covers all ${routes.size} routes`);
+  process.exit(0);
+};
+
+run();
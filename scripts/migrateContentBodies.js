@@ -0,0 +1,46 @@
+// Renders the body of content saved before body formats existed and fills in
+// its excerpt, word count, reading time and table of contents. Such content is
+// treated as markdown.
+//
+//   npm run migrate:content-bodies
+//
+// Pass --all to re-render every document, e.g. after changing the excerpt
+// length or reading speed. Revisions and audit entries are not written.
+const dotenv = require("dotenv");
+dotenv.config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const Content = require("../models/contentModel");
+const { renderBody } = require("../utils/contentBody");
+
+const run = async () => {
+  await connectDB();
+
+  const filter = process.argv.includes("--all")
+    ? {}
+    : { bodyHtml: { $exists: false } };
+  // Raw collection access skips the save hooks
+  const cursor = Content.collection.find(filter, {
+    projection: { body: 1, bodyFormat: 1 },
+  });
+
+  let rendered = 0;
+  for await (const doc of cursor) {
+    const bodyFormat = doc.bodyFormat || "markdown";
+    await Content.collection.updateOne(
+      { _id: doc._id },
+      { $set: { bodyFormat, ...renderBody(doc.body, bodyFormat) } }
+    );
+    rendered += 1;
+  }
+
+  console.log(`Rendered ${rendered} content bodies`.green.bold);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`.red);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
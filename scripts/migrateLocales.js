@@ -0,0 +1,41 @@
+// Prepares content for translations: sets the locale of content created
+// before locales existed to DEFAULT_LOCALE, then replaces the global unique
+// slug index with one per locale and adds translations to the text index.
+//
+//   npm run migrate:locales
+//
+// Run it before starting the new version of the API. Safe to run more than
+// once.
+const dotenv = require("dotenv");
+dotenv.config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const Content = require("../models/contentModel");
+const { getLocaleSettings } = require("../config/locales");
+
+const run = async () => {
+  await connectDB();
+
+  const { defaultLocale } = getLocaleSettings();
+  const { modifiedCount } = await Content.collection.updateMany(
+    { locale: { $exists: false } },
+    { $set: { locale: defaultLocale, translations: [] } }
+  );
+
+  // Drops indexes no longer in the schema (slug_1 unique, the old text
+  // index) and builds the new ones
+  const dropped = await Content.syncIndexes();
+
+  console.log(
+    `Set locale ${defaultLocale} on ${modifiedCount} content documents and dropped ${dropped.length} old indexes`
+      .green.bold
+  );
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`.red);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
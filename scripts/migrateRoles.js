@@ -0,0 +1,64 @@
+// Migrates users and invitations from the old boolean flags
+// (isAdmin, roles.accessContent, roles.accessProduct, roles.reviewContent)
+// to role names, after seeding the permission catalog and built-in roles.
+//
+//   npm run migrate:roles
+//
+// Run it before starting the new version of the API. Safe to run more than
+// once: documents already using role names are skipped.
+const dotenv = require("dotenv");
+dotenv.config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const User = require("../models/userModel");
+const Invitation = require("../models/invitationModel");
+const { LEGACY_FLAG_ROLES } = require("../config/permissions");
+const { ensureDefaultRoles } = require("../utils/permissions");
+
+// Helper function to turn a legacy document into a list of role names
+const legacyRoles = (doc) => {
+  const existing = Array.isArray(doc.roles) ? doc.roles : [];
+  const flags = { isAdmin: doc.isAdmin, ...(existing.length ? {} : doc.roles) };
+  const mapped = Object.entries(LEGACY_FLAG_ROLES)
+    .filter(([flag]) => flags[flag] === true)
+    .map(([, role]) => role);
+  return [...new Set([...existing, ...mapped])];
+};
+
+// Rewrite every document of a collection that still has legacy flags.
+// Raw collection access avoids Mongoose casting the old object shape.
+const migrateCollection = async (collection) => {
+  const cursor = collection.find({
+    $or: [{ isAdmin: { $exists: true } }, { roles: { $type: "object" } }],
+  });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { roles: legacyRoles(doc) }, $unset: { isAdmin: "" } }
+    );
+    migrated += 1;
+  }
+  return migrated;
+};
+
+const run = async () => {
+  await connectDB();
+  await ensureDefaultRoles();
+
+  const users = await migrateCollection(User.collection);
+  const invitations = await migrateCollection(Invitation.collection);
+
+  console.log(
+    `Migrated ${users} users and ${invitations} invitations to roles`.green.bold
+  );
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`.red);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
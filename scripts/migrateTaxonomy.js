@@ -0,0 +1,127 @@
+// Migrates content from free-text categories and tags to the Category and
+// Tag collections. Values that only differ in case or spacing ("News",
+// "news ", "NEWS") end up as one category or tag, named after the first
+// spelling found. Revision snapshots are migrated too, so old revisions can
+// still be restored.
+//
+//   npm run migrate:taxonomy
+//
+// Run it before starting the new version of the API. Safe to run more than
+// once: documents already referencing ids are skipped.
+const dotenv = require("dotenv");
+dotenv.config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const Content = require("../models/contentModel");
+const ContentRevision = require("../models/contentRevisionModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const generateSlug = require("../utils/slug");
+
+// Content whose category cannot be turned into a slug lands here
+const FALLBACK_CATEGORY = "Uncategorized";
+
+// Helper function to find or create the category or tag for a free-text
+// value, remembering ids per slug. Returns null when no slug can be made.
+const createResolver = (Model) => {
+  const ids = new Map();
+
+  return async (value) => {
+    if (typeof value !== "string") return value;
+
+    const name = value.trim();
+    const slug = generateSlug(name);
+    if (!slug) return null;
+
+    if (!ids.has(slug)) {
+      const doc = await Model.findOneAndUpdate(
+        { slug },
+        { $setOnInsert: { name, slug } },
+        { upsert: true, new: true }
+      );
+      ids.set(slug, doc._id);
+    }
+    return ids.get(slug);
+  };
+};
+
+const resolveCategory = createResolver(Category);
+const resolveTag = createResolver(Tag);
+
+// Helper function to map a category and tags to ids
+const migrateValues = async (category, tags) => {
+  const categoryId =
+    (await resolveCategory(category)) ||
+    (await resolveCategory(FALLBACK_CATEGORY));
+
+  const tagIds = [];
+  for (const tag of tags || []) {
+    const id = await resolveTag(tag);
+    if (id && !tagIds.some((existing) => existing.equals(id))) {
+      tagIds.push(id);
+    }
+  }
+
+  return { category: categoryId, tags: tagIds };
+};
+
+// Raw collection access skips the save hooks, so no revisions or audit
+// entries are written, and lets immutable revisions be rewritten here
+const migrateContent = async () => {
+  const cursor = Content.collection.find({
+    $or: [{ category: { $type: "string" } }, { tags: { $type: "string" } }],
+  });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    await Content.collection.updateOne(
+      { _id: doc._id },
+      { $set: await migrateValues(doc.category, doc.tags) }
+    );
+    migrated += 1;
+  }
+  return migrated;
+};
+
+const migrateRevisions = async () => {
+  const cursor = ContentRevision.collection.find({
+    $or: [
+      { "snapshot.category": { $type: "string" } },
+      { "snapshot.tags": { $type: "string" } },
+    ],
+  });
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const { category, tags } = await migrateValues(
+      doc.snapshot.category,
+      doc.snapshot.tags
+    );
+    await ContentRevision.collection.updateOne(
+      { _id: doc._id },
+      { $set: { "snapshot.category": category, "snapshot.tags": tags } }
+    );
+    migrated += 1;
+  }
+  return migrated;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const contents = await migrateContent();
+  const revisions = await migrateRevisions();
+
+  console.log(
+    `Migrated ${contents} content documents and ${revisions} revisions to categories and tags`
+      .green.bold
+  );
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Error: ${error.message}`.red);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
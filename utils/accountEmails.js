@@ -0,0 +1,27 @@
+const { issueUserToken } = require("./userTokens");
+const { sendMail, appUrl } = require("./mailer");
+const { passwordResetEmail, verificationEmail } = require("./emailTemplates");
+
+// Whether unverified accounts are blocked from logging in
+exports.requireEmailVerification = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Email a fresh verification link to a user
+exports.sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user, "email_verification");
+  const url = appUrl("/verify-email", { token });
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({ name: user.name, url }),
+  });
+};
+
+// Email a fresh password reset link to a user
+exports.sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user, "password_reset");
+  const url = appUrl("/reset-password", { token });
+  await sendMail({
+    to: user.email,
+    ...passwordResetEmail({ name: user.name, url }),
+  });
+};
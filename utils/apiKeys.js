@@ -0,0 +1,82 @@
+const net = require("net");
+const ApiKey = require("../models/apiKeyModel");
+const User = require("../models/userModel");
+const { scopePermissions } = require("../config/apiKeys");
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+// Parse an allowlist entry, an address ("203.0.113.7") or a CIDR range
+// ("10.0.0.0/8", "2001:db8::/32"). Returns null when it is neither.
+const parseIpRange = (value) => {
+  const [address, bits, ...rest] = String(value).split("/");
+  const type = net.isIP(address);
+  if (!type || rest.length > 0) return null;
+  if (bits === undefined) return { address, type };
+
+  const prefix = Number(bits);
+  const max = type === 4 ? 32 : 128;
+  if (!/^\d+$/.test(bits) || prefix > max) return null;
+  return { address, prefix, type };
+};
+
+// Check an address against an allowlist; an empty list allows every address
+const isIpAllowed = (allowedIps, ip) => {
+  if (allowedIps.length === 0) return true;
+  if (!ip || !net.isIP(ip)) return false;
+
+  const list = new net.BlockList();
+  allowedIps.map(parseIpRange).forEach((range) => {
+    if (!range) return;
+    const family = range.type === 4 ? "ipv4" : "ipv6";
+    if (range.prefix === undefined) {
+      list.addAddress(range.address, family);
+    } else {
+      list.addSubnet(range.address, range.prefix, family);
+    }
+  });
+
+  // IPv4 clients reach dual-stack servers as ::ffff:a.b.c.d
+  return list.check(ip, net.isIP(ip) === 4 ? "ipv4" : "ipv6");
+};
+
+// Resolve the user behind an API key, with permissions narrowed to the key's
+// scopes. Resolves to { user, apiKey } or { error } with a client-facing
+// message.
+const authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+
+  if (!apiKey || apiKey.state !== "active") {
+    return { error: "API key is invalid, expired or revoked" };
+  }
+
+  if (!isIpAllowed(apiKey.allowedIps, ip)) {
+    return { error: "API key cannot be used from this address" };
+  }
+
+  const user = await User.findOne({ userId: apiKey.userId });
+
+  if (!user) {
+    return { error: "User not found" };
+  }
+
+  await user.loadPermissions();
+  user.limitPermissions(scopePermissions(apiKey.scopes));
+
+  // Bookkeeping only, so a failed write does not fail the request
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_PRECISION_MS) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: now, lastUsedIp: ip || null }
+    ).catch((error) => console.error("Error recording API key use:", error));
+  }
+
+  return { user, apiKey };
+};
+
+module.exports = {
+  parseIpRange,
+  isIpAllowed,
+  authenticateApiKey,
+};
@@ -0,0 +1,6 @@
+// Wrap an async route handler so a rejected promise reaches the error handler
+// (Express 4 does not forward async errors by itself)
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
@@ -0,0 +1,137 @@
+const AuditLog = require("../models/auditLogModel");
+const { getRequestContext } = require("./requestContext");
+
+// Fields that never show up in an audit entry's changes
+const ALWAYS_IGNORED = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Fields whose change is recorded without the values
+const REDACTED_FIELDS = ["password", "secret"];
+
+const isSameValue = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Build the `changes` of an audit entry from two plain objects. `before` is
+// null for created documents and `after` is null for deleted ones.
+const diffDocuments = (before, after, ignore = []) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (ALWAYS_IGNORED.includes(field) || ignore.includes(field)) return;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (isSameValue(from, to)) return;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes.push({ field, redacted: true });
+    } else {
+      changes.push({ field, before: from ?? null, after: to ?? null });
+    }
+  });
+
+  return changes;
+};
+
+// Helper function to describe the actor of the current request
+const currentActor = () => {
+  const context = getRequestContext();
+
+  if (!context) {
+    return { actorType: "system", ip: null, userAgent: null };
+  }
+
+  return {
+    actorType: context.actor ? "user" : "anonymous",
+    actorId: context.actor ? context.actor.userId : null,
+    actorEmail: context.actor ? context.actor.email : null,
+    ip: context.ip,
+    userAgent: context.userAgent,
+  };
+};
+
+// Append an entry to the audit log for the current actor. A failing write is
+// logged rather than failing the change that was already made.
+const recordAudit = async ({ action, targetType, targetId, changes = [] }) => {
+  try {
+    await AuditLog.create({
+      ...currentActor(),
+      action,
+      targetType,
+      targetId: String(targetId),
+      changes,
+    });
+  } catch (error) {
+    console.error("Error writing audit log:", error);
+  }
+};
+
+// Mongoose plugin writing an audit entry whenever a document is created,
+// saved with changes or deleted through the document. Options:
+//   targetType - e.g. "user"
+//   idField    - field used as the target ID (default "_id")
+//   ignore     - fields left out of the recorded changes
+// Callers can name the action with `$locals.auditAction`; the default is
+// "<targetType>.created|updated|deleted".
+const auditPlugin = (schema, { targetType, idField = "_id", ignore = [] }) => {
+  // Read back fields hidden with `select: false` too, so changes to them
+  // (e.g. a password) are noticed
+  const hiddenFields = Object.keys(schema.paths)
+    .filter((path) => schema.paths[path].options.select === false)
+    .map((path) => `+${path}`);
+
+  schema.pre("save", async function () {
+    this.$locals.auditWasNew = this.isNew;
+    this.$locals.auditBefore = null;
+
+    // Documents do not remember their original values, so read them back
+    if (!this.isNew && this.modifiedPaths().length > 0) {
+      this.$locals.auditBefore = await this.constructor
+        .findById(this._id)
+        .select(hiddenFields.join(" "))
+        .lean();
+    }
+  });
+
+  schema.post("save", async function () {
+    const wasNew = this.$locals.auditWasNew;
+    const before = this.$locals.auditBefore;
+    const action = this.$locals.auditAction;
+    this.$locals.auditBefore = null;
+    this.$locals.auditAction = null;
+
+    if (!wasNew && !before) return;
+
+    const changes = diffDocuments(
+      before,
+      this.toObject({ depopulate: true }),
+      ignore
+    );
+    if (!wasNew && changes.length === 0) return;
+
+    await recordAudit({
+      action: action || `${targetType}.${wasNew ? "created" : "updated"}`,
+      targetType,
+      targetId: this[idField],
+      changes,
+    });
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function () {
+    await recordAudit({
+      action: this.$locals.auditAction || `${targetType}.deleted`,
+      targetType,
+      targetId: this[idField],
+      changes: diffDocuments(this.toObject({ depopulate: true }), null, ignore),
+    });
+  });
+};
+
+module.exports = {
+  diffDocuments,
+  recordAudit,
+  auditPlugin,
+};
@@ -0,0 +1,129 @@
+// In-memory cache with expiring entries, bounded to `maxEntries`: once full,
+// the least recently used entry makes room. Values are shared between
+// callers, so they must be treated as read-only.
+exports.createMemoryCache = ({ ttlMs, maxEntries = 1000 }) => {
+  // Kept in order from least to most recently used
+  const entries = new Map();
+  // Bumped on every delete or clear, so loads that raced one are not stored
+  let invalidations = 0;
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  // Get `key`, loading it with `load` on a miss. Loads resolving to
+  // undefined are not stored, nor are loads the cache was invalidated
+  // during: they may hold what the invalidating write replaced.
+  const fetch = async (key, load) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+
+    const startedAt = invalidations;
+    const value = await load();
+    if (value !== undefined && invalidations === startedAt) set(key, value);
+    return value;
+  };
+
+  // Get several keys at once as a Map, loading the missing ones with
+  // `load(keys)`, which resolves to a Map of what it found
+  const fetchMany = async (keys, load) => {
+    const found = new Map();
+    const missing = [];
+    new Set(keys).forEach((key) => {
+      const cached = get(key);
+      if (cached === undefined) missing.push(key);
+      else found.set(key, cached);
+    });
+    if (missing.length === 0) return found;
+
+    const startedAt = invalidations;
+    const loaded = await load(missing);
+    loaded.forEach((value, key) => {
+      if (invalidations === startedAt) set(key, value);
+      found.set(key, value);
+    });
+    return found;
+  };
+
+  return {
+    get,
+    fetch,
+    fetchMany,
+    delete: (key) => {
+      invalidations += 1;
+      entries.delete(key);
+    },
+    // Drop every entry whose key starts with `prefix`, or all of them
+    clear: (prefix) => {
+      invalidations += 1;
+      if (prefix === undefined) {
+        entries.clear();
+        return;
+      }
+      [...entries.keys()]
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => entries.delete(key));
+    },
+  };
+};
+
+// Writes made through queries; they may touch any number of documents
+const QUERY_WRITES = [
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "findOneAndDelete",
+  "deleteOne",
+  "deleteMany",
+];
+
+// Helper function to tell whether a write query may change one of `fields`.
+// Deletes, replacements and pipelines may change anything.
+const mayChange = (query, fields) => {
+  const update = query.getUpdate();
+  if (/delete|replace/i.test(query.op) || !update || Array.isArray(update)) {
+    return true;
+  }
+
+  // Paths under operators like { $set: { name } }, or set directly
+  const paths = Object.keys(update).flatMap((key) =>
+    key.startsWith("$") ? Object.keys(update[key] || {}) : [key]
+  );
+  return paths.some((path) => fields.includes(path.split(".")[0]));
+};
+
+// Mongoose plugin calling `invalidate` after every write through the model:
+// with the document once it is saved or deleted through the document, with
+// null after query writes and insertMany. With `fields`, the fields the
+// cache holds, updates writing none of them are ignored.
+exports.cacheInvalidationPlugin = (schema, { invalidate, fields = null }) => {
+  schema.post("save", function () {
+    invalidate(this);
+  });
+  schema.post("deleteOne", { document: true, query: false }, function () {
+    invalidate(this);
+  });
+  schema.post(QUERY_WRITES, { document: false, query: true }, function () {
+    if (fields && !mayChange(this, fields)) return;
+    invalidate(null);
+  });
+  schema.post("insertMany", () => {
+    invalidate(null);
+  });
+};
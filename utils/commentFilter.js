@@ -0,0 +1,27 @@
+// Simple spam checks for comment bodies. They do not reject anything; a
+// flagged comment is held for moderation with the reason attached.
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns why `body` looks like spam, or null when it looks fine
+const checkSpam = (body, { bannedWords = [], maxLinks = 2 } = {}) => {
+  const text = String(body || "");
+
+  const links = text.match(LINK_PATTERN) || [];
+  if (links.length > maxLinks) {
+    return `Too many links (${links.length}, at most ${maxLinks} allowed)`;
+  }
+
+  const banned = bannedWords.find((word) =>
+    new RegExp(`\\b${escapeRegExp(word)}\\b`, "i").test(text)
+  );
+  if (banned) {
+    return "Contains a banned word";
+  }
+
+  return null;
+};
+
+module.exports = { checkSpam };
@@ -0,0 +1,100 @@
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const generateSlug = require("./slug");
+const { getContentSettings } = require("../config/content");
+
+// Markup allowed in rendered bodies. Scripts, styles, event handlers and
+// javascript: URLs are dropped; ids are not accepted from authors and are only
+// added to headings for the table of contents.
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del"],
+  allowedAttributes: {
+    a: ["href", "name", "target", "title", "rel"],
+    img: ["src", "srcset", "alt", "title", "width", "height", "loading"],
+    ol: ["start"],
+    td: ["align", "colspan", "rowspan"],
+    th: ["align", "colspan", "rowspan"],
+  },
+  allowedClasses: { code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  transformTags: {
+    // Links opening a new window must not get access to this one
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target
+        ? { ...attribs, rel: "noopener noreferrer" }
+        : attribs,
+    }),
+  },
+};
+
+const HEADING_PATTERN = /<h([1-6])>([\s\S]*?)<\/h\1>/g;
+// Headings usually repeat the title and code reads badly out of context, so
+// excerpts are taken from the remaining prose
+const NON_PROSE_PATTERN = /<(h[1-6]|pre)[^>]*>[\s\S]*?<\/\1>/g;
+const BLOCK_END_PATTERN =
+  /<\/(p|h[1-6]|li|blockquote|pre|div|td|th|tr)>|<br\s*\/?>/g;
+
+// Helper function to turn sanitized HTML into plain text
+const htmlToText = (html) =>
+  sanitizeHtml(html.replace(BLOCK_END_PATTERN, "$& "), {
+    allowedTags: [],
+    allowedAttributes: {},
+  })
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Helper function to cut text at a word boundary
+const truncate = (text, length) => {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, "")}…`;
+};
+
+// Give every heading a unique id and collect the table of contents
+const addHeadingIds = (html) => {
+  const toc = [];
+  const used = new Map();
+
+  const withIds = html.replace(HEADING_PATTERN, (match, level, inner) => {
+    const text = htmlToText(inner);
+    const base = generateSlug(text) || "section";
+    const seen = used.get(base) || 0;
+    used.set(base, seen + 1);
+    const id = seen === 0 ? base : `${base}-${seen}`;
+
+    toc.push({ level: Number(level), text, id });
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+
+  return { html: withIds, toc };
+};
+
+// Render a body to sanitized HTML and derive its reading metadata:
+// excerpt, word count, reading time in minutes and table of contents
+const renderBody = (body, format = "markdown") => {
+  const { excerptLength, wordsPerMinute } = getContentSettings();
+
+  const source = format === "markdown" ? marked.parse(body || "") : body || "";
+  const { html, toc } = addHeadingIds(sanitizeHtml(source, SANITIZE_OPTIONS));
+
+  const text = htmlToText(html);
+  const words = text.split(" ").filter((word) => /[\p{L}\p{N}]/u.test(word));
+  const prose = htmlToText(html.replace(NON_PROSE_PATTERN, "")) || text;
+
+  return {
+    bodyHtml: html,
+    excerpt: truncate(prose, excerptLength),
+    wordCount: words.length,
+    readingTime:
+      words.length > 0 ? Math.ceil(words.length / wordsPerMinute) : 0,
+    toc,
+  };
+};
+
+module.exports = { renderBody, htmlToText };
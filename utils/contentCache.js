@@ -0,0 +1,43 @@
+const { createMemoryCache } = require("./cache");
+const { getContentCacheSettings } = require("../config/content");
+
+const { ttlSeconds, maxEntries } = getContentCacheSettings();
+
+// Published content for anonymous readers, populated as the API returns it:
+//   "id:<id>"     - the post with that id
+//   "slug:<slug>" - every post with that slug, as an original or translation
+const contentCache = createMemoryCache({
+  ttlMs: ttlSeconds * 1000,
+  maxEntries,
+});
+
+// Author details ({ userId, name, email }) by userId
+const authorCache = createMemoryCache({ ttlMs: ttlSeconds * 1000, maxEntries });
+
+// Invalidation, wired to the models with cacheInvalidationPlugin. A saved or
+// deleted post drops its own entry and every slug lookup, as slugs can move
+// between posts; query writes may have changed any post.
+const invalidateContent = (content) => {
+  if (!content) {
+    contentCache.clear();
+    return;
+  }
+  contentCache.delete(`id:${content._id}`);
+  contentCache.clear("slug:");
+};
+
+// Categories, tags and media are populated into the cached posts
+const invalidateContentReferences = () => contentCache.clear();
+
+const invalidateAuthor = (user) => {
+  if (user) authorCache.delete(user.userId);
+  else authorCache.clear();
+};
+
+module.exports = {
+  contentCache,
+  authorCache,
+  invalidateContent,
+  invalidateContentReferences,
+  invalidateAuthor,
+};
@@ -0,0 +1,104 @@
+const Content = require("../models/contentModel");
+const { SYSTEM_ACTOR, applyTransition } = require("./workflow");
+const { emitStatusChange } = require("./webhooks");
+
+// In-process scheduler that publishes scheduled content once `publishAt` is
+// due and archives published content once `unpublishAt` is due.
+//
+// `now` is injectable so tests can drive the clock:
+//   const scheduler = createContentScheduler({ now: () => fakeDate });
+//   await scheduler.runDue();
+const createContentScheduler = ({
+  now = () => new Date(),
+  intervalMs = 60 * 1000,
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  // Helper function to make one due transition. The save only matches while
+  // the document still meets `claim`, the filter it was found by, so when
+  // several instances run the scheduler exactly one of them makes it, with
+  // its hooks and webhooks. Returns whether this instance made it.
+  const runTransition = async (content, claim, to, note, current) => {
+    const from = content.status;
+    applyTransition(content, to, SYSTEM_ACTOR, { note, now: current });
+    content.$locals.auditAction = "content.transitioned";
+    content.$where = claim;
+
+    try {
+      await content.save();
+    } catch (error) {
+      // Claimed by another instance, or changed since it was loaded
+      if (error.name === "DocumentNotFoundError") return false;
+      throw error;
+    }
+    await emitStatusChange(content, from);
+    return true;
+  };
+
+  // Apply every transition that is due at the current clock time. A
+  // document that fails is logged and left for the next run.
+  const runDue = async () => {
+    if (running) return { published: 0, archived: 0, failed: 0 };
+    running = true;
+
+    try {
+      const current = now();
+      const result = { published: 0, archived: 0, failed: 0 };
+
+      const runAll = async (filter, to, note, counter) => {
+        const due = await Content.find(filter);
+        for (const content of due) {
+          try {
+            if (await runTransition(content, filter, to, note, current)) {
+              result[counter] += 1;
+            }
+          } catch (error) {
+            console.error(
+              `Content scheduler could not move ${content._id} to ${to}:`,
+              error
+            );
+            result.failed += 1;
+          }
+        }
+      };
+
+      await runAll(
+        { status: "scheduled", publishAt: { $lte: current } },
+        "published",
+        "Published on schedule",
+        "published"
+      );
+      await runAll(
+        { status: "published", unpublishAt: { $lte: current } },
+        "archived",
+        "Unpublished on schedule",
+        "archived"
+      );
+
+      return result;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      runDue().catch((error) =>
+        console.error("Content scheduler error:", error)
+      );
+    }, intervalMs);
+    // Never keep the process alive just for the scheduler
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runDue };
+};
+
+module.exports = createContentScheduler;
@@ -0,0 +1,544 @@
+// Bulk export and import of content. Exports are portable between
+// environments: categories and tags are referenced by slug and authors by
+// email, and imports map them back the same way.
+const Content = require("../models/contentModel");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+const User = require("../models/userModel");
+const generateSlug = require("./slug");
+const { parseCsv } = require("./csv");
+const { STATUSES, TRANSLATION_STATUSES, checkArrival } = require("./workflow");
+const { canUpdate, canReview } = require("../policies/contentPolicy");
+const {
+  contentEventData,
+  emitWebhookEvent,
+  emitStatusChange,
+} = require("./webhooks");
+const { BODY_FORMATS } = require("../config/content");
+const { getLocaleSettings, canonicalLocale } = require("../config/locales");
+
+// Columns of the CSV export, in order. Tags are comma-separated slugs and
+// translations a JSON array.
+const CSV_COLUMNS = [
+  "_id",
+  "title",
+  "slug",
+  "locale",
+  "status",
+  "bodyFormat",
+  "category",
+  "tags",
+  "author",
+  "publishAt",
+  "unpublishAt",
+  "publishedAt",
+  "createdAt",
+  "updatedAt",
+  "body",
+  "translations",
+];
+
+// File extensions of the import formats
+const FORMAT_EXTENSIONS = {
+  json: "json",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  csv: "csv",
+};
+
+// Helper function to guess an import's format from its file name
+const formatFromFileName = (fileName = "") =>
+  FORMAT_EXTENSIONS[fileName.split(".").pop().toLowerCase()] || null;
+
+// Slugs of every category and tag, keyed by id, for exports
+const loadTaxonomySlugs = async () => {
+  const [categories, tags] = await Promise.all([
+    Category.find().select("slug").lean(),
+    Tag.find().select("slug").lean(),
+  ]);
+  const bySlug = (items) =>
+    new Map(items.map((item) => [String(item._id), item.slug]));
+  return { categories: bySlug(categories), tags: bySlug(tags) };
+};
+
+// Shape a content document (lean) for export. `taxonomy` comes from
+// loadTaxonomySlugs and `authorEmails` maps author userIds to emails.
+const toExportRecord = (content, { taxonomy, authorEmails }) => ({
+  _id: content._id,
+  title: content.title,
+  slug: content.slug,
+  locale: content.locale,
+  status: content.status,
+  bodyFormat: content.bodyFormat,
+  category: taxonomy.categories.get(String(content.category)) || null,
+  tags: (content.tags || [])
+    .map((tag) => taxonomy.tags.get(String(tag)))
+    .filter(Boolean),
+  author: authorEmails.get(content.author_id) || null,
+  publishAt: content.publishAt,
+  unpublishAt: content.unpublishAt,
+  publishedAt: content.publishedAt,
+  createdAt: content.createdAt,
+  updatedAt: content.updatedAt,
+  body: content.body,
+  translations: (content.translations || []).map((translation) => ({
+    locale: translation.locale,
+    title: translation.title,
+    slug: translation.slug,
+    bodyFormat: translation.bodyFormat,
+    status: translation.status,
+    publishedAt: translation.publishedAt,
+    body: translation.body,
+  })),
+});
+
+// Helper function to turn a CSV record into an import row
+const fromCsvRecord = (header, record) => {
+  const data = {};
+  header.forEach((column, index) => {
+    const value = record[index];
+    if (value !== undefined && value !== "") data[column] = value;
+  });
+  if (data.tags !== undefined) {
+    data.tags = data.tags
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  if (data.translations !== undefined) {
+    data.translations = JSON.parse(data.translations);
+  }
+  return data;
+};
+
+// Parse an import file into rows, [{ row, data }] or [{ row, error }] for a
+// row that cannot be read. Throws when the file as a whole is unreadable.
+// `row` is the 1-based record number (the line for NDJSON, the data row
+// below the header for CSV).
+const parseImportFile = (text, format) => {
+  if (format === "json") {
+    const records = JSON.parse(text);
+    if (!Array.isArray(records)) {
+      throw new Error("A JSON import must be an array of objects");
+    }
+    return records.map((data, index) => ({ row: index + 1, data }));
+  }
+
+  if (format === "ndjson") {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+      .filter(({ line }) => line !== "")
+      .map(({ line, row }) => {
+        try {
+          return { row, data: JSON.parse(line) };
+        } catch (error) {
+          return { row, error: `Invalid JSON: ${error.message}` };
+        }
+      });
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header || !header.includes("title")) {
+    throw new Error("A CSV import needs a header row with a title column");
+  }
+  const columns = header.map((column) => column.trim());
+  return records.map((record, index) => {
+    try {
+      return { row: index + 1, data: fromCsvRecord(columns, record) };
+    } catch (error) {
+      return {
+        row: index + 1,
+        error: `Invalid translations: ${error.message}`,
+      };
+    }
+  });
+};
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const text = (value) =>
+  typeof value === "string" || typeof value === "number"
+    ? String(value).trim()
+    : "";
+
+// Helper function to read an optional date; undefined when it is invalid
+const readDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Helper function to check one row and resolve its references. Returns the
+// content fields and the problems found.
+const readRow = (data, context) => {
+  if (!isObject(data)) return { fields: {}, errors: ["Row must be an object"] };
+
+  const { supported, defaultLocale } = getLocaleSettings();
+  const errors = [];
+
+  const title = text(data.title);
+  const body = typeof data.body === "string" ? data.body : "";
+  const locale = data.locale
+    ? canonicalLocale(text(data.locale))
+    : defaultLocale;
+  const slug = (
+    text(data.slug) ||
+    (title && generateSlug(title))
+  ).toLowerCase();
+  const bodyFormat = text(data.bodyFormat) || "markdown";
+  const status = text(data.status) || "draft";
+
+  if (!title) errors.push("title is required");
+  if (!body.trim()) errors.push("body is required");
+  if (!supported.includes(locale)) {
+    errors.push(`locale must be one of: ${supported.join(", ")}`);
+  }
+  if (!slug) errors.push("slug is required when the title gives none");
+  if (!BODY_FORMATS.includes(bodyFormat)) {
+    errors.push(`bodyFormat must be one of: ${BODY_FORMATS.join(", ")}`);
+  }
+  if (!STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${STATUSES.join(", ")}`);
+  }
+
+  // Categories and tags by slug or id
+  const categoryKey = text(data.category).toLowerCase();
+  const category = context.categories.get(categoryKey);
+  if (!categoryKey) errors.push("category is required");
+  else if (!category) errors.push(`Category not found: ${data.category}`);
+
+  const tagKeys = (Array.isArray(data.tags) ? data.tags : [])
+    .map((tag) => text(tag).toLowerCase())
+    .filter(Boolean);
+  const missingTags = tagKeys.filter((tag) => !context.tags.has(tag));
+  if (data.tags !== undefined && !Array.isArray(data.tags)) {
+    errors.push("tags must be an array");
+  } else if (missingTags.length > 0) {
+    errors.push(`Tags not found: ${missingTags.join(", ")}`);
+  }
+
+  // Authors by email; without one the importing user is the author
+  const email = text(data.author).toLowerCase();
+  const authorId = email
+    ? context.authors.get(email) || context.fallbackAuthorId
+    : context.user.userId;
+  if (!authorId) errors.push(`No user with the author email ${email}`);
+
+  const dates = {};
+  ["publishAt", "unpublishAt", "publishedAt"].forEach((field) => {
+    dates[field] = readDate(data[field]);
+    if (dates[field] === undefined) errors.push(`${field} must be a date`);
+  });
+  if (status === "scheduled" && !dates.publishAt) {
+    errors.push("Scheduled content needs a publishAt date");
+  }
+  if (status === "published" && !dates.publishedAt) {
+    dates.publishedAt = new Date();
+  }
+
+  let translations;
+  if (data.translations !== undefined) {
+    translations = readTranslations(data.translations, locale, errors);
+  }
+
+  return {
+    fields: {
+      title,
+      slug,
+      body,
+      bodyFormat,
+      locale,
+      status,
+      category,
+      tags: [...new Set(tagKeys.map((tag) => context.tags.get(tag)))],
+      author_id: authorId,
+      ...dates,
+      translations,
+    },
+    errors,
+  };
+};
+
+// Helper function to check the translations of a row
+const readTranslations = (value, originalLocale, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push("translations must be an array");
+    return undefined;
+  }
+
+  const { supported } = getLocaleSettings();
+  const seen = new Set();
+
+  return value.map((translation, index) => {
+    const label = `translations[${index}]`;
+    if (!isObject(translation)) {
+      errors.push(`${label} must be an object`);
+      return {};
+    }
+
+    const locale = canonicalLocale(text(translation.locale)) || "";
+    const title = text(translation.title);
+    const status = text(translation.status) || "draft";
+    const bodyFormat = text(translation.bodyFormat) || "markdown";
+    const publishedAt = readDate(translation.publishedAt);
+
+    if (!supported.includes(locale) || locale === originalLocale) {
+      errors.push(
+        `${label}.locale must be a supported locale other than ${originalLocale}`
+      );
+    } else if (seen.has(locale)) {
+      errors.push(`${label}.locale ${locale} is repeated`);
+    }
+    seen.add(locale);
+    if (!title) errors.push(`${label}.title is required`);
+    if (typeof translation.body !== "string" || !translation.body.trim()) {
+      errors.push(`${label}.body is required`);
+    }
+    if (!BODY_FORMATS.includes(bodyFormat)) {
+      errors.push(
+        `${label}.bodyFormat must be one of: ${BODY_FORMATS.join(", ")}`
+      );
+    }
+    if (!TRANSLATION_STATUSES.includes(status)) {
+      errors.push(
+        `${label}.status must be one of: ${TRANSLATION_STATUSES.join(", ")}`
+      );
+    }
+    if (publishedAt === undefined)
+      errors.push(`${label}.publishedAt must be a date`);
+
+    return {
+      locale,
+      title,
+      slug: (
+        text(translation.slug) ||
+        (title && generateSlug(title))
+      ).toLowerCase(),
+      body: translation.body,
+      bodyFormat,
+      status,
+      publishedAt: publishedAt || (status === "published" ? new Date() : null),
+    };
+  });
+};
+
+// Helper function to map ids and slugs of categories or tags to their ids
+const referenceMap = (items) => {
+  const map = new Map();
+  items.forEach((item) => {
+    map.set(String(item._id), item._id);
+    map.set(item.slug, item._id);
+  });
+  return map;
+};
+
+// Import parsed rows one by one; a failing row does not stop the others.
+// Options:
+//   user             the importing user, author of rows without one
+//   dryRun           check every row and report what would happen, without
+//                    writing anything
+//   onConflict       what to do when a slug is taken in its locale: "skip"
+//                    the row, "overwrite" the existing content or "rename"
+//                    the slug with a numeric suffix
+//   fallbackAuthorId author of rows whose email has no account (otherwise
+//                    those rows fail)
+// Statuses and dates are kept as given when the importing user could have
+// made the transition into the status (see checkArrival); otherwise the row
+// is imported as a draft, and its translations too unless the user is a
+// reviewer. Overwriting content needs the right to edit it.
+// Returns one result per row: { row, locale, slug, result, id, errors,
+// warnings } where result is created, updated, unchanged, skipped or failed.
+const importContent = async (
+  rows,
+  { user, dryRun = false, onConflict = "skip", fallbackAuthorId = null }
+) => {
+  const emails = [
+    ...new Set(
+      rows
+        .map(({ data }) => isObject(data) && text(data.author).toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  const [categories, tags, authors] = await Promise.all([
+    Category.find().select("slug").lean(),
+    Tag.find().select("slug").lean(),
+    User.find({ email: { $in: emails } })
+      .select("userId email")
+      .lean(),
+  ]);
+
+  const context = {
+    user,
+    fallbackAuthorId,
+    categories: referenceMap(categories),
+    tags: referenceMap(tags),
+    authors: new Map(authors.map((author) => [author.email, author.userId])),
+    // "<locale>:<slug>" of every row already imported, so rows of the same
+    // file conflict with each other even in a dry run
+    claimed: new Set(),
+  };
+
+  const results = [];
+  for (const { row, data, error } of rows) {
+    results.push(
+      error
+        ? { row, result: "failed", errors: [error] }
+        : await importRow(row, data, context, { dryRun, onConflict })
+    );
+  }
+  return results;
+};
+
+// Helper function to check whether a slug is free for a row
+const isSlugFree = async (context, locale, slug, exceptId) =>
+  !context.claimed.has(`${locale}:${slug}`) &&
+  !(await Content.isSlugTaken(locale, slug, exceptId));
+
+const importRow = async (row, data, context, { dryRun, onConflict }) => {
+  const { fields, errors } = readRow(data, context);
+  const report = { row, locale: fields.locale, slug: fields.slug };
+  const failed = (messages) => ({
+    ...report,
+    result: "failed",
+    errors: messages,
+  });
+
+  if (errors.length > 0) return failed(errors);
+
+  const { locale } = fields;
+  let existing = null;
+
+  if (!(await isSlugFree(context, locale, fields.slug))) {
+    if (onConflict === "skip") {
+      return {
+        ...report,
+        result: "skipped",
+        errors: ["A post with this slug already exists"],
+      };
+    }
+
+    if (onConflict === "rename") {
+      const base = fields.slug;
+      let suffix = 2;
+      while (!(await isSlugFree(context, locale, `${base}-${suffix}`))) {
+        suffix += 1;
+      }
+      fields.slug = `${base}-${suffix}`;
+      report.slug = fields.slug;
+    } else if (context.claimed.has(`${locale}:${fields.slug}`)) {
+      return failed(["An earlier row of this import has the same slug"]);
+    } else {
+      existing = await Content.findOne({ locale, slug: fields.slug });
+      if (!existing) {
+        return failed(["The slug belongs to a translation of other content"]);
+      }
+      if (!canUpdate(context.user, existing)) {
+        return failed(["Not authorized to update the existing content"]);
+      }
+    }
+  }
+
+  const translations = fields.translations || [];
+  for (const translation of translations) {
+    const free = await isSlugFree(
+      context,
+      translation.locale,
+      translation.slug,
+      existing && existing._id
+    );
+    if (!free) {
+      errors.push(
+        `The ${translation.locale} translation's slug ${translation.slug} is taken`
+      );
+    }
+  }
+  if (errors.length > 0) return failed(errors);
+
+  const content = existing || new Content();
+  const previousStatus = existing ? existing.status : null;
+  const { translations: translationFields, ...contentFields } = fields;
+  content.set(contentFields);
+  if (translationFields) content.translations = translationFields;
+
+  // Statuses the importing user could not have reached through the
+  // workflow fall back to draft, so nothing goes live without a review
+  const warnings = [];
+  if (content.isNew || content.isModified()) {
+    const rejection = checkArrival(content, content.status, context.user, {
+      publishAt: content.publishAt,
+      unpublishAt: content.unpublishAt,
+    });
+    if (rejection) {
+      warnings.push(`Imported as a draft: ${rejection.message}`);
+      content.status = "draft";
+      content.publishedAt = null;
+    }
+    if (!canReview(context.user, content)) {
+      content.translations
+        .filter((translation) => translation.status !== "draft")
+        .forEach((translation) => {
+          warnings.push(
+            `The ${translation.locale} translation was imported as a draft: only a reviewer can publish it`
+          );
+          translation.status = "draft";
+          translation.publishedAt = null;
+        });
+    }
+  }
+  if (warnings.length > 0) report.warnings = warnings;
+
+  if (previousStatus !== content.status) {
+    content.statusHistory.push({
+      ...(previousStatus && { from: previousStatus }),
+      to: content.status,
+      by: context.user.userId,
+      note: "Imported",
+    });
+  }
+  content.$locals.editorId = context.user.userId;
+  content.$locals.auditAction = "content.imported";
+
+  const invalid = content.validateSync();
+  if (invalid) {
+    return failed(Object.values(invalid.errors).map((error) => error.message));
+  }
+
+  [fields, ...translations].forEach((version) => {
+    context.claimed.add(`${version.locale}:${version.slug}`);
+  });
+
+  const changed = content.isNew || content.isModified();
+  const result = existing ? (changed ? "updated" : "unchanged") : "created";
+  if (dryRun || !changed) {
+    return { ...report, result, ...(existing && { id: existing._id }) };
+  }
+
+  try {
+    await content.save();
+  } catch (error) {
+    return failed([
+      error.code === 11000
+        ? "A post with this slug already exists"
+        : error.message,
+    ]);
+  }
+
+  await emitWebhookEvent(
+    existing ? "content.updated" : "content.created",
+    contentEventData(content)
+  );
+  await emitStatusChange(content, previousStatus);
+
+  return { ...report, result, id: content._id };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  formatFromFileName,
+  loadTaxonomySlugs,
+  toExportRecord,
+  parseImportFile,
+  importContent,
+};
@@ -0,0 +1,70 @@
+// CSV (RFC 4180) helpers for exports and imports
+
+// Helper function to quote a value for CSV
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line for a list of values, without the line break
+const toCsvLine = (values) => values.map(toCsvValue).join(",");
+
+// Parse CSV text into records (arrays of strings). Quoted fields may contain
+// commas, quotes ("") and line breaks. Throws on an unterminated quote.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+  };
+
+  for (; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index += 1;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || record.length > 0) endRecord();
+
+  return records;
+};
+
+module.exports = { toCsvValue, toCsvLine, parseCsv };
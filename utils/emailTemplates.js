@@ -0,0 +1,15 @@
+const { escapeHtml } = require("./html");
+
+// Plain text and HTML bodies for the emails the API sends
+
+exports.passwordResetEmail = ({ name, url }) => ({
+  subject: "Reset your password",
+  text: `Hi ${name},\n\nUse the link below to choose a new password. It expires in 1 hour.\n\n${url}\n\nIf you did not ask for this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Use the link below to choose a new password. It expires in 1 hour.</p><p><a href="${escapeHtml(url)}">Reset your password</a></p><p>If you did not ask for this, you can ignore this email.</p>`,
+});
+
+exports.verificationEmail = ({ name, url }) => ({
+  subject: "Verify your email address",
+  text: `Hi ${name},\n\nPlease confirm your email address. The link expires in 24 hours.\n\n${url}`,
+  html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address. The link expires in 24 hours.</p><p><a href="${escapeHtml(url)}">Verify email</a></p>`,
+});
@@ -0,0 +1,56 @@
+// Errors controllers and middleware throw to end a request. The error handler
+// (middleware/errorHandler.js) turns them into responses like:
+//   { success: false, code: "NOT_FOUND", message: "Content not found" }
+// `details` are extra fields merged into that response, e.g. { errors: [...] }.
+
+class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details = {} } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(message, { status: 400, code: "VALIDATION_FAILED", ...options });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Not authorized", options = {}) {
+    super(message, { status: 401, code: "UNAUTHORIZED", ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Access denied", options = {}) {
+    super(message, { status: 403, code: "FORBIDDEN", ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found", options = {}) {
+    super(message, { status: 404, code: "NOT_FOUND", ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Resource already exists", options = {}) {
+    super(message, { status: 409, code: "CONFLICT", ...options });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+};
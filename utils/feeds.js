@@ -0,0 +1,161 @@
+const { escapeHtml } = require("./html");
+
+// Renderers for syndication feeds and sitemaps. A feed is
+//   { title, description, language, siteUrl, feedUrl, updatedAt, items }
+// and each item
+//   { id, url, title, summary, contentHtml, author, categories, language,
+//     publishedAt, updatedAt }
+
+// escapeHtml covers the five characters XML needs escaped
+const xml = escapeHtml;
+
+const isoDate = (date) => new Date(date).toISOString();
+
+// Helper function to build an XML element, skipping empty values
+const element = (name, value, attributes = "") =>
+  value === undefined || value === null || value === ""
+    ? ""
+    : `<${name}${attributes}>${xml(value)}</${name}>`;
+
+// RSS 2.0 (dates in RFC 822, authors through Dublin Core since RSS expects
+// email addresses)
+const renderRss = (feed) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    "<channel>",
+    element("title", feed.title),
+    element("link", feed.siteUrl),
+    element("description", feed.description || feed.title),
+    element("language", feed.language),
+    element("lastBuildDate", new Date(feed.updatedAt).toUTCString()),
+    `<atom:link href="${xml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...feed.items.map((item) =>
+      [
+        "<item>",
+        element("title", item.title),
+        element("link", item.url),
+        element("guid", item.id, ' isPermaLink="false"'),
+        element("pubDate", new Date(item.publishedAt).toUTCString()),
+        element("dc:creator", item.author && item.author.name),
+        ...item.categories.map((category) => element("category", category)),
+        element("description", item.summary),
+        element("content:encoded", item.contentHtml),
+        "</item>",
+      ].join("")
+    ),
+    "</channel>",
+    "</rss>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+// Atom 1.0
+const renderAtom = (feed) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${
+      feed.language ? ` xml:lang="${xml(feed.language)}"` : ""
+    }>`,
+    element("id", feed.feedUrl),
+    element("title", feed.title),
+    element("subtitle", feed.description),
+    element("updated", isoDate(feed.updatedAt)),
+    `<link href="${xml(feed.siteUrl)}"/>`,
+    `<link href="${xml(feed.feedUrl)}" rel="self" type="application/atom+xml"/>`,
+    ...feed.items.map((item) =>
+      [
+        "<entry>",
+        element("id", item.id),
+        element("title", item.title),
+        `<link href="${xml(item.url)}"/>`,
+        element("published", isoDate(item.publishedAt)),
+        element("updated", isoDate(item.updatedAt)),
+        item.author
+          ? `<author>${element("name", item.author.name)}</author>`
+          : "",
+        ...item.categories.map(
+          (category) => `<category term="${xml(category)}"/>`
+        ),
+        element("summary", item.summary),
+        element("content", item.contentHtml, ' type="html"'),
+        "</entry>",
+      ].join("")
+    ),
+    "</feed>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+const renderJsonFeed = (feed) =>
+  JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    ...(feed.description && { description: feed.description }),
+    ...(feed.language && { language: feed.language }),
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.contentHtml,
+      summary: item.summary,
+      date_published: isoDate(item.publishedAt),
+      date_modified: isoDate(item.updatedAt),
+      ...(item.author && { authors: [{ name: item.author.name }] }),
+      tags: item.categories,
+      language: item.language,
+    })),
+  });
+
+// A sitemap; each entry is { url, updatedAt, alternates: [{ locale, url }] }
+const renderSitemap = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...entries.map((entry) =>
+      [
+        "<url>",
+        element("loc", entry.url),
+        element("lastmod", isoDate(entry.updatedAt)),
+        ...(entry.alternates || []).map(
+          (alternate) =>
+            `<xhtml:link rel="alternate" hreflang="${xml(
+              alternate.locale
+            )}" href="${xml(alternate.url)}"/>`
+        ),
+        "</url>",
+      ].join("")
+    ),
+    "</urlset>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+// A sitemap index; each sitemap is { url, updatedAt }
+const renderSitemapIndex = (sitemaps) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map((sitemap) =>
+      [
+        "<sitemap>",
+        element("loc", sitemap.url),
+        element("lastmod", sitemap.updatedAt && isoDate(sitemap.updatedAt)),
+        "</sitemap>",
+      ].join("")
+    ),
+    "</sitemapindex>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+module.exports = {
+  renderRss,
+  renderAtom,
+  renderJsonFeed,
+  renderSitemap,
+  renderSitemapIndex,
+};
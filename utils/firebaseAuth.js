@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/userModel");
+const { userEventData, emitWebhookEvent } = require("./webhooks");
+const {
+  isFirebaseEnabled,
+  getFirebaseAuth,
+  getAllowedProviders,
+  autoProvisionEnabled,
+  checkRevokedEnabled,
+} = require("../config/firebase");
+const { getRegistrationMode } = require("../config/registration");
+
+const FIREBASE_ISSUER_PREFIX = "https://securetoken.google.com/";
+
+// Firebase ID tokens are told apart from our own JWTs by their issuer
+exports.isFirebaseToken = (token) => {
+  if (!isFirebaseEnabled()) return false;
+  const decoded = jwt.decode(token);
+  return Boolean(
+    decoded &&
+      typeof decoded.iss === "string" &&
+      decoded.iss.startsWith(FIREBASE_ISSUER_PREFIX)
+  );
+};
+
+// Helper function to find the User for a Firebase identity: by UID first,
+// then by verified email (linking the UID), else create one if allowed
+const findOrProvisionUser = async (decoded) => {
+  const linkedUser = await User.findOne({ firebaseUid: decoded.uid });
+  if (linkedUser) return { user: linkedUser };
+
+  // Only a verified email proves ownership of an existing account
+  if (!decoded.email || !decoded.email_verified) {
+    return { error: "Firebase account has no verified email" };
+  }
+
+  const email = decoded.email.toLowerCase();
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    if (existingUser.firebaseUid) {
+      return { error: "Account is linked to another Firebase user" };
+    }
+    existingUser.firebaseUid = decoded.uid;
+    if (!existingUser.emailVerified) {
+      existingUser.emailVerified = true;
+      existingUser.emailVerifiedAt = new Date();
+    }
+    await existingUser.save();
+    return { user: existingUser };
+  }
+
+  // Provisioning is a registration, so it follows the registration policy
+  if (!autoProvisionEnabled() || getRegistrationMode() !== "open") {
+    return { error: "No account exists for this Firebase user" };
+  }
+
+  // Firebase users never log in with a password here, so use a random one
+  try {
+    const user = await User.create({
+      name: decoded.name || email.split("@")[0],
+      email,
+      password: crypto.randomBytes(32).toString("hex"),
+      firebaseUid: decoded.uid,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    await emitWebhookEvent("user.created", userEventData(user));
+    return { user };
+  } catch (error) {
+    // A concurrent request provisioned the same user first
+    if (error.code === 11000) {
+      const user = await User.findOne({ firebaseUid: decoded.uid });
+      if (user) return { user };
+    }
+    throw error;
+  }
+};
+
+// Resolve the user behind a Firebase ID token.
+// Resolves to { user } or { error } with a client-facing message.
+exports.authenticateFirebaseToken = async (token) => {
+  let decoded;
+  try {
+    decoded = await getFirebaseAuth().verifyIdToken(
+      token,
+      checkRevokedEnabled()
+    );
+  } catch (error) {
+    return { error: "Not authorized, Firebase token failed or expired" };
+  }
+
+  const allowedProviders = getAllowedProviders();
+  const provider = decoded.firebase && decoded.firebase.sign_in_provider;
+  if (allowedProviders.length > 0 && !allowedProviders.includes(provider)) {
+    return { error: `Sign-in provider "${provider}" is not allowed` };
+  }
+
+  return findOrProvisionUser(decoded);
+};
+
+// Revoke the Firebase refresh tokens of a linked user
+exports.revokeFirebaseSessions = async (user) => {
+  if (!isFirebaseEnabled() || !user || !user.firebaseUid) return;
+  await getFirebaseAuth().revokeRefreshTokens(user.firebaseUid);
+};
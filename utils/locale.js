@@ -0,0 +1,52 @@
+const { getLocaleSettings, canonicalLocale } = require("../config/locales");
+
+// Locales listed in an Accept-Language header, most preferred first
+const parseAcceptLanguage = (header) =>
+  (header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params
+        .map((param) => param.trim().match(/^q=([0-9.]+)$/))
+        .find(Boolean);
+      return { tag, q: q ? parseFloat(q[1]) : 1, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => canonicalLocale(tag))
+    .filter(Boolean);
+
+// Supported locales to try, in order, for a list of preferred locales. Each
+// preference is followed by its configured fallbacks and its language
+// (de-CH -> de); the default locale comes last.
+const localeChain = (preferred) => {
+  const { supported, defaultLocale, fallbacks } = getLocaleSettings();
+  const chain = [];
+  const seen = new Set();
+
+  const visit = (locale) => {
+    if (seen.has(locale)) return;
+    seen.add(locale);
+
+    if (supported.includes(locale)) chain.push(locale);
+    (fallbacks.get(locale) || []).forEach(visit);
+    if (locale.includes("-")) visit(locale.split("-")[0]);
+  };
+
+  [...preferred, defaultLocale].forEach(visit);
+  return chain;
+};
+
+// Locale chain for a request, from ?locale= or else Accept-Language.
+// Responses then depend on Accept-Language, so caches are told.
+const negotiateLocales = (req, res) => {
+  res.vary("Accept-Language");
+
+  return localeChain(
+    req.query.locale
+      ? [req.query.locale]
+      : parseAcceptLanguage(req.get("Accept-Language"))
+  );
+};
+
+module.exports = { parseAcceptLanguage, localeChain, negotiateLocales };
@@ -0,0 +1,79 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+// Mail transports share one interface:
+//   transport.send({ from, to, subject, text, html }) -> Promise
+// so the mailer does not care where messages end up.
+
+// SMTP through nodemailer, for production
+exports.createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+// One JSON file per message, for development and tests
+exports.createFileTransport = ({ directory }) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const file = path.join(
+      directory,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+    );
+    await fs.writeFile(
+      file,
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    return { file };
+  },
+});
+
+// Print messages to the console, the default when nothing is configured
+// outside production. Messages carry live reset and verification links, so
+// logs must never get them in production.
+exports.createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `\n--- MAIL to ${message.to}: ${message.subject} ---\n${message.text}\n---`
+    );
+    return {};
+  },
+});
+
+// Build the transport selected by MAIL_TRANSPORT (smtp, file or console).
+// Throws in production unless smtp or file is configured.
+exports.createTransportFromEnv = (env = process.env) => {
+  switch (env.MAIL_TRANSPORT) {
+    case "smtp":
+      return exports.createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+      });
+    case "file":
+      return exports.createFileTransport({
+        directory: env.MAIL_DIR || path.join(os.tmpdir(), "backend-mail"),
+      });
+    default:
+      if (env.NODE_ENV === "production") {
+        throw new Error(
+          "MAIL_TRANSPORT must be smtp or file in production; the console transport would log account links"
+        );
+      }
+      return exports.createConsoleTransport();
+  }
+};
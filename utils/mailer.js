@@ -0,0 +1,38 @@
+const { createTransportFromEnv } = require("./mailTransports");
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+};
+
+// Build the configured transport now, so a missing configuration fails at
+// startup rather than on the first email
+exports.checkMailTransport = () => {
+  getTransport();
+};
+
+// Replace the transport, e.g. with an in-memory one in tests
+exports.setMailTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+// Send an email through the configured transport
+exports.sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+// Build a link into the front end, e.g. appUrl("/reset-password", { token })
+exports.appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:3000");
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+};
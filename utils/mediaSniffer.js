@@ -0,0 +1,124 @@
+// Detect the real type of an uploaded file from its first bytes, and read
+// the pixel dimensions of images, without any image library.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const SIGNATURES = [
+  {
+    mimeType: "image/jpeg",
+    extension: "jpg",
+    test: (b) => startsWith(b, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    test: (b) =>
+      startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mimeType: "image/gif",
+    extension: "gif",
+    test: (b) =>
+      startsWith(b, ascii("GIF87a")) || startsWith(b, ascii("GIF89a")),
+  },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    test: (b) =>
+      startsWith(b, ascii("RIFF")) && startsWith(b, ascii("WEBP"), 8),
+  },
+  {
+    mimeType: "application/pdf",
+    extension: "pdf",
+    test: (b) => startsWith(b, ascii("%PDF-")),
+  },
+];
+
+// JPEG keeps its size in the first start-of-frame segment
+const jpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    const isStartOfFrame =
+      marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const webpDimensions = (buffer) => {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 ") {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L") {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+};
+
+const readDimensions = (mimeType, buffer) => {
+  try {
+    switch (mimeType) {
+      case "image/png":
+        return {
+          width: buffer.readUInt32BE(16),
+          height: buffer.readUInt32BE(20),
+        };
+      case "image/gif":
+        return {
+          width: buffer.readUInt16LE(6),
+          height: buffer.readUInt16LE(8),
+        };
+      case "image/jpeg":
+        return jpegDimensions(buffer);
+      case "image/webp":
+        return webpDimensions(buffer);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated or corrupt header
+    return null;
+  }
+};
+
+// Resolves the type of `buffer` as { mimeType, extension, width, height }
+// (dimensions are null for non-images), or null when it is not recognised
+const sniffMedia = (buffer) => {
+  const signature = SIGNATURES.find(({ test }) => test(buffer));
+  if (!signature) return null;
+
+  const dimensions = readDimensions(signature.mimeType, buffer);
+  return {
+    mimeType: signature.mimeType,
+    extension: signature.extension,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+  };
+};
+
+module.exports = { sniffMedia };
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+// Storage adapters keep the bytes of uploaded media. Every adapter has:
+//   name                          - stored on each Media document
+//   save(key, buffer, { mimeType }) -> Promise
+//   read(key)                     -> readable stream
+//   remove(key)                   -> Promise (missing files are fine)
+//   url(key)                      -> public URL of the file
+// and may offer `serve()`, a middleware for its public URLs. Only local disk
+// storage exists today; another backend (S3...) only needs the same shape.
+
+// Files on local disk below MEDIA_UPLOAD_DIR, served from MEDIA_PUBLIC_URL
+exports.createLocalStorage = ({ directory, publicUrl }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by us, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+    save: async (key, buffer) => {
+      const file = resolveKey(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer, { flag: "wx" });
+    },
+    read: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+    url: (key) => `${publicUrl.replace(/\/$/, "")}/${key}`,
+    serve: () =>
+      express.static(root, {
+        index: false,
+        dotfiles: "deny",
+        immutable: true,
+        maxAge: "365d",
+        setHeaders: (res) => {
+          // Files are served with the type of their (sniffed) extension only
+          res.set("X-Content-Type-Options", "nosniff");
+        },
+      }),
+  };
+};
+
+// Build the storage selected by MEDIA_STORAGE (only "local" for now)
+exports.createStorageFromEnv = (env = process.env) => {
+  const storage = env.MEDIA_STORAGE || "local";
+
+  if (storage !== "local") {
+    throw new Error(`Unknown MEDIA_STORAGE "${storage}"`);
+  }
+
+  return exports.createLocalStorage({
+    directory: env.MEDIA_UPLOAD_DIR || "uploads",
+    publicUrl: env.MEDIA_PUBLIC_URL || "/media",
+  });
+};
+
+let storage = null;
+let serveHandler = null;
+
+exports.getMediaStorage = () => {
+  if (!storage) storage = exports.createStorageFromEnv();
+  return storage;
+};
+
+// Replace the storage, e.g. with a temporary directory in tests
+exports.setMediaStorage = (nextStorage) => {
+  storage = nextStorage;
+  serveHandler = null;
+};
+
+// Middleware serving media files for storages that can serve themselves
+exports.serveMedia = (req, res, next) => {
+  const current = exports.getMediaStorage();
+  if (!current.serve) return next();
+  if (!serveHandler) serveHandler = current.serve();
+  serveHandler(req, res, next);
+};
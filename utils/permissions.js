@@ -0,0 +1,112 @@
+const Role = require("../models/roleModel");
+const Permission = require("../models/permissionModel");
+const { PERMISSIONS, BUILT_IN_ROLES } = require("../config/permissions");
+
+// Role documents are read on every authenticated request, so their
+// permissions are cached in-process. Role changes made through this process
+// clear the cache; other instances pick them up after the TTL.
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < ROLE_CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await Role.find().select("name permissions");
+  roleCache = new Map(roles.map((role) => [role.name, role.permissions]));
+  roleCacheLoadedAt = Date.now();
+  return roleCache;
+};
+
+// Forget cached roles after a role is created, changed or deleted
+exports.clearRoleCache = () => {
+  roleCache = null;
+};
+
+// Resolve the set of permissions granted by a list of role names
+exports.resolvePermissions = async (roleNames = []) => {
+  const roles = await loadRoles();
+  const permissions = new Set();
+  roleNames.forEach((name) => {
+    (roles.get(name) || []).forEach((permission) => permissions.add(permission));
+  });
+  return permissions;
+};
+
+// Return the role names from `roleNames` that do not exist
+exports.findUnknownRoles = async (roleNames = []) => {
+  const roles = await loadRoles();
+  return roleNames.filter((name) => !roles.has(name));
+};
+
+// Check that `user` may hand out `roleNames` to someone else: every role must
+// exist and grant nothing the user does not hold. Returns an error message,
+// or null when the grant is allowed.
+exports.checkRoleGrant = async (user, roleNames) => {
+  if (
+    !Array.isArray(roleNames) ||
+    roleNames.some((name) => typeof name !== "string")
+  ) {
+    return "Roles must be an array of role names";
+  }
+
+  const unknown = await exports.findUnknownRoles(roleNames);
+  if (unknown.length > 0) {
+    return `Unknown roles: ${unknown.join(", ")}`;
+  }
+
+  const granted = await exports.resolvePermissions(roleNames);
+  const missing = [...granted].filter((permission) => !user.can(permission));
+  if (missing.length > 0) {
+    return `You cannot grant permissions you do not hold: ${missing.join(", ")}`;
+  }
+
+  return null;
+};
+
+// Check that `user` may change or delete the account `target`, by the same
+// rule as checkRoleGrant: the target holds nothing the user does not.
+// Returns an error message, or null when it is allowed.
+exports.checkUserManagement = async (user, target) => {
+  const held = await exports.resolvePermissions(target.roles);
+  const missing = [...held].filter((permission) => !user.can(permission));
+  if (missing.length > 0) {
+    return `You cannot manage a user with permissions you do not hold: ${missing.join(", ")}`;
+  }
+
+  return null;
+};
+
+// Create or refresh the permission catalog and the built-in roles
+exports.ensureDefaultRoles = async () => {
+  await Permission.bulkWrite(
+    Object.entries(PERMISSIONS).map(([key, description]) => ({
+      updateOne: {
+        filter: { key },
+        update: { $set: { description } },
+        upsert: true,
+      },
+    }))
+  );
+  await Permission.deleteMany({ key: { $nin: Object.keys(PERMISSIONS) } });
+
+  await Role.bulkWrite(
+    Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+      updateOne: {
+        filter: { name },
+        update: {
+          $set: {
+            description: role.description,
+            permissions: role.permissions,
+            builtIn: true,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  exports.clearRoleCache();
+};
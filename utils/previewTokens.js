@@ -0,0 +1,36 @@
+const jwt = require("jsonwebtoken");
+
+// Signed, expiring tokens that let anyone holding the link read one piece of
+// unpublished content. Preview and access tokens have different audiences,
+// checked on both sides, so neither is accepted as the other.
+const PREVIEW_AUDIENCE = "content-preview";
+const DEFAULT_PREVIEW_HOURS = 24;
+const MAX_PREVIEW_HOURS = 7 * 24;
+
+const getSecret = () =>
+  process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Create a preview token for a content document, valid for `hours`
+exports.createPreviewToken = (contentId, hours = DEFAULT_PREVIEW_HOURS) => {
+  const expiresIn = Math.round(hours * 60 * 60);
+  const token = jwt.sign({ cid: String(contentId) }, getSecret(), {
+    audience: PREVIEW_AUDIENCE,
+    expiresIn,
+  });
+  return { token, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+// Resolve a preview token to { contentId, expiresAt }, or null if invalid
+exports.verifyPreviewToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSecret(), {
+      audience: PREVIEW_AUDIENCE,
+    });
+    return { contentId: decoded.cid, expiresAt: new Date(decoded.exp * 1000) };
+  } catch (error) {
+    return null;
+  }
+};
+
+exports.DEFAULT_PREVIEW_HOURS = DEFAULT_PREVIEW_HOURS;
+exports.MAX_PREVIEW_HOURS = MAX_PREVIEW_HOURS;
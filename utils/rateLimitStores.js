@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// Rate limit stores count hits per key in fixed windows. Every store has:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise
+// The in-memory store is the default; use the MongoDB store when several
+// instances of the API must share their counters.
+
+exports.createMemoryStore = () => {
+  const hits = new Map();
+
+  // Drop expired windows now and then so the map cannot grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    name: "memory",
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
+
+const rateLimitSchema = new mongoose.Schema({
+  // "<key>:<window start>" so every window is its own document
+  _id: String,
+  key: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+// Let MongoDB drop windows once they are over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+exports.createMongoStore = () => {
+  const RateLimit =
+    mongoose.models.RateLimit || mongoose.model("RateLimit", rateLimitSchema);
+
+  return {
+    name: "mongo",
+    increment: async (key, windowMs) => {
+      const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+      const entry = await RateLimit.findOneAndUpdate(
+        { _id: `${key}:${windowStart}` },
+        {
+          $inc: { count: 1 },
+          $setOnInsert: { key, resetAt: new Date(windowStart + windowMs) },
+        },
+        { upsert: true, new: true }
+      );
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      await RateLimit.deleteMany({ key });
+    },
+  };
+};
+
+// Build the store selected by RATE_LIMIT_STORE (memory or mongo)
+exports.createStoreFromEnv = (env = process.env) =>
+  env.RATE_LIMIT_STORE === "mongo"
+    ? exports.createMongoStore()
+    : exports.createMemoryStore();
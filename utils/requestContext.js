@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request details (who is calling and from where) that code deep below
+// the controllers needs, such as the audit log hooks on the models.
+const storage = new AsyncLocalStorage();
+
+// Middleware opening a context for every request; protect/optionalAuth fill
+// in the actor once the caller is known
+exports.requestContext = (req, res, next) => {
+  storage.run(
+    {
+      actor: null,
+      ip: req.ip || null,
+      userAgent: req.get("user-agent") || null,
+    },
+    next
+  );
+};
+
+// The current request's context, or null outside a request (scheduler,
+// scripts)
+exports.getRequestContext = () => storage.getStore() || null;
+
+// Record the authenticated user on the current request's context
+exports.setContextActor = (user) => {
+  const context = storage.getStore();
+  if (context && user) {
+    context.actor = { userId: user.userId, email: user.email };
+  }
+};
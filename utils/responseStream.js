@@ -0,0 +1,25 @@
+// Writer for streamed downloads. `write(chunk)` waits while the client's
+// buffer is full; it also settles when the client goes away, which
+// `isClosed()` then reports, so the caller can stop producing output.
+exports.createResponseWriter = (res) => {
+  let closed = false;
+  res.once("close", () => {
+    closed = true;
+  });
+
+  const write = async (chunk) => {
+    if (closed || res.write(chunk)) return;
+
+    await new Promise((resolve) => {
+      const settle = () => {
+        res.off("drain", settle);
+        res.off("close", settle);
+        resolve();
+      };
+      res.on("drain", settle);
+      res.on("close", settle);
+    });
+  };
+
+  return { write, isClosed: () => closed };
+};
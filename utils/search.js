@@ -0,0 +1,68 @@
+// Helpers for turning a MongoDB $text query into highlighted snippets.
+//
+// $text understands `"exact phrases"` and `-negated` terms natively, so the
+// query string is passed to MongoDB as-is; these helpers only work out which
+// words and phrases should be highlighted in the results.
+
+const { escapeHtml } = require("./html");
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split a search query into the phrases and terms that should be highlighted.
+// Negated terms (`-word`, `-"some phrase"`) are dropped.
+const parseSearchTerms = (q) => {
+  const terms = [];
+  const phrasePattern = /(-?)"([^"]+)"/g;
+
+  const rest = q.replace(phrasePattern, (match, negated, phrase) => {
+    if (!negated && phrase.trim()) terms.push(phrase.trim());
+    return " ";
+  });
+
+  rest
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .forEach((word) => terms.push(word));
+
+  // Longest first so phrases win over the words inside them
+  return [...new Set(terms)].sort((a, b) => b.length - a.length);
+};
+
+// Build a short excerpt of `text` around the first match, with every match
+// wrapped in <mark>. The returned string is HTML-escaped.
+const buildSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return "";
+  if (terms.length === 0) return escapeHtml(text.slice(0, length));
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join("|"), "gi");
+  const firstMatch = text.search(pattern);
+
+  let start = 0;
+  if (firstMatch > length / 3) {
+    start = firstMatch - Math.floor(length / 3);
+    // Do not cut a word in half
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < firstMatch) start = space + 1;
+  }
+  const end = Math.min(text.length, start + length);
+
+  const excerpt = text.slice(start, end);
+  let highlighted = "";
+  let lastIndex = 0;
+  excerpt.replace(pattern, (match, offset) => {
+    highlighted += escapeHtml(excerpt.slice(lastIndex, offset));
+    highlighted += `<mark>${escapeHtml(match)}</mark>`;
+    lastIndex = offset + match.length;
+    return match;
+  });
+  highlighted += escapeHtml(excerpt.slice(lastIndex));
+
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
+
+module.exports = {
+  parseSearchTerms,
+  buildSnippet,
+};
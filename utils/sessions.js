@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const Session = require("../models/sessionModel");
+const User = require("../models/userModel");
+const { revokeFirebaseSessions } = require("./firebaseAuth");
+
+const REFRESH_COOKIE_NAME = "refreshToken";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Helper function to hash a refresh token secret for storage
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without scanning hashes
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (token) => {
+  if (typeof token !== "string") return null;
+  const [sessionId, secret] = token.split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Create a session for a user and return a fresh access/refresh token pair
+exports.issueSession = async (user, req) => {
+  const secret = crypto.randomBytes(48).toString("hex");
+
+  const session = await Session.create({
+    userId: user.userId,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip || "",
+  });
+
+  return {
+    session,
+    accessToken: user.generateAuthToken(session._id),
+    refreshToken: buildRefreshToken(session, secret),
+  };
+};
+
+// Exchange a refresh token for a new pair, invalidating the old token.
+// Presenting an already-rotated token means it leaked, so the whole
+// session is revoked. The swap is conditional on the presented token, so of
+// two concurrent refreshes with the same token only one can win; the other
+// counts as reuse. Resolves to null when the token cannot be used.
+exports.rotateSession = async (token, req) => {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return null;
+
+  const now = new Date();
+  const secret = crypto.randomBytes(48).toString("hex");
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      refreshTokenHash: hashToken(secret),
+      expiresAt: refreshExpiry(),
+      lastUsedAt: now,
+      ...(req.get("user-agent") && { userAgent: req.get("user-agent") }),
+      ...(req.ip && { ip: req.ip }),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A live session whose token did not match was presented an old one
+    await Session.updateOne(
+      { _id: parsed.sessionId, revokedAt: null, expiresAt: { $gt: now } },
+      { revokedAt: now, revokedReason: "refresh_token_reuse" }
+    );
+    return null;
+  }
+
+  return {
+    session,
+    refreshToken: buildRefreshToken(session, secret),
+  };
+};
+
+// Revoke a single session
+exports.revokeSession = async (sessionId, reason = "logout") => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one. Firebase
+// refresh tokens of a linked account are revoked as well.
+exports.revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  const user = await User.findOne({ userId }).select("firebaseUid");
+  await revokeFirebaseSessions(user);
+
+  return result.modifiedCount;
+};
+
+// Read the refresh token from the httpOnly cookie, falling back to the body
+// for clients that cannot store cookies
+exports.getRefreshToken = (req) =>
+  (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) || req.body?.refreshToken;
+
+exports.setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/user",
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+exports.clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    path: "/api/user",
+  });
+};
+
+// Whether refresh tokens should also be returned in JSON bodies, for
+// native clients that have no cookie jar
+exports.refreshTokenInBody = () => process.env.REFRESH_TOKEN_IN_BODY === "true";
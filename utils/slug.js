@@ -0,0 +1,11 @@
+// Helper function to generate slug from a title or name
+const generateSlug = (title) => {
+  return title
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/--+/g, "-")
+    .trim();
+};
+
+module.exports = generateSlug;
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const Category = require("../models/categoryModel");
+const Tag = require("../models/tagModel");
+
+// Query matching categories or tags by id or slug, so URLs and filters can
+// use either
+const idOrSlugFilter = (values) => {
+  const ids = values.filter((value) => mongoose.isObjectIdOrHexString(value));
+  return {
+    $or: [
+      { slug: { $in: values.map((value) => value.toLowerCase()) } },
+      ...(ids.length > 0 ? [{ _id: { $in: ids } }] : []),
+    ],
+  };
+};
+
+// Content filters for ?category= (including its subcategories) and ?tags=
+// (any of them), given as ids or slugs. Unknown values match nothing.
+const taxonomyFilters = async ({ category, tags }) => {
+  const filters = {};
+
+  if (category) {
+    const found = await Category.findOne(idOrSlugFilter([category])).select(
+      "_id"
+    );
+    filters.category = {
+      $in: found
+        ? [found._id, ...(await Category.descendantIds(found._id))]
+        : [],
+    };
+  }
+
+  if (tags) {
+    const found = await Tag.find(idOrSlugFilter(tags)).select("_id");
+    filters.tags = { $in: found.map((tag) => tag._id) };
+  }
+
+  return filters;
+};
+
+module.exports = { idOrSlugFilter, taxonomyFilters };
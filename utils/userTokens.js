@@ -0,0 +1,44 @@
+const crypto = require("crypto");
+const UserToken = require("../models/userTokenModel");
+
+// How long each kind of token stays valid
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000,
+};
+
+// Issue a new token of `type` for a user, invalidating any unused ones.
+// Returns the raw token to put in the email link.
+exports.issueUserToken = async (user, type) => {
+  await UserToken.deleteMany({ userId: user.userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    userId: user.userId,
+    type,
+    tokenHash: UserToken.hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+  });
+
+  return token;
+};
+
+// Mark a token as used and return its userId, or null if the token is
+// unknown, expired or already used. The claim is atomic, so a token can
+// never be redeemed twice.
+exports.consumeUserToken = async (token, type) => {
+  if (typeof token !== "string" || !token) return null;
+
+  const userToken = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: UserToken.hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return userToken ? userToken.userId : null;
+};
@@ -0,0 +1,164 @@
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const { getWebhookSettings } = require("../config/webhooks");
+const { signPayload } = require("./webhooks");
+
+// Delay before the retry following attempt number `attempt` (1-based)
+const backoffMs = (attempt, { backoffSeconds, maxBackoffSeconds }) =>
+  Math.min(backoffSeconds * 2 ** (attempt - 1), maxBackoffSeconds) * 1000;
+
+// In-process dispatcher sending queued webhook deliveries. Failed attempts
+// are retried with exponential backoff until `maxAttempts`, after which the
+// delivery is marked failed. Deliveries are claimed one at a time with a
+// lock, so several API instances can run a dispatcher against one database.
+//
+// `now` and `fetch` are injectable so tests can drive the clock and stub
+// the endpoints:
+//   const dispatcher = createWebhookDispatcher({ now: () => fakeDate, fetch });
+//   await dispatcher.runDue();
+const createWebhookDispatcher = ({
+  now = () => new Date(),
+  fetch = globalThis.fetch,
+  settings = getWebhookSettings(),
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  // Lock the oldest due delivery for long enough to send it
+  const claimNext = (current) =>
+    WebhookDelivery.findOneAndUpdate(
+      {
+        status: "pending",
+        nextAttemptAt: { $lte: current },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: current } }],
+      },
+      { lockedUntil: new Date(current.getTime() + settings.timeoutMs * 2) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+  // POST the payload and describe how it went
+  const send = async (webhook, delivery, current) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(current.getTime() / 1000);
+    const started = Date.now();
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "content-api-webhooks/1.0",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": String(delivery._id),
+          "X-Webhook-Signature": signPayload(webhook.secret, body, timestamp),
+        },
+        body,
+        // A redirect is not a delivery; the URL should be updated instead
+        redirect: "manual",
+        signal: AbortSignal.timeout(settings.timeoutMs),
+      });
+
+      return {
+        ok: response.ok,
+        statusCode: response.status,
+        error: response.ok ? null : `Endpoint answered ${response.status}`,
+        durationMs: Date.now() - started,
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: error.name === "TimeoutError" ? "Timed out" : error.message,
+        durationMs: Date.now() - started,
+      };
+    }
+  };
+
+  // Make one attempt at a claimed delivery and record the outcome
+  const attempt = async (delivery, current) => {
+    const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+
+    const result =
+      webhook && webhook.active
+        ? await send(webhook, delivery, current)
+        : {
+            ok: false,
+            statusCode: null,
+            error: webhook ? "Webhook is inactive" : "Webhook was deleted",
+            durationMs: null,
+          };
+
+    const { ok, ...attemptLog } = result;
+    const attempts = delivery.attempts.length + 1;
+    const update = { lockedUntil: null };
+
+    if (ok) {
+      update.status = "delivered";
+      update.deliveredAt = current;
+    } else if (
+      !webhook ||
+      !webhook.active ||
+      attempts >= settings.maxAttempts
+    ) {
+      update.status = "failed";
+    } else {
+      update.nextAttemptAt = new Date(
+        current.getTime() + backoffMs(attempts, settings)
+      );
+    }
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: update, $push: { attempts: { at: current, ...attemptLog } } }
+    );
+
+    return ok;
+  };
+
+  // Send up to `batchSize` deliveries that are due at the current clock time.
+  // `failed` counts failed attempts, whether or not they will be retried.
+  const runDue = async () => {
+    if (running) return { delivered: 0, failed: 0 };
+    running = true;
+
+    try {
+      const result = { delivered: 0, failed: 0 };
+
+      for (let sent = 0; sent < settings.batchSize; sent += 1) {
+        const current = now();
+        const delivery = await claimNext(current);
+        if (!delivery) break;
+
+        if (await attempt(delivery, current)) {
+          result.delivered += 1;
+        } else {
+          result.failed += 1;
+        }
+      }
+
+      return result;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      runDue().catch((error) =>
+        console.error("Webhook dispatcher error:", error)
+      );
+    }, settings.intervalMs);
+    // Never keep the process alive just for the dispatcher
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runDue };
+};
+
+module.exports = createWebhookDispatcher;
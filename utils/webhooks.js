@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+
+// Signature sent in the X-Webhook-Signature header, "t=<unix time>,v1=<hex>".
+// The HMAC-SHA256 covers "<t>.<raw body>" so receivers can reject old
+// requests as well as forged ones:
+//   const expected = hmac(secret, `${t}.${rawBody}`)
+//   timingSafeEqual(expected, v1) && now - t < 5 minutes
+const signPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Payloads stay small; receivers fetch the full content from the API
+const contentEventData = (content) => {
+  const data = content.toObject({ depopulate: true });
+  return {
+    _id: data._id,
+    title: data.title,
+    slug: data.slug,
+    locale: data.locale,
+    status: data.status,
+    excerpt: data.excerpt,
+    category: data.category,
+    tags: data.tags,
+    author_id: data.author_id,
+    translations: (data.translations || []).map((translation) => ({
+      locale: translation.locale,
+      slug: translation.slug,
+      status: translation.status,
+    })),
+    publishedAt: data.publishedAt,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+  };
+};
+
+const userEventData = (user) => ({
+  userId: user.userId,
+  name: user.name,
+  email: user.email,
+  roles: user.roles,
+  createdAt: user.createdAt,
+});
+
+// Queue a delivery of `event` to every active webhook subscribed to it. The
+// dispatcher sends them in the background; a failing queue write is logged
+// rather than failing the change that was already made.
+const emitWebhookEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ events: event, active: true })
+      .select("_id")
+      .lean();
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+
+    await WebhookDelivery.insertMany(
+      webhooks.map((webhook) => ({ webhook: webhook._id, event, payload }))
+    );
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+  }
+};
+
+// Events for content moving in or out of the published state
+const emitStatusChange = async (content, previousStatus) => {
+  if (content.status === previousStatus) return;
+
+  if (content.status === "published") {
+    await emitWebhookEvent("content.published", contentEventData(content));
+  } else if (previousStatus === "published") {
+    await emitWebhookEvent("content.unpublished", contentEventData(content));
+  }
+};
+
+module.exports = {
+  signPayload,
+  contentEventData,
+  userEventData,
+  emitWebhookEvent,
+  emitStatusChange,
+};
@@ -0,0 +1,168 @@
+// Editorial workflow for content.
+//
+//   draft -> in_review -> approved -> scheduled -> published -> archived
+//
+// "owner" means anyone allowed to edit the content and "reviewer" means a user
+// with the content:publish permission who is NOT the author. Nobody can
+// approve or publish their own work.
+const { canUpdate, canReview } = require("../policies/contentPolicy");
+
+const STATUSES = [
+  "draft",
+  "in_review",
+  "approved",
+  "scheduled",
+  "published",
+  "archived",
+];
+
+const TRANSITIONS = {
+  draft: { in_review: ["owner"] },
+  in_review: { draft: ["owner", "reviewer"], approved: ["reviewer"] },
+  approved: {
+    draft: ["owner", "reviewer"],
+    scheduled: ["reviewer"],
+    published: ["reviewer"],
+  },
+  scheduled: { approved: ["reviewer"], published: ["reviewer"] },
+  published: { archived: ["owner", "reviewer"] },
+  archived: { draft: ["owner"] },
+};
+
+// Translations skip the workflow: they are drafts until a reviewer publishes
+// them
+const TRANSLATION_STATUSES = ["draft", "published"];
+
+// User id recorded for transitions made by the scheduler
+const SYSTEM_ACTOR = "system";
+
+const badRequest = (message) => ({ status: 400, message });
+const forbidden = (message) => ({ status: 403, message });
+
+// Statuses reachable from a given status
+const nextStatuses = (status) => Object.keys(TRANSITIONS[status] || {});
+
+// Check whether a user may move content to a new status. Returns
+// { status, message } describing the HTTP error, or null when allowed.
+const checkTransition = (
+  content,
+  to,
+  user,
+  { publishAt, unpublishAt, now = new Date() } = {}
+) => {
+  if (!STATUSES.includes(to)) {
+    return badRequest(`Unknown status "${to}". Allowed: ${STATUSES.join(", ")}`);
+  }
+
+  const allowedBy = (TRANSITIONS[content.status] || {})[to];
+  if (!allowedBy) {
+    return badRequest(`Cannot move content from "${content.status}" to "${to}"`);
+  }
+
+  const permitted =
+    (allowedBy.includes("owner") && canUpdate(user, content)) ||
+    (allowedBy.includes("reviewer") && canReview(user, content));
+  if (!permitted) {
+    if (!allowedBy.includes("owner")) {
+      return forbidden("A reviewer other than the author must make this transition");
+    }
+    return forbidden(
+      allowedBy.includes("reviewer")
+        ? "Only an editor of this content or a reviewer can make this transition"
+        : "Only an editor of this content can make this transition"
+    );
+  }
+
+  if (to === "scheduled") {
+    const date = publishAt ? new Date(publishAt) : null;
+    if (!date || Number.isNaN(date.getTime()) || date <= now) {
+      return badRequest("Scheduling requires a publishAt date in the future");
+    }
+  }
+
+  if (unpublishAt) {
+    if (to !== "scheduled" && to !== "published") {
+      return badRequest("unpublishAt can only be set when scheduling or publishing");
+    }
+    const date = new Date(unpublishAt);
+    const earliest = to === "scheduled" ? new Date(publishAt) : now;
+    if (Number.isNaN(date.getTime()) || date <= earliest) {
+      return badRequest("unpublishAt must be a date after the content goes live");
+    }
+  }
+
+  return null;
+};
+
+// Check whether a user may bring content in at a status without walking it
+// through the workflow, e.g. by import. Drafts are always allowed; any other
+// status only if the user could make a transition into it, with its date
+// checks. Returns { status, message } like checkTransition, or null.
+const checkArrival = (content, to, user, options = {}) => {
+  if (to === "draft") return null;
+
+  const rejections = Object.keys(TRANSITIONS)
+    .filter((from) => TRANSITIONS[from][to])
+    .map((from) =>
+      checkTransition(
+        { status: from, author_id: content.author_id },
+        to,
+        user,
+        options
+      )
+    );
+  return rejections.includes(null)
+    ? null
+    : rejections[0] || badRequest(`Unknown status "${to}"`);
+};
+
+// Move content to a new status and record who did it. Does not check
+// permissions; call checkTransition first for user-initiated changes.
+const applyTransition = (
+  content,
+  to,
+  by,
+  { note, publishAt, unpublishAt, now = new Date() } = {}
+) => {
+  const from = content.status;
+
+  content.status = to;
+  if (to === "scheduled") content.publishAt = new Date(publishAt);
+  if (to !== "scheduled" && from === "scheduled") content.publishAt = null;
+  if (to === "published") content.publishedAt = now;
+  if (unpublishAt !== undefined) {
+    content.unpublishAt = unpublishAt ? new Date(unpublishAt) : null;
+  }
+  if (to === "archived") content.unpublishAt = null;
+
+  content.statusHistory.push({ from, to, by, at: now, note: note || "" });
+  content.$locals.editorId = by;
+};
+
+// Reviewed content edited by anyone but a reviewer goes back to draft, so no
+// edit goes live (or stays live) without a review. Call before saving an
+// edit; does nothing when the content was not changed.
+const REVIEWED_STATUSES = ["approved", "scheduled", "published"];
+
+const resetAfterEdit = (content, user) => {
+  if (
+    REVIEWED_STATUSES.includes(content.status) &&
+    content.isModified() &&
+    !canReview(user, content)
+  ) {
+    applyTransition(content, "draft", user.userId, {
+      note: "Edited after review",
+    });
+  }
+};
+
+module.exports = {
+  STATUSES,
+  TRANSLATION_STATUSES,
+  SYSTEM_ACTOR,
+  nextStatuses,
+  checkTransition,
+  checkArrival,
+  applyTransition,
+  resetAfterEdit,
+};
@@ -0,0 +1,70 @@
+const { pagination, objectIdParam, string } = require("./common");
+const { API_KEY_SCOPES, MAX_API_KEY_DAYS } = require("../config/apiKeys");
+const { parseIpRange } = require("../utils/apiKeys");
+
+const SCOPES = Object.keys(API_KEY_SCOPES);
+
+const allowedIps = {
+  allowedIps: {
+    in: ["body"],
+    optional: true,
+    isArray: { options: { max: 50 } },
+    errorMessage: "must be an array of at most 50 addresses",
+  },
+  "allowedIps.*": {
+    in: ["body"],
+    isString: { errorMessage: "must be a string", bail: true },
+    trim: true,
+    custom: { options: (value) => Boolean(parseIpRange(value)) },
+    errorMessage: "must be an IP address or CIDR range, e.g. 10.0.0.0/8",
+  },
+};
+
+exports.getApiKeys = {
+  userId: {
+    in: ["query"],
+    optional: true,
+    isUUID: true,
+    errorMessage: "must be a valid user id",
+  },
+  ...pagination,
+};
+
+exports.apiKeyId = {
+  ...objectIdParam("id"),
+};
+
+exports.createApiKey = {
+  name: string("body", { max: 100 }),
+  scopes: {
+    in: ["body"],
+    exists: { errorMessage: "is required", bail: true },
+    isArray: { options: { min: 1 } },
+    errorMessage: "must be a non-empty array of scopes",
+  },
+  "scopes.*": {
+    in: ["body"],
+    isIn: { options: [SCOPES] },
+    errorMessage: `must be one of: ${SCOPES.join(", ")}`,
+  },
+  ...allowedIps,
+  expiresInDays: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isFloat: { options: { gt: 0, max: MAX_API_KEY_DAYS } },
+    errorMessage: `must be a number between 0 and ${MAX_API_KEY_DAYS}`,
+    toFloat: true,
+  },
+  userId: {
+    in: ["body"],
+    optional: true,
+    isUUID: true,
+    errorMessage: "must be a valid user id",
+  },
+};
+
+exports.updateApiKey = {
+  ...objectIdParam("id"),
+  name: string("body", { optional: true, max: 100 }),
+  ...allowedIps,
+};
@@ -0,0 +1,44 @@
+const { pagination, string } = require("./common");
+const AuditLog = require("../models/auditLogModel");
+
+const EXPORT_FORMATS = ["ndjson", "csv"];
+
+const date = {
+  in: ["query"],
+  optional: true,
+  isISO8601: true,
+  errorMessage: "must be an ISO 8601 date",
+  toDate: true,
+};
+
+// Filters shared by the list and the export
+const auditFilters = {
+  actorId: string("query", { optional: true }),
+  actorType: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [AuditLog.ACTOR_TYPES] },
+    errorMessage: `must be one of: ${AuditLog.ACTOR_TYPES.join(", ")}`,
+  },
+  action: string("query", { optional: true }),
+  targetType: string("query", { optional: true }),
+  targetId: string("query", { optional: true }),
+  field: string("query", { optional: true }),
+  from: date,
+  to: date,
+};
+
+exports.getAuditLog = {
+  ...auditFilters,
+  ...pagination,
+};
+
+exports.exportAuditLog = {
+  ...auditFilters,
+  format: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [EXPORT_FORMATS] },
+    errorMessage: `must be one of: ${EXPORT_FORMATS.join(", ")}`,
+  },
+};
@@ -0,0 +1,35 @@
+const { objectIdParam, string, slug, optionalText } = require("./common");
+
+const description = optionalText("body", { max: 1000 });
+
+// null makes a top-level category
+const parent = {
+  in: ["body"],
+  optional: { options: { values: "null" } },
+  isMongoId: true,
+  errorMessage: "must be a valid category id or null",
+};
+
+// GET /:id takes an id or a slug
+exports.getCategory = {
+  id: string("params"),
+};
+
+exports.createCategory = {
+  name: string("body", { max: 100 }),
+  slug: slug("body"),
+  description,
+  parent,
+};
+
+exports.updateCategory = {
+  ...objectIdParam("id"),
+  name: string("body", { optional: true, max: 100 }),
+  slug: slug("body"),
+  description,
+  parent,
+};
+
+exports.categoryId = {
+  ...objectIdParam("id"),
+};
@@ -0,0 +1,51 @@
+const { pagination, objectIdParam, string } = require("./common");
+const Comment = require("../models/commentModel");
+
+const MODERATION_ACTIONS = ["approve", "hide"];
+
+const commentBody = string("body", { max: 5000 });
+
+exports.getComments = {
+  ...objectIdParam("id"),
+  // Only applied for moderators
+  status: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [Comment.COMMENT_STATUSES] },
+    errorMessage: `must be one of: ${Comment.COMMENT_STATUSES.join(", ")}`,
+  },
+  ...pagination,
+};
+
+exports.createComment = {
+  ...objectIdParam("id"),
+  body: commentBody,
+  parentId: {
+    in: ["body"],
+    optional: true,
+    isMongoId: true,
+    errorMessage: "must be a valid id",
+  },
+};
+
+exports.updateComment = {
+  ...objectIdParam("id"),
+  ...objectIdParam("commentId"),
+  body: commentBody,
+};
+
+exports.deleteComment = {
+  ...objectIdParam("id"),
+  ...objectIdParam("commentId"),
+};
+
+exports.moderateComment = {
+  ...objectIdParam("id"),
+  ...objectIdParam("commentId"),
+  action: {
+    in: ["body"],
+    exists: { errorMessage: "is required", bail: true },
+    isIn: { options: [MODERATION_ACTIONS] },
+    errorMessage: `must be one of: ${MODERATION_ACTIONS.join(", ")}`,
+  },
+};
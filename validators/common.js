@@ -0,0 +1,151 @@
+// Schema fragments shared by the route validators
+const { canonicalLocale } = require("../config/locales");
+
+const MAX_PAGE_LIMIT = 100;
+
+// ?page=&limit= for paginated lists
+exports.pagination = {
+  page: {
+    in: ["query"],
+    optional: true,
+    isInt: { options: { min: 1 } },
+    errorMessage: "must be a positive integer",
+    toInt: true,
+  },
+  limit: {
+    in: ["query"],
+    optional: true,
+    isInt: { options: { min: 1, max: MAX_PAGE_LIMIT } },
+    errorMessage: `must be an integer between 1 and ${MAX_PAGE_LIMIT}`,
+    toInt: true,
+  },
+};
+
+// A MongoDB ObjectId route param
+exports.objectIdParam = (name) => ({
+  [name]: {
+    in: ["params"],
+    isMongoId: true,
+    errorMessage: "must be a valid id",
+  },
+});
+
+// Lowercase words joined by single hyphens, like generated slugs
+const SLUG_PATTERN = /^[a-z0-9_]+(?:-[a-z0-9_]+)*$/;
+
+exports.slug = (location, { optional = true } = {}) => ({
+  in: [location],
+  optional,
+  isString: { errorMessage: "must be a string", bail: true },
+  trim: true,
+  matches: {
+    options: [SLUG_PATTERN],
+    errorMessage: "must contain only lowercase letters, numbers and hyphens",
+  },
+});
+
+// An array of ObjectIds, given as a wildcard pair
+exports.objectIdArray = (field, { optional = false, max = 100 } = {}) => ({
+  [field]: {
+    in: ["body"],
+    optional,
+    exists: { errorMessage: "is required", bail: true },
+    isArray: { options: { max } },
+    errorMessage: `must be an array of at most ${max} ids`,
+  },
+  [`${field}.*`]: {
+    in: ["body"],
+    isMongoId: true,
+    errorMessage: "must be a valid id",
+  },
+});
+
+// A locale to show content in (?locale=); unsupported ones fall back
+exports.requestedLocale = {
+  in: ["query"],
+  optional: true,
+  isString: { errorMessage: "must be a string", bail: true },
+  custom: { options: (value) => Boolean(canonicalLocale(value)) },
+  customSanitizer: { options: canonicalLocale },
+  errorMessage: "must be a valid locale, e.g. en or pt-BR",
+};
+
+// A user's public id (uuid) route param
+exports.userIdParam = (name) => ({
+  [name]: {
+    in: ["params"],
+    isUUID: true,
+    errorMessage: "must be a valid user id",
+  },
+});
+
+// A required or optional trimmed, non-empty string
+exports.string = (location, { optional = false, max } = {}) => ({
+  in: [location],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isString: { errorMessage: "must be a string", bail: true },
+  trim: true,
+  notEmpty: { errorMessage: "must not be empty" },
+  ...(max && {
+    isLength: {
+      options: { max },
+      errorMessage: `must be at most ${max} characters`,
+    },
+  }),
+});
+
+// An optional trimmed string that may be empty, e.g. to clear a description
+exports.optionalText = (location, { max } = {}) => ({
+  in: [location],
+  optional: true,
+  isString: { errorMessage: "must be a string", bail: true },
+  trim: true,
+  ...(max && {
+    isLength: {
+      options: { max },
+      errorMessage: `must be at most ${max} characters`,
+    },
+  }),
+});
+
+// An array of trimmed, non-empty strings, given as a wildcard pair
+// e.g. ...stringArray("roles", { optional: true })
+exports.stringArray = (field, { optional = false } = {}) => ({
+  [field]: {
+    in: ["body"],
+    optional,
+    isArray: true,
+    errorMessage: "must be an array of strings",
+  },
+  [`${field}.*`]: {
+    in: ["body"],
+    isString: { errorMessage: "must be a string", bail: true },
+    trim: true,
+    notEmpty: { errorMessage: "must not be empty" },
+  },
+});
+
+// An email address, trimmed and lowercased the way accounts are stored
+exports.email = (location, { optional = false } = {}) => ({
+  in: [location],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isString: { errorMessage: "must be a string", bail: true },
+  trim: true,
+  isEmail: { errorMessage: "must be a valid email address" },
+  toLowerCase: true,
+});
+
+exports.MIN_PASSWORD_LENGTH = 6;
+
+exports.password = (location, { optional = false } = {}) => ({
+  in: [location],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isString: { errorMessage: "must be a string", bail: true },
+  isLength: {
+    options: { min: exports.MIN_PASSWORD_LENGTH },
+    errorMessage: `must be at least ${exports.MIN_PASSWORD_LENGTH} characters`,
+  },
+});
@@ -0,0 +1,103 @@
+const { string, email, objectIdArray } = require("./common");
+const { transitionContent } = require("./contentValidators");
+const { STATUSES } = require("../utils/workflow");
+const { TRANSFER_FORMATS, CONFLICT_POLICIES } = require("../config/content");
+
+const BULK_ACTIONS = ["transition", "retag", "recategorize", "delete"];
+const TAG_MODES = ["add", "remove", "replace"];
+const MAX_BULK_IDS = 500;
+
+const format = (location) => ({
+  in: [location],
+  optional: true,
+  isIn: { options: [TRANSFER_FORMATS] },
+  errorMessage: `must be one of: ${TRANSFER_FORMATS.join(", ")}`,
+});
+
+const date = {
+  in: ["query"],
+  optional: true,
+  isISO8601: true,
+  errorMessage: "must be an ISO 8601 date",
+  toDate: true,
+};
+
+// Categories and tags are given by id or slug, authors by email; from and to
+// filter on the last update
+exports.exportContent = {
+  format: format("query"),
+  status: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [STATUSES] },
+    errorMessage: `must be one of: ${STATUSES.join(", ")}`,
+  },
+  category: string("query", { optional: true }),
+  tags: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "must be a comma-separated list", bail: true },
+    customSanitizer: {
+      options: (value) =>
+        value
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
+    },
+  },
+  locale: string("query", { optional: true }),
+  author: email("query", { optional: true }),
+  from: date,
+  to: date,
+};
+
+// Sent as multipart fields next to the file
+exports.importContent = {
+  format: format("body"),
+  dryRun: {
+    in: ["body"],
+    optional: true,
+    isBoolean: true,
+    errorMessage: "must be true or false",
+    toBoolean: true,
+  },
+  onConflict: {
+    in: ["body"],
+    optional: true,
+    isIn: { options: [CONFLICT_POLICIES] },
+    errorMessage: `must be one of: ${CONFLICT_POLICIES.join(", ")}`,
+  },
+  fallbackAuthor: email("body", { optional: true }),
+};
+
+// The transition fields are those of POST /api/content/:id/transition; `to`
+// is required for the transition action, `tags` for retag and `category` for
+// recategorize
+const { to, note, publishAt, unpublishAt } = transitionContent;
+
+exports.bulkContent = {
+  ...objectIdArray("ids", { max: MAX_BULK_IDS }),
+  action: {
+    in: ["body"],
+    exists: { errorMessage: "is required", bail: true },
+    isIn: { options: [BULK_ACTIONS] },
+    errorMessage: `must be one of: ${BULK_ACTIONS.join(", ")}`,
+  },
+  to: { ...to, optional: true },
+  note,
+  publishAt,
+  unpublishAt,
+  ...objectIdArray("tags", { optional: true }),
+  tagMode: {
+    in: ["body"],
+    optional: true,
+    isIn: { options: [TAG_MODES] },
+    errorMessage: `must be one of: ${TAG_MODES.join(", ")}`,
+  },
+  category: {
+    in: ["body"],
+    optional: true,
+    isMongoId: true,
+    errorMessage: "must be a valid category id",
+  },
+};
@@ -0,0 +1,223 @@
+const {
+  pagination,
+  objectIdParam,
+  string,
+  slug,
+  objectIdArray,
+  requestedLocale,
+} = require("./common");
+const { STATUSES, TRANSLATION_STATUSES } = require("../utils/workflow");
+const { MAX_PREVIEW_HOURS } = require("../utils/previewTokens");
+const { BODY_FORMATS } = require("../config/content");
+const { getLocaleSettings, canonicalLocale } = require("../config/locales");
+
+const status = (location, { optional = true } = {}) => ({
+  in: [location],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isIn: { options: [STATUSES] },
+  errorMessage: `must be one of: ${STATUSES.join(", ")}`,
+});
+
+// A locale content can be written in
+const supportedLocale = (location, { optional = false } = {}) => ({
+  in: [location],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isString: { errorMessage: "must be a string", bail: true },
+  custom: {
+    options: (value) =>
+      getLocaleSettings().supported.includes(canonicalLocale(value)),
+  },
+  customSanitizer: { options: canonicalLocale },
+  errorMessage: () =>
+    `must be one of: ${getLocaleSettings().supported.join(", ")}`,
+});
+
+const bodyFormat = {
+  in: ["body"],
+  optional: true,
+  isIn: { options: [BODY_FORMATS] },
+  errorMessage: `must be one of: ${BODY_FORMATS.join(", ")}`,
+};
+
+// Views of a content list: "full" includes the body, "summary" only the
+// excerpt and reading metadata
+const LIST_VIEWS = ["full", "summary"];
+
+// A category id; required for new content
+const category = ({ optional }) => ({
+  in: ["body"],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isMongoId: true,
+  errorMessage: "must be a valid category id",
+});
+
+// Filters shared by the list and search endpoints. Categories and tags are
+// given by id or slug; ?tags=a,b becomes an array.
+const listFilters = {
+  category: string("query", { optional: true }),
+  status: status("query"),
+  tags: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "must be a comma-separated list", bail: true },
+    customSanitizer: {
+      options: (value) =>
+        value
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean),
+    },
+  },
+  view: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [LIST_VIEWS] },
+    errorMessage: `must be one of: ${LIST_VIEWS.join(", ")}`,
+  },
+  locale: requestedLocale,
+  ...pagination,
+};
+
+// Media library references; null removes the featured image
+const mediaReferences = {
+  featuredImage: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isMongoId: true,
+    errorMessage: "must be a valid media id or null",
+  },
+  ...objectIdArray("attachments", { optional: true, max: 50 }),
+};
+
+exports.getAllContent = {
+  ...listFilters,
+};
+
+exports.searchContent = {
+  q: string("query", { max: 500 }),
+  ...listFilters,
+};
+
+exports.getContentBySlug = {
+  slug: slug("params", { optional: false }),
+  locale: requestedLocale,
+};
+
+exports.getContentPreview = {
+  token: string("params"),
+  locale: requestedLocale,
+};
+
+exports.getContent = {
+  ...objectIdParam("id"),
+  locale: requestedLocale,
+};
+
+// DELETE /:id and GET /:id/translations
+exports.contentId = {
+  ...objectIdParam("id"),
+};
+
+exports.createContent = {
+  title: string("body", { max: 200 }),
+  slug: slug("body"),
+  body: string("body"),
+  bodyFormat,
+  locale: supportedLocale("body", { optional: true }),
+  category: category({ optional: false }),
+  ...objectIdArray("tags", { optional: true }),
+  ...mediaReferences,
+  status: status("body"),
+};
+
+exports.updateContent = {
+  ...objectIdParam("id"),
+  title: string("body", { optional: true, max: 200 }),
+  slug: slug("body"),
+  body: string("body", { optional: true }),
+  bodyFormat,
+  category: category({ optional: true }),
+  ...objectIdArray("tags", { optional: true }),
+  ...mediaReferences,
+  status: status("body"),
+};
+
+exports.createPreviewLink = {
+  ...objectIdParam("id"),
+  expiresInHours: {
+    in: ["body"],
+    optional: true,
+    isFloat: { options: { gt: 0, max: MAX_PREVIEW_HOURS } },
+    errorMessage: `must be a number between 0 and ${MAX_PREVIEW_HOURS}`,
+    toFloat: true,
+  },
+};
+
+exports.transitionContent = {
+  ...objectIdParam("id"),
+  to: status("body", { optional: false }),
+  note: string("body", { optional: true, max: 500 }),
+  publishAt: {
+    in: ["body"],
+    optional: true,
+    isISO8601: true,
+    errorMessage: "must be an ISO 8601 date",
+  },
+  // null clears a previously set unpublish date
+  unpublishAt: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isISO8601: true,
+    errorMessage: "must be an ISO 8601 date or null",
+  },
+};
+
+const revisionNumber = (location) => ({
+  in: [location],
+  exists: { errorMessage: "is required", bail: true },
+  isInt: { options: { min: 1 } },
+  errorMessage: "must be a positive integer",
+  toInt: true,
+});
+
+exports.getRevisions = {
+  ...objectIdParam("id"),
+  ...pagination,
+};
+
+exports.diffRevisions = {
+  ...objectIdParam("id"),
+  from: revisionNumber("query"),
+  to: revisionNumber("query"),
+};
+
+// GET /:id/revisions/:revision and its restore
+exports.revision = {
+  ...objectIdParam("id"),
+  revision: revisionNumber("params"),
+};
+
+// GET/DELETE /:id/translations/:locale
+exports.translation = {
+  ...objectIdParam("id"),
+  locale: supportedLocale("params"),
+};
+
+// New translations need a title and body; the slug defaults to the title's
+exports.saveTranslation = {
+  ...objectIdParam("id"),
+  locale: supportedLocale("params"),
+  title: string("body", { optional: true, max: 200 }),
+  slug: slug("body"),
+  body: string("body", { optional: true }),
+  bodyFormat,
+  status: {
+    in: ["body"],
+    optional: true,
+    isIn: { options: [TRANSLATION_STATUSES] },
+    errorMessage: `must be one of: ${TRANSLATION_STATUSES.join(", ")}`,
+  },
+};
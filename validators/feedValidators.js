@@ -0,0 +1,17 @@
+const { string, requestedLocale } = require("./common");
+
+// Category and tag variants take a slug or an id
+exports.feed = {
+  category: string("params", { optional: true }),
+  tag: string("params", { optional: true }),
+  locale: requestedLocale,
+};
+
+exports.sitemapPage = {
+  page: {
+    in: ["params"],
+    isInt: { options: { min: 1 } },
+    errorMessage: "must be a positive integer",
+    toInt: true,
+  },
+};
@@ -0,0 +1,46 @@
+const { pagination, objectIdParam } = require("./common");
+
+const MEDIA_TYPES = ["image", "application"];
+
+const alt = {
+  in: ["body"],
+  optional: true,
+  isString: { errorMessage: "must be a string", bail: true },
+  trim: true,
+  isLength: {
+    options: { max: 500 },
+    errorMessage: "must be at most 500 characters",
+  },
+};
+
+// Sent as a multipart field next to the file
+exports.uploadMedia = {
+  alt,
+};
+
+exports.getAllMedia = {
+  // Only applied for users with media:manage
+  owner: {
+    in: ["query"],
+    optional: true,
+    isUUID: true,
+    errorMessage: "must be a valid user id",
+  },
+  type: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [MEDIA_TYPES] },
+    errorMessage: `must be one of: ${MEDIA_TYPES.join(", ")}`,
+  },
+  ...pagination,
+};
+
+// GET/DELETE /:id
+exports.mediaId = {
+  ...objectIdParam("id"),
+};
+
+exports.updateMedia = {
+  ...objectIdParam("id"),
+  alt,
+};
@@ -0,0 +1,30 @@
+const { pagination, string } = require("./common");
+
+const SORT_OPTIONS = ["newest", "oldest", "price", "-price", "name"];
+
+const price = {
+  in: ["query"],
+  optional: true,
+  isFloat: { options: { min: 0 } },
+  errorMessage: "must be a non-negative number",
+  toFloat: true,
+};
+
+exports.getAllProducts = {
+  category: string("query", { optional: true, max: 100 }),
+  minPrice: price,
+  maxPrice: price,
+  inStock: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [["true", "false"]] },
+    errorMessage: "must be true or false",
+  },
+  sort: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [SORT_OPTIONS] },
+    errorMessage: `must be one of: ${SORT_OPTIONS.join(", ")}`,
+  },
+  ...pagination,
+};
@@ -0,0 +1,43 @@
+const {
+  pagination,
+  objectIdParam,
+  string,
+  slug,
+  objectIdArray,
+  optionalText,
+} = require("./common");
+
+const description = optionalText("body", { max: 1000 });
+
+exports.getTags = {
+  q: string("query", { optional: true, max: 100 }),
+  ...pagination,
+};
+
+// GET /:id takes an id or a slug
+exports.getTag = {
+  id: string("params"),
+};
+
+exports.createTag = {
+  name: string("body", { max: 100 }),
+  slug: slug("body"),
+  description,
+};
+
+exports.updateTag = {
+  ...objectIdParam("id"),
+  name: string("body", { optional: true, max: 100 }),
+  slug: slug("body"),
+  description,
+};
+
+exports.tagId = {
+  ...objectIdParam("id"),
+};
+
+// The tags merged into :id
+exports.mergeTags = {
+  ...objectIdParam("id"),
+  ...objectIdArray("tags"),
+};
@@ -0,0 +1,99 @@
+const {
+  pagination,
+  objectIdParam,
+  userIdParam,
+  string,
+  stringArray,
+  email,
+  password,
+} = require("./common");
+const { MAX_INVITATION_DAYS } = require("../config/registration");
+
+const INVITATION_STATES = ["pending", "used", "revoked", "expired"];
+
+exports.register = {
+  name: string("body", { max: 100 }),
+  email: email("body"),
+  password: password("body"),
+  inviteToken: string("body", { optional: true }),
+};
+
+exports.login = {
+  email: email("body"),
+  // Only checked against the hash, so no length rules here
+  password: {
+    in: ["body"],
+    exists: { errorMessage: "is required", bail: true },
+    isString: { errorMessage: "must be a string", bail: true },
+    notEmpty: { errorMessage: "must not be empty" },
+  },
+};
+
+// The refresh token usually comes from the cookie instead
+exports.refresh = {
+  refreshToken: string("body", { optional: true }),
+};
+
+exports.forgotPassword = {
+  email: email("body"),
+};
+
+exports.resetPassword = {
+  token: string("body"),
+  password: password("body"),
+};
+
+exports.verifyEmail = {
+  token: string("body"),
+};
+
+exports.resendVerification = {
+  email: email("body"),
+};
+
+exports.revokeOwnSession = {
+  ...objectIdParam("sessionId"),
+};
+
+exports.createInvitation = {
+  email: email("body", { optional: true }),
+  ...stringArray("roles", { optional: true }),
+  expiresInDays: {
+    in: ["body"],
+    optional: true,
+    isFloat: { options: { gt: 0, max: MAX_INVITATION_DAYS } },
+    errorMessage: `must be a number between 0 and ${MAX_INVITATION_DAYS}`,
+    toFloat: true,
+  },
+};
+
+exports.getInvitations = {
+  state: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [INVITATION_STATES] },
+    errorMessage: `must be one of: ${INVITATION_STATES.join(", ")}`,
+  },
+  ...pagination,
+};
+
+exports.revokeInvitation = {
+  ...objectIdParam("invitationId"),
+};
+
+exports.getAllUsers = {
+  ...pagination,
+};
+
+// GET/DELETE /:id, /:id/unlock and /:id/revoke-sessions
+exports.userId = {
+  ...userIdParam("id"),
+};
+
+exports.updateUser = {
+  ...userIdParam("id"),
+  name: string("body", { optional: true, max: 100 }),
+  email: email("body", { optional: true }),
+  password: password("body", { optional: true }),
+  ...stringArray("roles", { optional: true }),
+};
@@ -0,0 +1,84 @@
+const { pagination, objectIdParam, optionalText } = require("./common");
+const { WEBHOOK_EVENTS } = require("../config/webhooks");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+
+const url = (optional) => ({
+  in: ["body"],
+  optional,
+  exists: { errorMessage: "is required", bail: true },
+  isString: { errorMessage: "must be a string", bail: true },
+  trim: true,
+  isURL: {
+    options: {
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: false,
+    },
+    errorMessage: "must be an http or https URL",
+  },
+});
+
+const events = (optional) => ({
+  events: {
+    in: ["body"],
+    optional,
+    exists: { errorMessage: "is required", bail: true },
+    isArray: { options: { min: 1 } },
+    errorMessage: "must be a non-empty array of events",
+  },
+  "events.*": {
+    in: ["body"],
+    isIn: { options: [WEBHOOK_EVENTS] },
+    errorMessage: `must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+  },
+});
+
+const active = {
+  in: ["body"],
+  optional: true,
+  isBoolean: { options: { strict: true } },
+  errorMessage: "must be true or false",
+};
+
+const description = optionalText("body", { max: 500 });
+
+exports.webhookId = {
+  ...objectIdParam("id"),
+};
+
+exports.createWebhook = {
+  url: url(false),
+  ...events(false),
+  description,
+  active,
+};
+
+exports.updateWebhook = {
+  ...objectIdParam("id"),
+  url: url(true),
+  ...events(true),
+  description,
+  active,
+};
+
+exports.getWebhookDeliveries = {
+  ...objectIdParam("id"),
+  status: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [WebhookDelivery.DELIVERY_STATUSES] },
+    errorMessage: `must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(", ")}`,
+  },
+  event: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [WEBHOOK_EVENTS] },
+    errorMessage: `must be one of: ${WEBHOOK_EVENTS.join(", ")}`,
+  },
+  ...pagination,
+};
+
+exports.webhookDelivery = {
+  ...objectIdParam("id"),
+  ...objectIdParam("deliveryId"),
+};